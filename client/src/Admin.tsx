@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './MyEmojis.css';
+import './Billing.css';
+import './Admin.css';
+import { authFetch } from './auth';
+import { formatPrice } from './format';
+import { RevenueTotal } from './types';
+import AdminUsers from './AdminUsers';
+import AdminGenerations from './AdminGenerations';
+
+interface Revenue {
+  allTime: RevenueTotal[];
+  last30Days: RevenueTotal[];
+}
+
+const formatRevenueAmount = (total: RevenueTotal) => {
+  return total.currency && total.amount !== null ? formatPrice(total.amount, total.currency) : 'Not recorded';
+};
+
+// Operator view: revenue, users and their balances, and recent generations.
+// Only shown to admins; the server checks again on every /api/admin call.
+function Admin() {
+  const [revenue, setRevenue] = useState<Revenue | null>(null);
+  const [revenueError, setRevenueError] = useState<string>('');
+  // Set from the user list to see one user's generations
+  const [generationsEmail, setGenerationsEmail] = useState<string>('');
+
+  const fetchRevenue = useCallback(async () => {
+    try {
+      setRevenueError('');
+
+      const response = await authFetch('/api/admin/revenue');
+      const data = await response.json();
+
+      if (response.ok) {
+        setRevenue(data);
+      } else {
+        setRevenueError(data.error || 'Failed to load revenue');
+      }
+    } catch (error) {
+      console.error('Error loading revenue:', error);
+      setRevenueError('Failed to connect to server');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRevenue();
+  }, [fetchRevenue]);
+
+  const renderRevenue = (title: string, totals: RevenueTotal[]) => (
+    <div className="admin-card">
+      <h3>{title}</h3>
+      {totals.length === 0 ? (
+        <p className="admin-card-empty">No purchases</p>
+      ) : (
+        totals.map(total => (
+          <div key={total.currency ?? 'unrecorded'} className="admin-revenue-row">
+            <span className="admin-revenue-amount">{formatRevenueAmount(total)}</span>
+            <span className="admin-revenue-detail">
+              {total.purchases} purchase{total.purchases === 1 ? '' : 's'} · {total.tokens} tokens
+            </span>
+          </div>
+        ))
+      )}
+    </div>
+  );
+
+  return (
+    <div className="my-emojis-container">
+      <div className="my-emojis-header">
+        <h2>🛠️ Admin</h2>
+        <button onClick={fetchRevenue} className="refresh-button">
+          🔄 Refresh
+        </button>
+      </div>
+
+      {revenueError && <div className="error-message">{revenueError}</div>}
+      {revenue && (
+        <div className="admin-cards">
+          {renderRevenue('💵 Revenue, last 30 days', revenue.last30Days)}
+          {renderRevenue('🏦 Revenue, all time', revenue.allTime)}
+        </div>
+      )}
+
+      <AdminUsers onShowGenerations={setGenerationsEmail} />
+      <AdminGenerations email={generationsEmail} onClearEmail={() => setGenerationsEmail('')} />
+    </div>
+  );
+}
+
+export default Admin;
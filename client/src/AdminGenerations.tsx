@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { authFetch } from './auth';
+import { AdminGeneration, JobStatus } from './types';
+
+interface AdminGenerationsProps {
+  // Only show this user's generations when set
+  email: string;
+  onClearEmail: () => void;
+}
+
+const statusFilters: { key: JobStatus | ''; label: string }[] = [
+  { key: '', label: 'All' },
+  { key: 'failed', label: '❌ Failed' },
+  { key: 'running', label: '⏳ Running' },
+  { key: 'queued', label: '🕒 Queued' },
+  { key: 'succeeded', label: '✅ Succeeded' }
+];
+
+const formatDate = (date: string) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Recent generation jobs for the admin screen, newest first, with what
+// each one charged and why it failed
+function AdminGenerations({ email, onClearEmail }: AdminGenerationsProps) {
+  const [generations, setGenerations] = useState<AdminGeneration[]>([]);
+  const [lastDay, setLastDay] = useState<Partial<Record<JobStatus, number>>>({});
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState<boolean>(true);
+  const [isLoadingMore, setIsLoadingMore] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+  const [status, setStatus] = useState<JobStatus | ''>('');
+  const requestIdRef = useRef<number>(0);
+  const sectionRef = useRef<HTMLElement>(null);
+
+  const buildParams = useCallback((cursor?: string) => {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    if (email) params.set('email', email);
+    if (cursor) params.set('cursor', cursor);
+    return params.toString();
+  }, [status, email]);
+
+  const fetchGenerations = useCallback(async () => {
+    // Responses for outdated filters are ignored
+    const requestId = ++requestIdRef.current;
+
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const response = await authFetch(`/api/admin/generations?${buildParams()}`);
+      const data = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (response.ok) {
+        setGenerations(data.generations);
+        setLastDay(data.lastDay);
+        setNextCursor(data.nextCursor);
+      } else {
+        setError(data.error || 'Failed to load generations');
+      }
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error loading generations:', error);
+      setError('Failed to connect to server');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setIsLoading(false);
+      }
+    }
+  }, [buildParams]);
+
+  useEffect(() => {
+    fetchGenerations();
+  }, [fetchGenerations]);
+
+  // Bring the list into view when a user's generations are picked
+  useEffect(() => {
+    if (email) {
+      sectionRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [email]);
+
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+    const requestId = requestIdRef.current;
+
+    try {
+      setIsLoadingMore(true);
+
+      const response = await authFetch(`/api/admin/generations?${buildParams(nextCursor)}`);
+      const data = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (response.ok) {
+        setGenerations(prev => [...prev, ...data.generations]);
+        setNextCursor(data.nextCursor);
+      } else {
+        setError(data.error || 'Failed to load more generations');
+      }
+    } catch (error) {
+      console.error('Error loading more generations:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>Loading generations...</p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <>
+          <div className="error-message">{error}</div>
+          <button onClick={fetchGenerations} className="retry-button">
+            🔄 Try Again
+          </button>
+        </>
+      );
+    }
+
+    if (generations.length === 0) {
+      return <p className="admin-card-empty">No generations match these filters.</p>;
+    }
+
+    return (
+      <>
+        <div className="admin-table">
+          <div className="admin-row admin-generations-row admin-heading">
+            <span>Started</span>
+            <span>User</span>
+            <span>Prompt</span>
+            <span>Status</span>
+            <span className="admin-number">Tokens</span>
+          </div>
+          {generations.map(generation => (
+            <div key={generation.id} className="admin-row admin-generations-row">
+              <span className="admin-muted">{formatDate(generation.createdAt)}</span>
+              <span className="admin-email">
+                {generation.userEmail}
+                {generation.workspaceId && <span className="admin-badge">workspace {generation.workspaceId}</span>}
+              </span>
+              <span>
+                {generation.description || <em className="admin-muted">Image only</em>}
+                {generation.error && <span className="admin-error">{generation.error}</span>}
+              </span>
+              <span>
+                <span className={`admin-status status-${generation.status}`}>{generation.status}</span>
+                {generation.status !== 'queued' && generation.status !== 'running' && (
+                  <span className="admin-muted"> {generation.succeeded}/{generation.count}</span>
+                )}
+              </span>
+              <span className="admin-number">{generation.tokensCharged}</span>
+            </div>
+          ))}
+        </div>
+
+        {nextCursor && (
+          <button onClick={handleLoadMore} disabled={isLoadingMore} className="secondary-button load-more-button">
+            {isLoadingMore ? '⏳ Loading...' : 'Load more'}
+          </button>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <section className="admin-section" ref={sectionRef}>
+      <div className="admin-section-header">
+        <h3>🎨 Generations</h3>
+        <span className="admin-muted">
+          Last 24 hours: {lastDay.succeeded || 0} succeeded, {lastDay.failed || 0} failed
+        </span>
+      </div>
+
+      <div className="filter-chips">
+        {statusFilters.map(({ key, label }) => (
+          <button
+            key={key || 'all'}
+            type="button"
+            className={`filter-chip ${status === key ? 'active' : ''}`}
+            onClick={() => setStatus(key)}
+          >
+            {label}
+          </button>
+        ))}
+        {email && (
+          <button type="button" className="filter-chip active" onClick={onClearEmail} title="Show everyone's generations">
+            👤 {email} ✕
+          </button>
+        )}
+      </div>
+
+      {renderContent()}
+    </section>
+  );
+}
+
+export default AdminGenerations;
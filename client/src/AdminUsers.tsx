@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { authFetch } from './auth';
+import { AdminUser } from './types';
+
+interface AdminUsersProps {
+  onShowGenerations: (email: string) => void;
+}
+
+const formatDate = (date: string | null) => {
+  if (!date) return 'Never';
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+// Searchable user list for the admin screen, with manual balance adjustments
+function AdminUsers({ onShowGenerations }: AdminUsersProps) {
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [total, setTotal] = useState<number>(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState<boolean>(true);
+  const [isLoadingMore, setIsLoadingMore] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+  const [searchInput, setSearchInput] = useState<string>('');
+  const [search, setSearch] = useState<string>('');
+  const requestIdRef = useRef<number>(0);
+
+  // Wait for the admin to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const fetchUsers = useCallback(async () => {
+    // Responses for outdated searches are ignored
+    const requestId = ++requestIdRef.current;
+
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const params = new URLSearchParams();
+      if (search) params.set('search', search);
+
+      const response = await authFetch(`/api/admin/users?${params.toString()}`);
+      const data = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (response.ok) {
+        setUsers(data.users);
+        setTotal(data.total);
+        setNextCursor(data.nextCursor);
+      } else {
+        setError(data.error || 'Failed to load users');
+      }
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error loading users:', error);
+      setError('Failed to connect to server');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setIsLoading(false);
+      }
+    }
+  }, [search]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+    const requestId = requestIdRef.current;
+
+    try {
+      setIsLoadingMore(true);
+
+      const params = new URLSearchParams({ cursor: nextCursor });
+      if (search) params.set('search', search);
+
+      const response = await authFetch(`/api/admin/users?${params.toString()}`);
+      const data = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (response.ok) {
+        setUsers(prev => [...prev, ...data.users]);
+        setNextCursor(data.nextCursor);
+      } else {
+        setError(data.error || 'Failed to load more users');
+      }
+    } catch (error) {
+      console.error('Error loading more users:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleAdjust = async (user: AdminUser) => {
+    const input = window.prompt(`Tokens to add to ${user.email} (negative to remove). Current balance: ${user.balance}`);
+    if (input === null || !input.trim()) return;
+
+    const amount = Number(input);
+    if (!Number.isInteger(amount) || amount === 0) {
+      alert('Enter a whole number of tokens other than 0');
+      return;
+    }
+
+    const reason = window.prompt('Reason (shown in the user\'s billing history)');
+    if (reason === null || !reason.trim()) return;
+
+    try {
+      const response = await authFetch(`/api/admin/users/${encodeURIComponent(user.email)}/adjust-tokens`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount, reason })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setUsers(prev => prev.map(u => u.email === user.email ? { ...u, balance: data.balance } : u));
+      } else {
+        alert(data.error || 'Failed to adjust tokens');
+      }
+    } catch (error) {
+      console.error('Error adjusting tokens:', error);
+      alert('Failed to connect to server');
+    }
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>Loading users...</p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <>
+          <div className="error-message">{error}</div>
+          <button onClick={fetchUsers} className="retry-button">
+            🔄 Try Again
+          </button>
+        </>
+      );
+    }
+
+    if (users.length === 0) {
+      return <p className="admin-card-empty">No users match "{search}".</p>;
+    }
+
+    return (
+      <>
+        <div className="admin-table">
+          <div className="admin-row admin-users-row admin-heading">
+            <span>Email</span>
+            <span className="admin-number">Balance</span>
+            <span className="admin-number">Used</span>
+            <span className="admin-number">Emojis</span>
+            <span>Joined</span>
+            <span>Last login</span>
+            <span></span>
+          </div>
+          {users.map(user => (
+            <div key={user.email} className="admin-row admin-users-row">
+              <span className="admin-email">
+                {user.email}
+                {user.isAdmin && <span className="admin-badge">admin</span>}
+              </span>
+              <span className="admin-number">{user.balance}</span>
+              <span className="admin-number">{user.totalUsed}</span>
+              <span className="admin-number">{user.emojiCount}</span>
+              <span className="admin-muted">{formatDate(user.createdAt)}</span>
+              <span className="admin-muted">{formatDate(user.lastLoginAt)}</span>
+              <span className="admin-actions">
+                <button onClick={() => handleAdjust(user)} className="secondary-button">
+                  🪙 Adjust
+                </button>
+                <button onClick={() => onShowGenerations(user.email)} className="secondary-button">
+                  🔍 Generations
+                </button>
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {nextCursor && (
+          <button onClick={handleLoadMore} disabled={isLoadingMore} className="secondary-button load-more-button">
+            {isLoadingMore ? '⏳ Loading...' : 'Load more'}
+          </button>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <section className="admin-section">
+      <div className="admin-section-header">
+        <h3>👤 Users ({total})</h3>
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search by email"
+          className="search-input"
+        />
+      </div>
+      {renderContent()}
+    </section>
+  );
+}
+
+export default AdminUsers;
@@ -3,54 +3,107 @@ import './App.css';
 import Login from './Login';
 import MyEmojis from './MyEmojis';
 import TokenPurchase from './TokenPurchase';
+import Packs from './Packs';
+import Billing from './Billing';
+import SharedPack from './SharedPack';
+import Team from './Team';
+import Admin from './Admin';
+import WorkspaceSwitcher from './WorkspaceSwitcher';
+import ReferenceImages from './ReferenceImages';
 import { API_BASE_URL } from './config';
+import {
+  authFetch,
+  authDownload,
+  saveSession,
+  clearSession,
+  getSessionToken,
+  getActiveWorkspaceId,
+  setActiveWorkspaceId,
+  AUTH_EXPIRED_EVENT,
+  WORKSPACE_DENIED_EVENT
+} from './auth';
+import { ReferenceImage, ReferenceRole, StylePreset, Workspace } from './types';
 
-interface EmojiResult {
-  success: boolean;
-  message: string;
-  originalImage: string;
+interface GeneratedVariation {
+  id: number;
+  // Signed media URL; it expires, so it isn't kept across reloads
   generatedImage: string;
   filename: string;
+  prompt: string;
+}
+
+interface EmojiResult {
+  results: GeneratedVariation[];
+  failed: number;
+}
+
+interface GenerationJob extends EmojiResult {
+  jobId: string;
+  status: 'queued' | 'running' | 'succeeded' | 'failed';
+  count: number;
+  error: string | null;
+  tokensRemaining: number;
 }
 
+const MAX_VARIATIONS = 8;
+
+// Animated emojis cost a flat number of tokens per variation; these
+// match the limits in server.js
+const ANIMATION_TOKEN_COST = 5;
+const MIN_FRAMES = 2;
+const MAX_FRAMES = 8;
+const MIN_FRAME_DELAY = 20;
+const MAX_FRAME_DELAY = 2000;
+const LOOP_OPTIONS = [0, 1, 2, 3, 5, 10];
+const JOB_POLL_INTERVAL = 2000;
+
+// The in-flight generation job is remembered so a reload can pick it back up
+const PENDING_JOB_KEY = 'pendingGenerationJob';
+
+// Shared packs live at /packs/<slug>
+const getSharedPackSlug = () => {
+  const match = window.location.pathname.match(/^\/packs\/([A-Za-z0-9_-]+)\/?$/);
+  return match ? match[1] : null;
+};
+
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState<boolean>(false);
   const [isLoading, setIsLoading] = useState<boolean>(true);
-  const [activeTab, setActiveTab] = useState<'generate' | 'my-emojis'>('generate');
+  const [activeTab, setActiveTab] = useState<'generate' | 'my-emojis' | 'packs' | 'billing' | 'team' | 'admin'>('generate');
+  const [sharedPackSlug, setSharedPackSlug] = useState<string | null>(getSharedPackSlug);
+  const [loginRequested, setLoginRequested] = useState<boolean>(false);
   const [userEmail, setUserEmail] = useState<string>('');
+  const [isAdmin, setIsAdmin] = useState<boolean>(false);
   const [userTokens, setUserTokens] = useState<number>(0);
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
+  const [activeWorkspaceId, setActiveWorkspace] = useState<number | null>(getActiveWorkspaceId);
   const [showTokenPurchase, setShowTokenPurchase] = useState<boolean>(false);
-  const [selectedFile, setSelectedFile] = useState<File | null>(null);
+  const [referenceImages, setReferenceImages] = useState<ReferenceImage[]>([]);
+  const [referenceRoles, setReferenceRoles] = useState<ReferenceRole[]>([]);
+  const [maxReferenceImages, setMaxReferenceImages] = useState<number>(1);
   const [description, setDescription] = useState<string>('');
   const [removeBackground, setRemoveBackground] = useState<boolean>(false);
   const [emojify, setEmojify] = useState<boolean>(false);
+  const [stylePresets, setStylePresets] = useState<StylePreset[]>([]);
+  const [style, setStyle] = useState<string>('');
+  const [variationCount, setVariationCount] = useState<number>(1);
+  const [animated, setAnimated] = useState<boolean>(false);
+  const [frameCount, setFrameCount] = useState<number>(4);
+  const [frameDelay, setFrameDelay] = useState<number>(150);
+  const [loopCount, setLoopCount] = useState<number>(0);
+  const [keptIds, setKeptIds] = useState<Set<number>>(new Set());
+  const [isDiscarding, setIsDiscarding] = useState<boolean>(false);
   const [isGenerating, setIsGenerating] = useState<boolean>(false);
+  const [activeJobId, setActiveJobId] = useState<string | null>(null);
+  const [generatingCount, setGeneratingCount] = useState<number>(1);
   const [result, setResult] = useState<EmojiResult | null>(null);
-  const [previewUrl, setPreviewUrl] = useState<string>('');
-
-  const handleFileSelect = (event: React.ChangeEvent<HTMLInputElement>) => {
-    const file = event.target.files?.[0];
-    if (file) {
-      setSelectedFile(file);
-      const url = URL.createObjectURL(file);
-      setPreviewUrl(url);
-    }
-  };
 
-  const handleClearImage = () => {
-    setSelectedFile(null);
-    setPreviewUrl('');
-    // Reset the file input
-    const fileInput = document.getElementById('image-upload') as HTMLInputElement;
-    if (fileInput) {
-      fileInput.value = '';
-    }
-  };
+  const tokenCost = variationCount * (animated ? ANIMATION_TOKEN_COST : 1);
 
   const handleSubmit = async (event: React.FormEvent<HTMLFormElement>) => {
     event.preventDefault();
     
-    if (!selectedFile && !description.trim()) {
+    if (referenceImages.length === 0 && !description.trim()) {
       alert('Please either upload an image or provide a description');
       return;
     }
@@ -59,16 +112,27 @@ function App() {
     setResult(null);
 
     const formData = new FormData();
-    if (selectedFile) {
-      formData.append('image', selectedFile);
-    }
+    // Files and roles are matched up by position on the server
+    referenceImages.forEach(image => {
+      formData.append('images', image.file);
+      formData.append('roles', image.role);
+    });
     formData.append('description', description);
-    formData.append('userEmail', userEmail);
     formData.append('removeBackground', removeBackground.toString());
     formData.append('emojify', emojify.toString());
+    if (style) {
+      formData.append('style', style);
+    }
+    formData.append('count', variationCount.toString());
+    if (animated) {
+      formData.append('animated', 'true');
+      formData.append('frames', frameCount.toString());
+      formData.append('frameDelay', frameDelay.toString());
+      formData.append('loop', loopCount.toString());
+    }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/generate-emoji`, {
+      const response = await authFetch('/api/generate-emoji', {
         method: 'POST',
         body: formData,
       });
@@ -76,12 +140,16 @@ function App() {
       const data = await response.json();
       
       if (response.ok) {
-        setResult(data);
+        // Generation runs in the background; the job is polled below
+        localStorage.setItem(PENDING_JOB_KEY, data.jobId);
+        setGeneratingCount(data.count);
+        setActiveJobId(data.jobId);
         // Update token balance
         if (data.tokensRemaining !== undefined) {
           setUserTokens(data.tokensRemaining);
         }
       } else {
+        setIsGenerating(false);
         if (data.tokensNeeded) {
           setShowTokenPurchase(true);
         } else {
@@ -91,55 +159,169 @@ function App() {
     } catch (error) {
       console.error('Error:', error);
       alert('Failed to connect to server');
-    } finally {
       setIsGenerating(false);
     }
   };
 
-  const handleDownload = () => {
-    if (result) {
-      const link = document.createElement('a');
-      link.href = `${API_BASE_URL}${result.generatedImage}`;
-      link.download = `emoji-${result.filename}`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+  const finishJob = useCallback(() => {
+    localStorage.removeItem(PENDING_JOB_KEY);
+    setActiveJobId(null);
+    setIsGenerating(false);
+  }, []);
+
+  // Poll the active generation job until it succeeds or fails
+  useEffect(() => {
+    if (!activeJobId) return;
+
+    let cancelled = false;
+    let timer: ReturnType<typeof setTimeout>;
+
+    const pollJob = async () => {
+      try {
+        const response = await authFetch(`/api/jobs/${activeJobId}`);
+        const data: GenerationJob = await response.json();
+        if (cancelled) return;
+
+        if (!response.ok) {
+          finishJob();
+          return;
+        }
+
+        setGeneratingCount(data.count);
+        setUserTokens(data.tokensRemaining);
+
+        if (data.status === 'succeeded') {
+          setResult({ results: data.results, failed: data.failed });
+          setKeptIds(new Set(data.results.map(variation => variation.id)));
+          finishJob();
+          if (data.failed > 0) {
+            alert(`${data.failed} of ${data.count} variations failed and their tokens were refunded.`);
+          }
+          return;
+        }
+
+        if (data.status === 'failed') {
+          finishJob();
+          alert(`Failed to generate emoji: ${data.error || 'Unknown error'}. Your tokens were refunded.`);
+          return;
+        }
+      } catch (error) {
+        // Network hiccup: keep polling
+        console.error('Error polling generation job:', error);
+      }
+
+      if (!cancelled) {
+        timer = setTimeout(pollJob, JOB_POLL_INTERVAL);
+      }
+    };
+
+    setIsGenerating(true);
+    pollJob();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeJobId, finishJob]);
+
+  // Resume a generation job that was in flight before a reload
+  useEffect(() => {
+    if (isAuthenticated) {
+      const pendingJobId = localStorage.getItem(PENDING_JOB_KEY);
+      if (pendingJobId) {
+        setActiveJobId(pendingJobId);
+      }
+    }
+  }, [isAuthenticated]);
+
+  const handleDownload = async (variation: GeneratedVariation) => {
+    try {
+      await authDownload(`/api/emojis/${variation.id}/download`, {}, `emoji-${variation.filename}`);
+    } catch (error) {
+      console.error('Error downloading emoji:', error);
+      alert(error instanceof Error ? error.message : 'Failed to download emoji');
+    }
+  };
+
+  const handleToggleKeep = (id: number) => {
+    setKeptIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  // Delete the variations the user didn't keep from their library
+  const handleDiscardUnkept = async () => {
+    if (!result) return;
+    const discardIds = result.results.map(variation => variation.id).filter(id => !keptIds.has(id));
+    if (discardIds.length === 0) return;
+
+    try {
+      setIsDiscarding(true);
+
+      const response = await authFetch('/api/emojis/bulk-delete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: discardIds })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setResult({
+          ...result,
+          results: result.results.filter(variation => !data.deleted.includes(variation.id))
+        });
+      } else {
+        alert(data.error || 'Failed to discard variations');
+      }
+    } catch (error) {
+      console.error('Error discarding variations:', error);
+      alert('Failed to connect to server');
+    } finally {
+      setIsDiscarding(false);
     }
   };
 
-  const handleLogin = (email: string, rememberMe: boolean) => {
+  const handleLogin = (email: string, token: string, expiresAt: string, rememberMe: boolean) => {
+    saveSession(token, expiresAt, rememberMe);
     setIsAuthenticated(true);
     setUserEmail(email);
-    fetchUserTokens(email);
-    
-    if (rememberMe) {
-      // Store in localStorage for persistence
-      localStorage.setItem('authData', JSON.stringify({ 
-        email, 
-        timestamp: Date.now() 
-      }));
-    }
   };
 
-  const handleLogout = () => {
+  const resetAuthState = useCallback(() => {
     setIsAuthenticated(false);
     setUserEmail('');
+    setIsAdmin(false);
     setUserTokens(0);
+    setWorkspaces([]);
+    setActiveWorkspace(null);
     setActiveTab('generate');
     setShowTokenPurchase(false);
     setResult(null);
-    setSelectedFile(null);
-    setPreviewUrl('');
+    setReferenceImages([]);
     setDescription('');
-    
-    // Clear localStorage
-    localStorage.removeItem('authData');
+    setActiveJobId(null);
+    setIsGenerating(false);
+    localStorage.removeItem(PENDING_JOB_KEY);
+    clearSession();
+  }, []);
+
+  const handleLogout = () => {
+    // Revoke the session server-side; local state is cleared either way
+    authFetch('/api/logout', { method: 'POST' })
+      .catch((error) => console.error('Error logging out:', error));
+    resetAuthState();
   };
 
   // Fetch user tokens
-  const fetchUserTokens = useCallback(async (email: string) => {
+  const fetchUserTokens = useCallback(async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/user-tokens/${encodeURIComponent(email)}`);
+      const response = await authFetch('/api/user-tokens');
       const data = await response.json();
       if (response.ok) {
         setUserTokens(data.balance);
@@ -149,42 +331,129 @@ function App() {
     }
   }, []);
 
-  // Check for existing authentication on app load
+  // Admin access isn't part of the login response, so look it up
+  const fetchAccount = useCallback(async () => {
+    try {
+      const response = await authFetch('/api/me');
+      const data = await response.json();
+      if (response.ok) {
+        setIsAdmin(data.isAdmin);
+      }
+    } catch (error) {
+      console.error('Error fetching account:', error);
+    }
+  }, []);
+
+  // Switch between the personal library and a workspace. Every tab reloads
+  // its data since emojis, packs, tokens and billing all follow the switch.
+  const handleSwitchWorkspace = useCallback((workspaceId: number | null) => {
+    setActiveWorkspaceId(workspaceId);
+    setActiveWorkspace(workspaceId);
+    setResult(null);
+    setActiveTab(tab => tab === 'team' && !workspaceId ? 'generate' : tab);
+    fetchUserTokens();
+  }, [fetchUserTokens]);
+
+  const fetchWorkspaces = useCallback(async () => {
+    try {
+      const response = await authFetch('/api/workspaces');
+      const data = await response.json();
+      if (response.ok) {
+        setWorkspaces(data.workspaces);
+        // Fall back to personal if we were removed from the saved workspace
+        const savedId = getActiveWorkspaceId();
+        if (savedId && !data.workspaces.some((workspace: Workspace) => workspace.id === savedId)) {
+          handleSwitchWorkspace(null);
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching workspaces:', error);
+    }
+  }, [handleSwitchWorkspace]);
+
+  const handleWorkspaceCreated = (workspace: Workspace) => {
+    setWorkspaces(prev => [...prev, workspace].sort((a, b) => a.name.localeCompare(b.name)));
+    handleSwitchWorkspace(workspace.id);
+    setActiveTab('team');
+  };
+
+  const handleWorkspaceUpdated = (updated: Workspace) => {
+    setWorkspaces(prev => prev.map(workspace => workspace.id === updated.id ? updated : workspace));
+  };
+
+  const handleLeftWorkspace = () => {
+    handleSwitchWorkspace(null);
+    fetchWorkspaces();
+  };
+
+  // Style presets for the generate form
   useEffect(() => {
-    const checkAuthStatus = () => {
+    fetch(`${API_BASE_URL}/api/style-presets`)
+      .then(response => response.json())
+      .then(data => setStylePresets(data.presets || []))
+      .catch(error => console.error('Error fetching style presets:', error));
+  }, []);
+
+  // Roles that can be given to reference images
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/reference-roles`)
+      .then(response => response.json())
+      .then(data => {
+        setReferenceRoles(data.roles || []);
+        setMaxReferenceImages(data.maxImages || 1);
+      })
+      .catch(error => console.error('Error fetching reference roles:', error));
+  }, []);
+
+  // Check for an existing session on app load
+  useEffect(() => {
+    const checkAuthStatus = async () => {
       try {
-        const storedAuth = localStorage.getItem('authData');
-        if (storedAuth) {
-          const authData = JSON.parse(storedAuth);
-          const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-          
-          // Check if stored auth is less than a week old
-          if (authData.timestamp > oneWeekAgo && authData.email) {
-            setIsAuthenticated(true);
-            setUserEmail(authData.email);
-            fetchUserTokens(authData.email);
-          } else {
-            // Remove expired auth
-            localStorage.removeItem('authData');
-          }
+        if (!getSessionToken()) return;
+
+        // The server resolves who we are from the stored session token
+        const response = await authFetch('/api/me');
+        if (response.ok) {
+          const data = await response.json();
+          setIsAuthenticated(true);
+          setUserEmail(data.email);
         }
       } catch (error) {
         console.error('Error checking auth status:', error);
-        localStorage.removeItem('authData');
       } finally {
         setIsLoading(false);
       }
     };
 
     checkAuthStatus();
-  }, [fetchUserTokens]);
+  }, []);
+
+  // Drop back to the login screen when the session expires or is revoked
+  useEffect(() => {
+    window.addEventListener(AUTH_EXPIRED_EVENT, resetAuthState);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, resetAuthState);
+  }, [resetAuthState]);
+
+  // The server rejected the active workspace, so authFetch already dropped it
+  useEffect(() => {
+    const handleWorkspaceDenied = () => {
+      alert('You no longer have access to that workspace. Switching to your personal workspace.');
+      handleSwitchWorkspace(null);
+      fetchWorkspaces();
+    };
+
+    window.addEventListener(WORKSPACE_DENIED_EVENT, handleWorkspaceDenied);
+    return () => window.removeEventListener(WORKSPACE_DENIED_EVENT, handleWorkspaceDenied);
+  }, [handleSwitchWorkspace, fetchWorkspaces]);
 
-  // Fetch tokens when user logs in
+  // Fetch tokens, workspaces and admin access when user logs in
   useEffect(() => {
     if (isAuthenticated && userEmail) {
-      fetchUserTokens(userEmail);
+      fetchUserTokens();
+      fetchWorkspaces();
+      fetchAccount();
     }
-  }, [isAuthenticated, userEmail, fetchUserTokens]);
+  }, [isAuthenticated, userEmail, fetchUserTokens, fetchWorkspaces, fetchAccount]);
 
   // Check for purchase success/cancellation in URL
   useEffect(() => {
@@ -194,7 +463,7 @@ function App() {
     if (purchaseStatus === 'success') {
       // Refresh tokens and show success message
       if (userEmail) {
-        fetchUserTokens(userEmail);
+        fetchUserTokens();
         alert('🎉 Payment successful! Your tokens have been added to your account.');
       }
       // Clean up URL
@@ -218,11 +487,35 @@ function App() {
     );
   }
 
+  // Leave the shared pack page for the app itself
+  const handleOpenApp = () => {
+    window.history.pushState({}, document.title, '/');
+    setSharedPackSlug(null);
+    setLoginRequested(false);
+    setActiveTab('packs');
+  };
+
+  // Shared packs are public; the login screen only takes over when asked for
+  if (sharedPackSlug && (isAuthenticated || !loginRequested)) {
+    return (
+      <div className="App">
+        <SharedPack
+          slug={sharedPackSlug}
+          isAuthenticated={isAuthenticated}
+          onLoginRequest={() => setLoginRequested(true)}
+          onOpenApp={handleOpenApp}
+        />
+      </div>
+    );
+  }
+
   // Protected route - redirect to login if not authenticated
   if (!isAuthenticated) {
     return <Login onLogin={handleLogin} />;
   }
 
+  const activeWorkspace = workspaces.find(workspace => workspace.id === activeWorkspaceId) || null;
+
   return (
     <div className="App">
       <header className="App-header">
@@ -234,9 +527,15 @@ function App() {
           <div className="user-info">
             <div className="user-details">
               <span className="user-email">📧 {userEmail}</span>
-              <span className="user-tokens">💰 {userTokens} tokens</span>
+              <span className="user-tokens">💰 {userTokens} tokens{activeWorkspaceId && ' (shared)'}</span>
             </div>
             <div className="header-actions">
+              <WorkspaceSwitcher
+                workspaces={workspaces}
+                activeWorkspaceId={activeWorkspaceId}
+                onSwitch={handleSwitchWorkspace}
+                onCreated={handleWorkspaceCreated}
+              />
               <button onClick={() => setShowTokenPurchase(true)} className="buy-tokens-button">
                 💳 Buy Tokens
               </button>
@@ -261,35 +560,51 @@ function App() {
         >
           📚 My Emojis
         </button>
+        <button 
+          className={`tab-button ${activeTab === 'packs' ? 'active' : ''}`}
+          onClick={() => setActiveTab('packs')}
+        >
+          📦 Packs
+        </button>
+        <button 
+          className={`tab-button ${activeTab === 'billing' ? 'active' : ''}`}
+          onClick={() => setActiveTab('billing')}
+        >
+          🧾 Billing
+        </button>
+        {activeWorkspaceId && (
+          <button 
+            className={`tab-button ${activeTab === 'team' ? 'active' : ''}`}
+            onClick={() => setActiveTab('team')}
+          >
+            👥 Team
+          </button>
+        )}
+        {isAdmin && (
+          <button 
+            className={`tab-button ${activeTab === 'admin' ? 'active' : ''}`}
+            onClick={() => setActiveTab('admin')}
+          >
+            🛠️ Admin
+          </button>
+        )}
       </nav>
 
-      <main className="main-content">
+      <main className="main-content" key={activeWorkspaceId ?? 'personal'}>
         {activeTab === 'generate' ? (
         <>
           <form onSubmit={handleSubmit} className="emoji-form">
           <div className="form-group">
             <label htmlFor="image-upload">
-              📁 Upload Image (Optional)
+              📁 Reference Images (Optional)
             </label>
-            <input
-              id="image-upload"
-              type="file"
-              accept="image/*"
-              onChange={handleFileSelect}
+            <ReferenceImages
+              images={referenceImages}
+              onChange={setReferenceImages}
+              roles={referenceRoles}
+              maxImages={maxReferenceImages}
+              disabled={isGenerating}
             />
-            {previewUrl && (
-              <div className="image-preview">
-                <img src={previewUrl} alt="Preview" />
-                <button 
-                  type="button"
-                  onClick={handleClearImage}
-                  className="clear-image-button"
-                  title="Remove image"
-                >
-                  ✕ Remove
-                </button>
-              </div>
-            )}
           </div>
 
           <div className="form-group">
@@ -329,51 +644,217 @@ function App() {
                 😊 Emojify
               </label>
             </div>
+
+            <div className="checkbox-item">
+              <input
+                type="checkbox"
+                id="animated"
+                checked={animated}
+                onChange={(e) => setAnimated(e.target.checked)}
+              />
+              <label htmlFor="animated">
+                🎞️ Animated
+              </label>
+            </div>
+          </div>
+
+          {animated && (
+            <div className="form-group animation-options">
+              <label htmlFor="frame-count">
+                Frames
+                <select
+                  id="frame-count"
+                  value={frameCount}
+                  onChange={(e) => setFrameCount(parseInt(e.target.value, 10))}
+                >
+                  {Array.from({ length: MAX_FRAMES - MIN_FRAMES + 1 }, (_, index) => index + MIN_FRAMES).map(count => (
+                    <option key={count} value={count}>{count}</option>
+                  ))}
+                </select>
+              </label>
+              <label htmlFor="frame-delay">
+                Delay (ms)
+                <input
+                  id="frame-delay"
+                  type="number"
+                  min={MIN_FRAME_DELAY}
+                  max={MAX_FRAME_DELAY}
+                  step={10}
+                  value={frameDelay}
+                  onChange={(e) => setFrameDelay(parseInt(e.target.value, 10) || MIN_FRAME_DELAY)}
+                />
+              </label>
+              <label htmlFor="loop-count">
+                Loops
+                <select
+                  id="loop-count"
+                  value={loopCount}
+                  onChange={(e) => setLoopCount(parseInt(e.target.value, 10))}
+                >
+                  {LOOP_OPTIONS.map(count => (
+                    <option key={count} value={count}>{count === 0 ? 'Forever' : count}</option>
+                  ))}
+                </select>
+              </label>
+              <p className="animation-hint">
+                Each frame is drawn from the first one and saved as an animated PNG; download it as a GIF for Slack or Discord.
+              </p>
+            </div>
+          )}
+
+          {stylePresets.length > 0 && (
+            <div className="form-group">
+              <label>🎨 Style</label>
+              <div className="style-presets">
+                <button
+                  type="button"
+                  className={`style-preset ${style === '' ? 'active' : ''}`}
+                  onClick={() => setStyle('')}
+                >
+                  <span className="style-preset-label">None</span>
+                  <span className="style-preset-description">Just your description</span>
+                </button>
+                {stylePresets.map(preset => (
+                  <button
+                    key={preset.id}
+                    type="button"
+                    className={`style-preset ${style === preset.id ? 'active' : ''}`}
+                    onClick={() => setStyle(preset.id)}
+                  >
+                    <span className="style-preset-label">{preset.label}</span>
+                    <span className="style-preset-description">{preset.description}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="form-group variation-group">
+            <label htmlFor="variation-count">
+              🔢 Variations
+            </label>
+            <select
+              id="variation-count"
+              value={variationCount}
+              onChange={(e) => setVariationCount(parseInt(e.target.value, 10))}
+            >
+              {Array.from({ length: MAX_VARIATIONS }, (_, index) => index + 1).map(count => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>
+            <span className="variation-cost">
+              Costs {tokenCost} token{tokenCost === 1 ? '' : 's'}
+              {animated && ` (${ANIMATION_TOKEN_COST} per animated emoji)`}
+            </span>
           </div>
 
           <button 
             type="submit" 
-            disabled={isGenerating || (!selectedFile && !description.trim())}
+            disabled={isGenerating || (referenceImages.length === 0 && !description.trim())}
             className="generate-button"
           >
-            {isGenerating ? '⏳ Generating...' : '✨ Turn into Emoji'}
+            {isGenerating
+              ? '⏳ Generating...'
+              : variationCount === 1 ? '✨ Turn into Emoji' : `✨ Generate ${variationCount} Variations`}
           </button>
           </form>
 
           {isGenerating && (
             <div className="loading">
               <div className="loading-spinner"></div>
-              <p>Creating your emoji...</p>
+              <p>{generatingCount === 1 ? 'Creating your emoji...' : `Creating ${generatingCount} variations...`}</p>
+              <p className="loading-hint">You can leave this page; we'll keep working on it.</p>
             </div>
           )}
 
-          {result && (
+          {result && result.results.length === 1 && (
             <div className="result">
               <h3>🎉 Your Emoji is Ready!</h3>
               <div className="emoji-preview">
                 <img 
-                  src={`${API_BASE_URL}${result.generatedImage}`} 
+                  src={`${API_BASE_URL}${result.results[0].generatedImage}`} 
                   alt="Generated emoji" 
                 />
               </div>
-              <button onClick={handleDownload} className="download-button">
+              <button onClick={() => handleDownload(result.results[0])} className="download-button">
                 💾 Download Emoji
               </button>
             </div>
           )}
+
+          {result && result.results.length > 1 && (
+            <div className="result">
+              <h3>🎉 Pick Your Favorites</h3>
+              <p className="variation-hint">
+                Keep the ones you like. Discarded variations are removed from My Emojis.
+              </p>
+              <div className="variation-grid">
+                {result.results.map(variation => (
+                  <div
+                    key={variation.id}
+                    className={`variation-card ${keptIds.has(variation.id) ? 'kept' : 'discarded'}`}
+                  >
+                    <img 
+                      src={`${API_BASE_URL}${variation.generatedImage}`} 
+                      alt="Generated emoji variation" 
+                      onClick={() => handleToggleKeep(variation.id)}
+                    />
+                    <label className="variation-keep">
+                      <input
+                        type="checkbox"
+                        checked={keptIds.has(variation.id)}
+                        onChange={() => handleToggleKeep(variation.id)}
+                      />
+                      Keep
+                    </label>
+                    <button 
+                      type="button"
+                      onClick={() => handleDownload(variation)} 
+                      className="variation-download"
+                      title="Download"
+                    >
+                      💾
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button 
+                onClick={handleDiscardUnkept} 
+                disabled={isDiscarding || keptIds.size === result.results.length}
+                className="download-button"
+              >
+                {isDiscarding
+                  ? '⏳ Discarding...'
+                  : `🗑️ Discard ${result.results.length - keptIds.size} Unselected`}
+              </button>
+            </div>
+          )}
         </>
+        ) : activeTab === 'my-emojis' ? (
+          <MyEmojis onBalanceChange={fetchUserTokens} />
+        ) : activeTab === 'packs' ? (
+          <Packs />
+        ) : activeTab === 'team' && activeWorkspaceId ? (
+          <Team
+            workspaceId={activeWorkspaceId}
+            userEmail={userEmail}
+            onWorkspaceUpdated={handleWorkspaceUpdated}
+            onLeft={handleLeftWorkspace}
+          />
+        ) : activeTab === 'admin' && isAdmin ? (
+          <Admin />
         ) : (
-          <MyEmojis userEmail={userEmail} />
+          <Billing onBalanceChange={fetchUserTokens} isPersonal={!activeWorkspaceId} />
         )}
       </main>
       
       {showTokenPurchase && (
         <TokenPurchase 
-          userEmail={userEmail}
           currentTokens={userTokens}
+          workspaceName={activeWorkspace?.name}
           onPurchaseComplete={() => {
             setShowTokenPurchase(false);
-            fetchUserTokens(userEmail);
+            fetchUserTokens();
           }}
           onClose={() => setShowTokenPurchase(false)}
         />
@@ -0,0 +1,327 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import './MyEmojis.css';
+import './Billing.css';
+import { API_BASE_URL } from './config';
+import { authFetch } from './auth';
+import { Transaction, TransactionType } from './types';
+
+const typeFilters: { key: TransactionType; label: string }[] = [
+  { key: 'purchase', label: '💳 Purchases' },
+  { key: 'usage', label: '✨ Usage' },
+  { key: 'refund', label: '↩️ Refunds' },
+  { key: 'bonus', label: '🎁 Bonuses' },
+  { key: 'promo', label: '🎟️ Promo Codes' },
+  { key: 'transfer_out', label: '📤 Sent' },
+  { key: 'transfer_in', label: '📥 Received' },
+  { key: 'adjustment', label: '🛠️ Adjustments' }
+];
+
+// Ledger type names as shown in the table
+const typeLabels: Record<TransactionType, string> = {
+  purchase: 'purchase',
+  usage: 'usage',
+  refund: 'refund',
+  bonus: 'bonus',
+  promo: 'promo',
+  transfer_in: 'received',
+  transfer_out: 'sent',
+  adjustment: 'adjustment'
+};
+
+const formatDate = (date: string) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+interface BillingProps {
+  onBalanceChange: () => void;
+  // Workspace ledgers are shared, so show who made each change and leave
+  // out sending tokens, which only works from a personal balance
+  isPersonal: boolean;
+}
+
+function Billing({ onBalanceChange, isPersonal }: BillingProps) {
+  const [transactions, setTransactions] = useState<Transaction[]>([]);
+  const [total, setTotal] = useState<number>(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState<boolean>(true);
+  const [isLoadingMore, setIsLoadingMore] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+  const [activeTypes, setActiveTypes] = useState<Set<TransactionType>>(new Set());
+  const [recipient, setRecipient] = useState<string>('');
+  const [transferAmount, setTransferAmount] = useState<string>('');
+  const [isTransferring, setIsTransferring] = useState<boolean>(false);
+  const requestIdRef = useRef<number>(0);
+
+  const typeQuery = Array.from(activeTypes).join(',');
+
+  const fetchTransactions = useCallback(async () => {
+    // Responses for outdated filters are ignored
+    const requestId = ++requestIdRef.current;
+
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const params = new URLSearchParams();
+      if (typeQuery) params.set('type', typeQuery);
+
+      const response = await authFetch(`/api/transactions?${params.toString()}`);
+      const data = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (response.ok) {
+        setTransactions(data.transactions);
+        setTotal(data.total);
+        setNextCursor(data.nextCursor);
+      } else {
+        setError(data.error || 'Failed to fetch transactions');
+      }
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error fetching transactions:', error);
+      setError('Failed to connect to server');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setIsLoading(false);
+      }
+    }
+  }, [typeQuery]);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]);
+
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+    const requestId = requestIdRef.current;
+
+    try {
+      setIsLoadingMore(true);
+
+      const params = new URLSearchParams({ cursor: nextCursor });
+      if (typeQuery) params.set('type', typeQuery);
+
+      const response = await authFetch(`/api/transactions?${params.toString()}`);
+      const data = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (response.ok) {
+        setTransactions(prev => [...prev, ...data.transactions]);
+        setNextCursor(data.nextCursor);
+      } else {
+        setError(data.error || 'Failed to load more transactions');
+      }
+    } catch (error) {
+      console.error('Error loading more transactions:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleToggleType = (type: TransactionType) => {
+    setActiveTypes(prev => {
+      const next = new Set(prev);
+      if (next.has(type)) {
+        next.delete(type);
+      } else {
+        next.add(type);
+      }
+      return next;
+    });
+  };
+
+  const handleTransfer = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const amount = Number(transferAmount);
+
+    if (!window.confirm(`Send ${amount} token${amount === 1 ? '' : 's'} to ${recipient}? This can't be undone.`)) {
+      return;
+    }
+
+    try {
+      setIsTransferring(true);
+
+      const response = await authFetch('/api/tokens/transfer', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: recipient, amount })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setRecipient('');
+        setTransferAmount('');
+        onBalanceChange();
+        fetchTransactions();
+      } else {
+        alert(data.error || 'Failed to send tokens');
+      }
+    } catch (error) {
+      console.error('Error sending tokens:', error);
+      alert('Failed to connect to server');
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const handleReceipt = async (transaction: Transaction) => {
+    try {
+      const response = await authFetch(`/api/transactions/${transaction.id}/receipt`);
+      const data = await response.json();
+
+      if (response.ok) {
+        window.open(data.receiptUrl, '_blank', 'noopener');
+      } else {
+        alert(data.error || 'Failed to load receipt');
+      }
+    } catch (error) {
+      console.error('Error loading receipt:', error);
+      alert('Failed to connect to server');
+    }
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>Loading your transactions...</p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <>
+          <div className="error-message">{error}</div>
+          <button onClick={fetchTransactions} className="retry-button">
+            🔄 Try Again
+          </button>
+        </>
+      );
+    }
+
+    if (transactions.length === 0) {
+      return (
+        <div className="empty-state">
+          <div className="empty-emoji">🧾</div>
+          <h3>No transactions</h3>
+          <p>{activeTypes.size > 0 ? 'Nothing matches these filters.' : 'Token purchases and usage will show up here.'}</p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="transactions-table">
+          <div className="transaction-row transaction-heading">
+            <span>Date</span>
+            <span>Description</span>
+            <span className="transaction-number">Amount</span>
+            <span className="transaction-number">Balance</span>
+            <span>Related</span>
+          </div>
+          {transactions.map(transaction => (
+            <div key={transaction.id} className="transaction-row">
+              <span className="transaction-date">{formatDate(transaction.createdAt)}</span>
+              <span>
+                <span className={`transaction-type type-${transaction.type}`}>{typeLabels[transaction.type]}</span>
+                {transaction.description}
+                {!isPersonal && <span className="transaction-member">{transaction.userEmail}</span>}
+              </span>
+              <span className={`transaction-number ${transaction.amount < 0 ? 'debit' : 'credit'}`}>
+                {transaction.amount > 0 ? '+' : ''}{transaction.amount}
+              </span>
+              <span className="transaction-number">{transaction.balanceAfter}</span>
+              <span className="transaction-links">
+                {transaction.emojis.map(emoji => (
+                  <a
+                    key={emoji.id}
+                    href={`${API_BASE_URL}${emoji.url}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    title={emoji.name}
+                  >
+                    <img src={`${API_BASE_URL}${emoji.url}`} alt={emoji.name} />
+                  </a>
+                ))}
+                {transaction.stripeSessionId && (
+                  <button onClick={() => handleReceipt(transaction)} className="secondary-button">
+                    🧾 Receipt
+                  </button>
+                )}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {nextCursor && (
+          <button onClick={handleLoadMore} disabled={isLoadingMore} className="secondary-button load-more-button">
+            {isLoadingMore ? '⏳ Loading...' : 'Load more'}
+          </button>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="my-emojis-container">
+      <div className="my-emojis-header">
+        <h2>🧾 Billing ({total})</h2>
+        <button onClick={fetchTransactions} className="refresh-button">
+          🔄 Refresh
+        </button>
+      </div>
+
+      {isPersonal && (
+        <form onSubmit={handleTransfer} className="send-tokens-form">
+          <span className="send-tokens-label">🎁 Send tokens</span>
+          <input
+            type="email"
+            value={recipient}
+            onChange={(e) => setRecipient(e.target.value)}
+            placeholder="Teammate's email"
+            required
+          />
+          <input
+            type="number"
+            min={1}
+            step={1}
+            value={transferAmount}
+            onChange={(e) => setTransferAmount(e.target.value)}
+            placeholder="Tokens"
+            required
+          />
+          <button type="submit" disabled={isTransferring} className="secondary-button">
+            {isTransferring ? '⏳ Sending...' : '📤 Send'}
+          </button>
+        </form>
+      )}
+
+      <div className="emoji-filters">
+        <div className="filter-chips">
+          {typeFilters.map(({ key, label }) => (
+            <button
+              key={key}
+              type="button"
+              className={`filter-chip ${activeTypes.has(key) ? 'active' : ''}`}
+              onClick={() => handleToggleType(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {renderContent()}
+    </div>
+  );
+}
+
+export default Billing;
@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import './MyEmojis.css';
+import { API_BASE_URL } from './config';
+import { authFetch, authDownload } from './auth';
+import { AnimatedFormat, Emoji, ExportPreset } from './types';
+
+interface EmojiCardProps {
+  emoji: Emoji;
+  presets: ExportPreset[];
+  isSelected: boolean;
+  onToggleSelect: (id: number) => void;
+  onUpdated: (emoji: Emoji) => void;
+  onDeleted: (id: number) => void;
+  onOpenVersions: (emoji: Emoji) => void;
+  onOpenEditor: (emoji: Emoji) => void;
+}
+
+const formatDate = (timestamp: number) => {
+  return new Date(timestamp).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+function EmojiCard({ emoji, presets, isSelected, onToggleSelect, onUpdated, onDeleted, onOpenVersions, onOpenEditor }: EmojiCardProps) {
+  const [isEditing, setIsEditing] = useState<boolean>(false);
+  const [showDownloadMenu, setShowDownloadMenu] = useState<boolean>(false);
+  const [downloadingPreset, setDownloadingPreset] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState<boolean>(false);
+  const [name, setName] = useState<string>(emoji.name);
+  const [description, setDescription] = useState<string>(emoji.description);
+  const [tagsInput, setTagsInput] = useState<string>(emoji.tags.join(', '));
+
+  // Download the original, or a copy resized server-side for a preset.
+  // Animated emojis can also be converted to a GIF.
+  const handleDownload = async (preset?: ExportPreset, format?: AnimatedFormat) => {
+    const params = new URLSearchParams();
+    if (preset) params.set('preset', preset.id);
+    if (format) params.set('format', format);
+    const query = params.toString() ? `?${params.toString()}` : '';
+
+    try {
+      setDownloadingPreset(preset ? preset.id : format || 'original');
+      await authDownload(`/api/emojis/${emoji.id}/download${query}`, {}, emoji.filename);
+      setShowDownloadMenu(false);
+    } catch (error) {
+      console.error('Error downloading emoji:', error);
+      alert(error instanceof Error ? error.message : 'Failed to download emoji');
+    } finally {
+      setDownloadingPreset(null);
+    }
+  };
+
+  const handleStartEdit = () => {
+    setName(emoji.name);
+    setDescription(emoji.description);
+    setTagsInput(emoji.tags.join(', '));
+    setIsEditing(true);
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+
+      const response = await authFetch(`/api/emojis/${emoji.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name,
+          description,
+          tags: tagsInput.split(',').map(tag => tag.trim()).filter(Boolean)
+        })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        onUpdated(data.emoji);
+        setIsEditing(false);
+      } else {
+        alert(data.error || 'Failed to update emoji');
+      }
+    } catch (error) {
+      console.error('Error updating emoji:', error);
+      alert('Failed to connect to server');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${emoji.name}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      const response = await authFetch(`/api/emojis/${emoji.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (response.ok) {
+        onDeleted(emoji.id);
+      } else {
+        alert(data.error || 'Failed to delete emoji');
+      }
+    } catch (error) {
+      console.error('Error deleting emoji:', error);
+      alert('Failed to connect to server');
+    }
+  };
+
+  return (
+    <div className={`emoji-card ${isSelected ? 'selected' : ''}`}>
+      <div className="emoji-image-container">
+        <input
+          type="checkbox"
+          className="emoji-select"
+          checked={isSelected}
+          onChange={() => onToggleSelect(emoji.id)}
+          title="Select emoji"
+        />
+        <img 
+          src={`${API_BASE_URL}${emoji.url}`} 
+          alt={emoji.name}
+          className="emoji-image"
+        />
+      </div>
+      
+      <div className="emoji-details">
+        {isEditing ? (
+          <form onSubmit={handleSave} className="emoji-edit-form">
+            <label htmlFor={`emoji-name-${emoji.id}`}>Name</label>
+            <input
+              id={`emoji-name-${emoji.id}`}
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={100}
+              required
+            />
+
+            <label htmlFor={`emoji-description-${emoji.id}`}>Description</label>
+            <textarea
+              id={`emoji-description-${emoji.id}`}
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              maxLength={500}
+              rows={2}
+            />
+
+            <label htmlFor={`emoji-tags-${emoji.id}`}>Tags (comma separated)</label>
+            <input
+              id={`emoji-tags-${emoji.id}`}
+              type="text"
+              value={tagsInput}
+              onChange={(e) => setTagsInput(e.target.value)}
+              placeholder="party, team, reaction"
+            />
+
+            <div className="emoji-actions">
+              <button type="submit" disabled={isSaving} className="save-button">
+                {isSaving ? '⏳ Saving...' : '💾 Save'}
+              </button>
+              <button type="button" onClick={() => setIsEditing(false)} className="secondary-button">
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <h4 className="emoji-title">{emoji.name}</h4>
+            <p className="emoji-date">{formatDate(emoji.timestamp)}</p>
+
+            {emoji.description !== emoji.name && (
+              <p className="emoji-description">{emoji.description}</p>
+            )}
+            
+            {emoji.prompt && (
+              <p className="emoji-prompt" title={emoji.prompt}>
+                💬 {emoji.prompt.substring(0, 100)}{emoji.prompt.length > 100 ? '...' : ''}
+              </p>
+            )}
+            
+            <div className="emoji-tags">
+              {emoji.animation && (
+                <span className="tag" title={`${emoji.animation.delay}ms per frame, ${emoji.animation.loop === 0 ? 'loops forever' : `plays ${emoji.animation.loop}×`}`}>
+                  🎞️ Animated · {emoji.animation.frames} frames
+                </span>
+              )}
+              {emoji.parentId && <span className="tag">{emoji.edited ? '🖌️ Customized' : '🪄 Refined'}</span>}
+              {emoji.style && <span className="tag">🎨 {emoji.style.label}</span>}
+              {emoji.emojify && <span className="tag">😊 Emojified</span>}
+              {emoji.removeBackground && <span className="tag">🎭 No BG</span>}
+              {emoji.removeBackground && emoji.hasTransparency === false && (
+                <span className="tag warning-tag" title="The background could not be removed from this image">
+                  ⚠️ Opaque
+                </span>
+              )}
+              {emoji.originalImage && <span className="tag">📷 From Image</span>}
+              {emoji.tags.map(tag => (
+                <span key={tag} className="tag user-tag">#{tag}</span>
+              ))}
+            </div>
+            
+            <div className="download-menu-container">
+              <button 
+                onClick={() => setShowDownloadMenu(!showDownloadMenu)}
+                className="download-button"
+              >
+                💾 Download ▾
+              </button>
+
+              {showDownloadMenu && (
+                <div className="download-menu">
+                  <button onClick={() => handleDownload()} disabled={downloadingPreset !== null}>
+                    {downloadingPreset === 'original' ? '⏳ ' : ''}Original
+                    {emoji.animation && <span className="download-menu-hint">Animated PNG</span>}
+                  </button>
+                  {emoji.animation && (
+                    <button onClick={() => handleDownload(undefined, 'gif')} disabled={downloadingPreset !== null}>
+                      {downloadingPreset === 'gif' ? '⏳ ' : ''}GIF
+                    </button>
+                  )}
+                  {presets.map(preset => (
+                    <button
+                      key={preset.id}
+                      onClick={() => handleDownload(preset)}
+                      disabled={downloadingPreset !== null}
+                    >
+                      {downloadingPreset === preset.id ? '⏳ ' : ''}{preset.label}
+                      <span className="download-menu-hint">
+                        {preset.size}px · {emoji.animation && `${preset.animatedFormat === 'gif' ? 'GIF' : 'APNG'} · `}
+                        {Math.round(preset.maxBytes / 1024)}KB max
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="emoji-actions">
+              <button onClick={handleStartEdit} className="secondary-button">
+                ✏️ Edit
+              </button>
+              <button onClick={() => onOpenVersions(emoji)} className="secondary-button" title="Refine this emoji and see its versions">
+                🪄 Refine
+              </button>
+              <button onClick={() => onOpenEditor(emoji)} className="secondary-button" title="Add text, a border or crop it">
+                🖌️ Customize
+              </button>
+              <button onClick={handleDelete} className="delete-button">
+                🗑️ Delete
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EmojiCard;
@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './TokenPurchase.css';
+import './EmojiEditor.css';
+import { API_BASE_URL } from './config';
+import { authFetch } from './auth';
+import { Emoji } from './types';
+
+interface EmojiEditorProps {
+  emoji: Emoji;
+  onClose: () => void;
+  // Called with the new version once it's saved
+  onSaved: (emoji: Emoji) => void;
+}
+
+type TextPosition = 'top' | 'middle' | 'bottom';
+type FrameStyle = 'none' | 'ring' | 'badge';
+
+// Size the composition is drawn and saved at
+const CANVAS_SIZE = 512;
+
+// System fonts only, so the canvas never draws with a font that hasn't loaded
+const FONTS = [
+  { id: 'impact', label: 'Impact', family: 'Impact, Haettenschweiler, "Arial Narrow Bold", sans-serif' },
+  { id: 'arial-black', label: 'Arial Black', family: '"Arial Black", "Arial Bold", Arial, sans-serif' },
+  { id: 'comic', label: 'Comic', family: '"Comic Sans MS", "Chalkboard SE", "Comic Neue", cursive' },
+  { id: 'georgia', label: 'Georgia', family: 'Georgia, "Times New Roman", serif' },
+  { id: 'mono', label: 'Monospace', family: '"Courier New", Courier, monospace' }
+];
+
+// Text wider than this share of the canvas is shrunk to fit
+const MAX_TEXT_WIDTH = 0.92;
+
+// Client-side composition: crop and zoom the emoji, add a caption and a
+// border ring or badge, then save the flattened PNG as a new version.
+// Lettering is drawn here because image models render text poorly.
+function EmojiEditor({ emoji, onClose, onSaved }: EmojiEditorProps) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const [image, setImage] = useState<ImageBitmap | null>(null);
+  const [loadError, setLoadError] = useState<string>('');
+  const [isSaving, setIsSaving] = useState<boolean>(false);
+
+  const [zoom, setZoom] = useState<number>(1);
+  // -1 to 1: how far the zoomed image is panned towards each edge
+  const [panX, setPanX] = useState<number>(0);
+  const [panY, setPanY] = useState<number>(0);
+
+  const [text, setText] = useState<string>('');
+  const [fontId, setFontId] = useState<string>(FONTS[0].id);
+  const [fontSize, setFontSize] = useState<number>(120);
+  const [textColor, setTextColor] = useState<string>('#ffffff');
+  const [strokeColor, setStrokeColor] = useState<string>('#000000');
+  const [strokeWidth, setStrokeWidth] = useState<number>(10);
+  const [textPosition, setTextPosition] = useState<TextPosition>('bottom');
+
+  const [frame, setFrame] = useState<FrameStyle>('none');
+  const [frameColor, setFrameColor] = useState<string>('#667eea');
+  const [frameWidth, setFrameWidth] = useState<number>(24);
+
+  // Decode the stored image once. Animated emojis decode to their first frame.
+  useEffect(() => {
+    let cancelled = false;
+    let bitmap: ImageBitmap | null = null;
+
+    const loadImage = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}${emoji.url}`);
+        if (!response.ok) {
+          throw new Error(`Image request failed with status ${response.status}`);
+        }
+        bitmap = await createImageBitmap(await response.blob());
+        if (cancelled) {
+          bitmap.close();
+          return;
+        }
+        setImage(bitmap);
+      } catch (error) {
+        console.error('Error loading emoji image:', error);
+        if (!cancelled) {
+          setLoadError('Failed to load the emoji image');
+        }
+      }
+    };
+
+    loadImage();
+
+    return () => {
+      cancelled = true;
+      bitmap?.close();
+    };
+  }, [emoji.url]);
+
+  // Redraw the composition whenever a setting changes
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx || !image) return;
+
+    const center = CANVAS_SIZE / 2;
+    ctx.clearRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+
+    ctx.save();
+    if (frame === 'badge') {
+      // A filled disc with the emoji cut to a circle on top of it
+      ctx.beginPath();
+      ctx.arc(center, center, center, 0, Math.PI * 2);
+      ctx.fillStyle = frameColor;
+      ctx.fill();
+      ctx.beginPath();
+      ctx.arc(center, center, center - frameWidth, 0, Math.PI * 2);
+      ctx.clip();
+    }
+
+    const scaled = CANVAS_SIZE * zoom;
+    const slack = (scaled - CANVAS_SIZE) / 2;
+    ctx.drawImage(image, -slack - panX * slack, -slack - panY * slack, scaled, scaled);
+    ctx.restore();
+
+    if (frame === 'ring') {
+      ctx.beginPath();
+      ctx.arc(center, center, center - frameWidth / 2, 0, Math.PI * 2);
+      ctx.strokeStyle = frameColor;
+      ctx.lineWidth = frameWidth;
+      ctx.stroke();
+    }
+
+    const caption = text.trim();
+    if (caption) {
+      const family = FONTS.find(font => font.id === fontId)?.family || FONTS[0].family;
+      ctx.font = `bold ${fontSize}px ${family}`;
+      const width = ctx.measureText(caption).width;
+      const size = width > CANVAS_SIZE * MAX_TEXT_WIDTH
+        ? Math.floor(fontSize * CANVAS_SIZE * MAX_TEXT_WIDTH / width)
+        : fontSize;
+      ctx.font = `bold ${size}px ${family}`;
+
+      const margin = size / 2 + strokeWidth + CANVAS_SIZE * 0.04;
+      const y = textPosition === 'top' ? margin : textPosition === 'bottom' ? CANVAS_SIZE - margin : center;
+
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      if (strokeWidth > 0) {
+        // The stroke is centered on the outline, so draw it twice as wide under the fill
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = strokeWidth * 2;
+        ctx.strokeStyle = strokeColor;
+        ctx.strokeText(caption, center, y);
+      }
+      ctx.fillStyle = textColor;
+      ctx.fillText(caption, center, y);
+    }
+  }, [image, zoom, panX, panY, text, fontId, fontSize, textColor, strokeColor, strokeWidth, textPosition, frame, frameColor, frameWidth]);
+
+  const handleReset = () => {
+    setZoom(1);
+    setPanX(0);
+    setPanY(0);
+    setText('');
+    setFrame('none');
+  };
+
+  const handleSave = async () => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    try {
+      setIsSaving(true);
+
+      const blob = await new Promise<Blob | null>(resolve => canvas.toBlob(resolve, 'image/png'));
+      if (!blob) {
+        throw new Error('Failed to render the emoji');
+      }
+
+      const formData = new FormData();
+      formData.append('image', blob, 'edited.png');
+      const caption = text.trim();
+      if (caption) {
+        formData.append('description', `${emoji.description} with "${caption}"`.slice(0, 500));
+      }
+
+      const response = await authFetch(`/api/emojis/${emoji.id}/versions`, {
+        method: 'POST',
+        body: formData
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        onSaved(data.emoji);
+      } else {
+        alert(data.error || 'Failed to save emoji');
+      }
+    } catch (error) {
+      console.error('Error saving edited emoji:', error);
+      alert(error instanceof Error ? error.message : 'Failed to connect to server');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="editor-overlay">
+      <div className="editor-modal">
+        <div className="modal-header">
+          <h2>🖌️ Customize {emoji.name}</h2>
+          <button onClick={onClose} className="close-button">✕</button>
+        </div>
+
+        <div className="editor-body">
+          <div className="editor-preview">
+            {loadError ? (
+              <div className="error-message">{loadError}</div>
+            ) : (
+              <canvas ref={canvasRef} width={CANVAS_SIZE} height={CANVAS_SIZE} className="editor-canvas" />
+            )}
+            {emoji.animation && (
+              <p className="editor-hint">Animated emojis are saved as a still made from their first frame.</p>
+            )}
+          </div>
+
+          <div className="editor-controls">
+            <fieldset>
+              <legend>🔤 Text</legend>
+              <input
+                type="text"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder="e.g. LGTM, +1, ship it"
+                maxLength={40}
+              />
+              <div className="editor-row">
+                <label>
+                  Font
+                  <select value={fontId} onChange={(e) => setFontId(e.target.value)}>
+                    {FONTS.map(font => (
+                      <option key={font.id} value={font.id}>{font.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Position
+                  <select value={textPosition} onChange={(e) => setTextPosition(e.target.value as TextPosition)}>
+                    <option value="top">Top</option>
+                    <option value="middle">Middle</option>
+                    <option value="bottom">Bottom</option>
+                  </select>
+                </label>
+              </div>
+              <label>
+                Size
+                <input type="range" min={32} max={240} value={fontSize} onChange={(e) => setFontSize(Number(e.target.value))} />
+              </label>
+              <div className="editor-row">
+                <label>
+                  Fill
+                  <input type="color" value={textColor} onChange={(e) => setTextColor(e.target.value)} />
+                </label>
+                <label>
+                  Outline
+                  <input type="color" value={strokeColor} onChange={(e) => setStrokeColor(e.target.value)} />
+                </label>
+                <label>
+                  Outline width
+                  <input type="range" min={0} max={24} value={strokeWidth} onChange={(e) => setStrokeWidth(Number(e.target.value))} />
+                </label>
+              </div>
+            </fieldset>
+
+            <fieldset>
+              <legend>⭕ Border</legend>
+              <div className="editor-row">
+                <label>
+                  Style
+                  <select value={frame} onChange={(e) => setFrame(e.target.value as FrameStyle)}>
+                    <option value="none">None</option>
+                    <option value="ring">Ring</option>
+                    <option value="badge">Badge</option>
+                  </select>
+                </label>
+                <label>
+                  Color
+                  <input type="color" value={frameColor} onChange={(e) => setFrameColor(e.target.value)} disabled={frame === 'none'} />
+                </label>
+              </div>
+              <label>
+                Width
+                <input type="range" min={4} max={64} value={frameWidth} onChange={(e) => setFrameWidth(Number(e.target.value))} disabled={frame === 'none'} />
+              </label>
+            </fieldset>
+
+            <fieldset>
+              <legend>🔍 Crop</legend>
+              <label>
+                Zoom
+                <input type="range" min={1} max={3} step={0.05} value={zoom} onChange={(e) => setZoom(Number(e.target.value))} />
+              </label>
+              <label>
+                Left / right
+                <input type="range" min={-1} max={1} step={0.05} value={panX} onChange={(e) => setPanX(Number(e.target.value))} disabled={zoom === 1} />
+              </label>
+              <label>
+                Up / down
+                <input type="range" min={-1} max={1} step={0.05} value={panY} onChange={(e) => setPanY(Number(e.target.value))} disabled={zoom === 1} />
+              </label>
+            </fieldset>
+          </div>
+        </div>
+
+        <div className="editor-actions">
+          <button type="button" onClick={handleReset} className="secondary-button" disabled={isSaving}>
+            ↺ Reset
+          </button>
+          <button type="button" onClick={handleSave} className="save-button" disabled={isSaving || !image}>
+            {isSaving ? '⏳ Saving...' : '💾 Save as New Version'}
+          </button>
+        </div>
+        <p className="editor-hint">The original is kept; the result shows up in its version history. Editing is free.</p>
+      </div>
+    </div>
+  );
+}
+
+export default EmojiEditor;
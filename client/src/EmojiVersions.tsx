@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './TokenPurchase.css';
+import './EmojiVersions.css';
+import { API_BASE_URL } from './config';
+import { authFetch } from './auth';
+import { Emoji } from './types';
+
+interface EmojiVersionsProps {
+  emoji: Emoji;
+  onClose: () => void;
+  // Called when a refinement finishes, so the library and balance can be reloaded
+  onRefined: () => void;
+}
+
+interface RefineJob {
+  status: 'queued' | 'running' | 'succeeded' | 'failed';
+  error: string | null;
+}
+
+const JOB_POLL_INTERVAL = 2000;
+
+const formatDate = (timestamp: number) => {
+  return new Date(timestamp).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Version history of an emoji, with a form to refine any version with a
+// follow-up instruction such as "make it blue"
+function EmojiVersions({ emoji, onClose, onRefined }: EmojiVersionsProps) {
+  const [versions, setVersions] = useState<Emoji[]>([]);
+  const [isLoading, setIsLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string>('');
+  // The version the next refinement starts from
+  const [selectedId, setSelectedId] = useState<number>(emoji.id);
+  const [instruction, setInstruction] = useState<string>('');
+  const [isRefining, setIsRefining] = useState<boolean>(false);
+  const [activeJobId, setActiveJobId] = useState<string | null>(null);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const response = await authFetch(`/api/emojis/${emoji.id}/versions`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setVersions(data.versions);
+      } else {
+        setError(data.error || 'Failed to load versions');
+      }
+    } catch (error) {
+      console.error('Error loading versions:', error);
+      setError('Failed to connect to server');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [emoji.id]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  // Poll the refinement job until it succeeds or fails
+  useEffect(() => {
+    if (!activeJobId) return;
+
+    let cancelled = false;
+    let timer: ReturnType<typeof setTimeout>;
+
+    const finish = () => {
+      setActiveJobId(null);
+      setIsRefining(false);
+      onRefined();
+    };
+
+    const pollJob = async () => {
+      try {
+        const response = await authFetch(`/api/jobs/${activeJobId}`);
+        const data: RefineJob = await response.json();
+        if (cancelled) return;
+
+        if (!response.ok) {
+          finish();
+          return;
+        }
+
+        if (data.status === 'succeeded') {
+          setInstruction('');
+          finish();
+          fetchVersions();
+          return;
+        }
+
+        if (data.status === 'failed') {
+          finish();
+          alert(`Failed to refine emoji: ${data.error || 'Unknown error'}. Your tokens were refunded.`);
+          return;
+        }
+      } catch (error) {
+        // Network hiccup: keep polling
+        console.error('Error polling refinement job:', error);
+      }
+
+      if (!cancelled) {
+        timer = setTimeout(pollJob, JOB_POLL_INTERVAL);
+      }
+    };
+
+    pollJob();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeJobId, fetchVersions, onRefined]);
+
+  const handleRefine = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!instruction.trim()) return;
+
+    try {
+      setIsRefining(true);
+
+      const response = await authFetch(`/api/emojis/${selectedId}/refine`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ instruction })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setActiveJobId(data.jobId);
+      } else {
+        setIsRefining(false);
+        alert(data.tokensNeeded ? 'Not enough tokens to refine this emoji.' : data.error || 'Failed to refine emoji');
+      }
+    } catch (error) {
+      console.error('Error refining emoji:', error);
+      alert('Failed to connect to server');
+      setIsRefining(false);
+    }
+  };
+
+  const selectedVersion = versions.find(version => version.id === selectedId);
+
+  const renderVersions = () => {
+    if (isLoading && versions.length === 0) {
+      return (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>Loading versions...</p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <>
+          <div className="error-message">{error}</div>
+          <button onClick={fetchVersions} className="retry-button">
+            🔄 Try Again
+          </button>
+        </>
+      );
+    }
+
+    return (
+      <ol className="version-list">
+        {versions.map((version, index) => (
+          <li key={version.id}>
+            <button
+              type="button"
+              className={`version-item ${version.id === selectedId ? 'selected' : ''}`}
+              onClick={() => setSelectedId(version.id)}
+              disabled={isRefining}
+            >
+              <img src={`${API_BASE_URL}${version.url}`} alt={version.name} className="version-image" />
+              <span className="version-details">
+                <span className="version-title">
+                  v{index + 1}
+                  {version.id === emoji.id && <span className="version-current">this emoji</span>}
+                </span>
+                <span className="version-description">
+                  {version.parentId ? `${version.edited ? '🖌️' : '🪄'} ${version.description}` : version.description}
+                </span>
+                <span className="version-date">{formatDate(version.timestamp)}</span>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    );
+  };
+
+  return (
+    <div className="versions-overlay">
+      <div className="versions-modal">
+        <div className="modal-header">
+          <h2>🕘 Versions of {emoji.name}</h2>
+          <button onClick={onClose} className="close-button">✕</button>
+        </div>
+
+        {renderVersions()}
+
+        <form onSubmit={handleRefine} className="refine-form">
+          <label htmlFor="refine-instruction">
+            Change {selectedVersion && versions.length > 1 ? `v${versions.indexOf(selectedVersion) + 1}` : 'this emoji'}
+          </label>
+          <div className="refine-row">
+            <input
+              id="refine-instruction"
+              type="text"
+              value={instruction}
+              onChange={(e) => setInstruction(e.target.value)}
+              placeholder="e.g. make it blue, add sunglasses"
+              maxLength={500}
+              disabled={isRefining}
+            />
+            <button type="submit" disabled={isRefining || !instruction.trim()} className="save-button">
+              {isRefining ? '⏳ Refining...' : '🪄 Refine (1 token)'}
+            </button>
+          </div>
+          <p className="refine-hint">
+            A new version is saved next to the original; neither one is replaced.
+            {selectedVersion?.animation && ' Refining an animated emoji gives a still version made from its first frame.'}
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default EmojiVersions;
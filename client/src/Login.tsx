@@ -1,9 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './Login.css';
 import { API_BASE_URL } from './config';
 
 interface LoginProps {
-  onLogin: (email: string, rememberMe: boolean) => void;
+  onLogin: (email: string, token: string, expiresAt: string, rememberMe: boolean) => void;
 }
 
 function Login({ onLogin }: LoginProps) {
@@ -13,19 +13,17 @@ function Login({ onLogin }: LoginProps) {
   const [step, setStep] = useState<'email' | 'verify'>('email');
   const [isLoading, setIsLoading] = useState<boolean>(false);
   const [error, setError] = useState<string>('');
+  const [resendCooldown, setResendCooldown] = useState<number>(0);
+  const [isLocked, setIsLocked] = useState<boolean>(false);
 
-  const handleEmailSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    if (!email.trim()) {
-      setError('Please enter an email address');
-      return;
-    }
-
-    if (!isValidEmail(email)) {
-      setError('Please enter a valid email address');
-      return;
-    }
+  // Count down until another code can be requested
+  useEffect(() => {
+    if (resendCooldown <= 0) return;
+    const timer = setTimeout(() => setResendCooldown(resendCooldown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendCooldown]);
 
+  const sendCode = async () => {
     setIsLoading(true);
     setError('');
 
@@ -40,7 +38,13 @@ function Login({ onLogin }: LoginProps) {
       
       if (response.ok) {
         setStep('verify');
+        setVerificationCode('');
+        setIsLocked(false);
+        setResendCooldown(data.resendAvailableIn || 0);
       } else {
+        if (response.status === 429 && data.retryAfter) {
+          setResendCooldown(data.retryAfter);
+        }
         setError(data.error || 'Failed to send verification code');
       }
     } catch (error) {
@@ -50,6 +54,21 @@ function Login({ onLogin }: LoginProps) {
     }
   };
 
+  const handleEmailSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!email.trim()) {
+      setError('Please enter an email address');
+      return;
+    }
+
+    if (!isValidEmail(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    await sendCode();
+  };
+
   const handleVerifySubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     if (!verificationCode.trim()) {
@@ -64,14 +83,17 @@ function Login({ onLogin }: LoginProps) {
       const response = await fetch(`${API_BASE_URL}/api/verify-code`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email, code: verificationCode })
+        body: JSON.stringify({ email, code: verificationCode, rememberMe })
       });
 
       const data = await response.json();
       
       if (response.ok) {
-        onLogin(email, rememberMe);
+        onLogin(data.email, data.token, data.expiresAt, rememberMe);
       } else {
+        if (data.locked) {
+          setIsLocked(true);
+        }
         setError(data.error || 'Invalid verification code');
       }
     } catch (error) {
@@ -121,8 +143,10 @@ function Login({ onLogin }: LoginProps) {
             
             {error && <div className="error-message">{error}</div>}
             
-            <button type="submit" disabled={isLoading} className="login-button">
-              {isLoading ? '📧 Sending...' : '📧 Send Code'}
+            <button type="submit" disabled={isLoading || resendCooldown > 0} className="login-button">
+              {isLoading
+                ? '📧 Sending...'
+                : resendCooldown > 0 ? `📧 Send Code (${resendCooldown}s)` : '📧 Send Code'}
             </button>
           </form>
         ) : (
@@ -140,15 +164,31 @@ function Login({ onLogin }: LoginProps) {
                 onChange={(e) => setVerificationCode(e.target.value)}
                 placeholder="123456"
                 maxLength={6}
+                disabled={isLocked}
                 required
               />
             </div>
             
             {error && <div className="error-message">{error}</div>}
             
-            <button type="submit" disabled={isLoading} className="login-button">
+            <button type="submit" disabled={isLoading || isLocked} className="login-button">
               {isLoading ? '✅ Verifying...' : '✅ Verify'}
             </button>
+
+            <p className="resend-message">
+              {resendCooldown > 0 ? (
+                <>Resend available in {resendCooldown}s</>
+              ) : (
+                <button 
+                  type="button" 
+                  onClick={sendCode}
+                  disabled={isLoading}
+                  className="resend-button"
+                >
+                  🔁 Resend code
+                </button>
+              )}
+            </p>
             
             <button 
               type="button" 
@@ -1,150 +1,527 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import './MyEmojis.css';
 import { API_BASE_URL } from './config';
+import { authFetch, authDownload } from './auth';
+import EmojiCard from './EmojiCard';
+import EmojiVersions from './EmojiVersions';
+import EmojiEditor from './EmojiEditor';
+import { Emoji, ExportPreset, Pack } from './types';
 
-interface Emoji {
-  filename: string;
-  description: string;
-  timestamp: number;
-  prompt: string;
-  removeBackground: boolean;
-  emojify: boolean;
-  originalImage: string | null;
-  url: string;
-  createdAt: string;
-}
+type SortOrder = 'newest' | 'oldest' | 'name';
+type FlagFilter = 'emojify' | 'removeBackground' | 'fromImage' | 'animated';
+
+const flagFilters: { key: FlagFilter; label: string }[] = [
+  { key: 'emojify', label: '😊 Emojified' },
+  { key: 'removeBackground', label: '🎭 No BG' },
+  { key: 'fromImage', label: '📷 From Image' },
+  { key: 'animated', label: '🎞️ Animated' }
+];
+
+// Turn a local YYYY-MM-DD date into an ISO timestamp, optionally the start of the next day
+const toIsoDate = (date: string, endOfDay = false) => {
+  const value = new Date(`${date}T00:00:00`);
+  if (endOfDay) {
+    value.setDate(value.getDate() + 1);
+  }
+  return value.toISOString();
+};
 
 interface MyEmojisProps {
-  userEmail: string;
+  // Refinements spend tokens
+  onBalanceChange: () => void;
 }
 
-function MyEmojis({ userEmail }: MyEmojisProps) {
+function MyEmojis({ onBalanceChange }: MyEmojisProps) {
   const [emojis, setEmojis] = useState<Emoji[]>([]);
+  const [total, setTotal] = useState<number>(0);
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [error, setError] = useState<string>('');
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoadingMore, setIsLoadingMore] = useState<boolean>(false);
+  const [selectedIds, setSelectedIds] = useState<Set<number>>(new Set());
+  const [isDeleting, setIsDeleting] = useState<boolean>(false);
+  const [isExporting, setIsExporting] = useState<boolean>(false);
+  const [exportPreset, setExportPreset] = useState<string>('');
+  const [searchInput, setSearchInput] = useState<string>('');
+  const [search, setSearch] = useState<string>('');
+  const [activeFlags, setActiveFlags] = useState<Set<FlagFilter>>(new Set());
+  const [fromDate, setFromDate] = useState<string>('');
+  const [toDate, setToDate] = useState<string>('');
+  const [sort, setSort] = useState<SortOrder>('newest');
+  const [presets, setPresets] = useState<ExportPreset[]>([]);
+  const [packs, setPacks] = useState<Pack[]>([]);
+  const [isAddingToPack, setIsAddingToPack] = useState<boolean>(false);
+  // The emoji whose version history is open
+  const [versionsEmoji, setVersionsEmoji] = useState<Emoji | null>(null);
+  // The emoji open in the editor
+  const [editorEmoji, setEditorEmoji] = useState<Emoji | null>(null);
+  const requestIdRef = useRef<number>(0);
+  const sentinelRef = useRef<HTMLDivElement | null>(null);
+
+  // Export presets for the per-emoji download menu
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/export-presets`)
+      .then(response => response.json())
+      .then(data => setPresets(data.presets || []))
+      .catch(error => console.error('Error fetching export presets:', error));
+  }, []);
+
+  // Packs for the "Add to Pack" action
+  useEffect(() => {
+    authFetch('/api/packs')
+      .then(response => response.json())
+      .then(data => setPacks(data.packs || []))
+      .catch(error => console.error('Error fetching packs:', error));
+  }, []);
+
+  // Wait for the user to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const queryString = useMemo(() => {
+    const params = new URLSearchParams({ sort });
+    if (search) params.set('q', search);
+    activeFlags.forEach(flag => params.set(flag, 'true'));
+    if (fromDate) params.set('from', toIsoDate(fromDate));
+    if (toDate) params.set('to', toIsoDate(toDate, true));
+    return params.toString();
+  }, [search, activeFlags, fromDate, toDate, sort]);
+
+  const hasFilters = search !== '' || activeFlags.size > 0 || fromDate !== '' || toDate !== '';
 
   const fetchMyEmojis = useCallback(async () => {
+    // Responses for outdated filters are ignored
+    const requestId = ++requestIdRef.current;
+
     try {
       setIsLoading(true);
       setError('');
 
-      const response = await fetch(`${API_BASE_URL}/api/my-emojis/${encodeURIComponent(userEmail)}`);
+      const response = await authFetch(`/api/my-emojis?${queryString}`);
       const data = await response.json();
+      if (requestId !== requestIdRef.current) return;
 
       if (response.ok) {
         setEmojis(data.emojis);
+        setTotal(data.total);
+        setNextCursor(data.nextCursor);
+        setSelectedIds(new Set());
       } else {
         setError(data.error || 'Failed to fetch emojis');
       }
     } catch (error) {
+      if (requestId !== requestIdRef.current) return;
       console.error('Error fetching emojis:', error);
       setError('Failed to connect to server');
     } finally {
-      setIsLoading(false);
+      if (requestId === requestIdRef.current) {
+        setIsLoading(false);
+      }
     }
-  }, [userEmail]);
+  }, [queryString]);
 
   useEffect(() => {
     fetchMyEmojis();
   }, [fetchMyEmojis]);
 
-  const handleDownload = (emoji: Emoji) => {
-    const link = document.createElement('a');
-    link.href = `${API_BASE_URL}${emoji.url}`;
-    link.download = `${emoji.description.replace(/[^a-zA-Z0-9]/g, '_')}_${emoji.filename}`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  const handleLoadMore = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+    const requestId = requestIdRef.current;
+
+    try {
+      setIsLoadingMore(true);
+
+      const response = await authFetch(`/api/my-emojis?${queryString}&cursor=${encodeURIComponent(nextCursor)}`);
+      const data = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (response.ok) {
+        setEmojis(prev => [...prev, ...data.emojis]);
+        setNextCursor(data.nextCursor);
+      } else {
+        setError(data.error || 'Failed to load more emojis');
+      }
+    } catch (error) {
+      console.error('Error loading more emojis:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [nextCursor, isLoadingMore, queryString]);
+
+  // Infinite scroll: load the next page when the sentinel below the grid comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        handleLoadMore();
+      }
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, handleLoadMore]);
+
+  const handleToggleFlag = (flag: FlagFilter) => {
+    setActiveFlags(prev => {
+      const next = new Set(prev);
+      if (next.has(flag)) {
+        next.delete(flag);
+      } else {
+        next.add(flag);
+      }
+      return next;
+    });
+  };
+
+  const handleClearFilters = () => {
+    setSearchInput('');
+    setSearch('');
+    setActiveFlags(new Set());
+    setFromDate('');
+    setToDate('');
   };
 
-  const formatDate = (timestamp: number) => {
-    return new Date(timestamp).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
+  const handleToggleSelect = (id: number) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
     });
   };
 
-  if (isLoading) {
-    return (
-      <div className="my-emojis-container">
+  const handleSelectAll = () => {
+    if (selectedIds.size === emojis.length) {
+      setSelectedIds(new Set());
+    } else {
+      setSelectedIds(new Set(emojis.map(emoji => emoji.id)));
+    }
+  };
+
+  // New versions are saved as new emojis, so reload the list
+  const handleRefined = useCallback(() => {
+    onBalanceChange();
+    fetchMyEmojis();
+  }, [onBalanceChange, fetchMyEmojis]);
+
+  const handleCustomized = () => {
+    setEditorEmoji(null);
+    fetchMyEmojis();
+  };
+
+  const handleUpdated = (updated: Emoji) => {
+    setEmojis(prev => prev.map(emoji => emoji.id === updated.id ? updated : emoji));
+  };
+
+  const removeEmojis = (ids: number[]) => {
+    setEmojis(prev => prev.filter(emoji => !ids.includes(emoji.id)));
+    setTotal(prev => Math.max(prev - ids.length, 0));
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      ids.forEach(id => next.delete(id));
+      return next;
+    });
+  };
+
+  const handleBulkDelete = async () => {
+    const ids = Array.from(selectedIds);
+    if (ids.length === 0) return;
+
+    if (!window.confirm(`Delete ${ids.length} emoji${ids.length === 1 ? '' : 's'}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setIsDeleting(true);
+
+      const response = await authFetch('/api/emojis/bulk-delete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        removeEmojis(data.deleted);
+      } else {
+        alert(data.error || 'Failed to delete emojis');
+      }
+    } catch (error) {
+      console.error('Error deleting emojis:', error);
+      alert('Failed to connect to server');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  // Add the selection to an existing pack, or to a new one
+  const handleAddToPack = async (packValue: string) => {
+    const ids = Array.from(selectedIds);
+    if (ids.length === 0 || !packValue) return;
+
+    let request: { path: string; body: object };
+    if (packValue === 'new') {
+      const name = window.prompt('Name for the new pack');
+      if (!name || !name.trim()) return;
+      request = { path: '/api/packs', body: { name, emojiIds: ids } };
+    } else {
+      request = { path: `/api/packs/${packValue}/emojis`, body: { ids } };
+    }
+
+    try {
+      setIsAddingToPack(true);
+
+      const response = await authFetch(request.path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request.body)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        const pack: Pack = data.pack;
+        setPacks(prev => [pack, ...prev.filter(p => p.id !== pack.id)]);
+        alert(`📦 Added to "${pack.name}"`);
+      } else {
+        alert(data.error || 'Failed to add emojis to pack');
+      }
+    } catch (error) {
+      console.error('Error adding emojis to pack:', error);
+      alert('Failed to connect to server');
+    } finally {
+      setIsAddingToPack(false);
+    }
+  };
+
+  // Download the selection (or the whole library) as a ZIP with a manifest
+  const handleExport = async () => {
+    const ids = Array.from(selectedIds);
+
+    try {
+      setIsExporting(true);
+
+      await authDownload('/api/emojis/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ids: ids.length > 0 ? ids : undefined,
+          preset: exportPreset || undefined
+        })
+      }, 'emojis.zip');
+    } catch (error) {
+      console.error('Error exporting emojis:', error);
+      alert(error instanceof Error ? error.message : 'Failed to export emojis');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
         <div className="loading">
           <div className="loading-spinner"></div>
           <p>Loading your emojis...</p>
         </div>
-      </div>
-    );
-  }
+      );
+    }
+
+    if (error) {
+      return (
+        <>
+          <div className="error-message">{error}</div>
+          <button onClick={fetchMyEmojis} className="retry-button">
+            🔄 Try Again
+          </button>
+        </>
+      );
+    }
+
+    if (emojis.length === 0) {
+      return hasFilters ? (
+        <div className="empty-state">
+          <div className="empty-emoji">🔍</div>
+          <h3>No matching emojis</h3>
+          <p>Try a different search or clear your filters.</p>
+        </div>
+      ) : (
+        <div className="empty-state">
+          <div className="empty-emoji">😔</div>
+          <h3>No emojis yet</h3>
+          <p>Start creating some emojis and they'll appear here!</p>
+        </div>
+      );
+    }
 
-  if (error) {
     return (
-      <div className="my-emojis-container">
-        <div className="error-message">{error}</div>
-        <button onClick={fetchMyEmojis} className="retry-button">
-          🔄 Try Again
-        </button>
-      </div>
+      <>
+        <div className="emojis-grid">
+          {emojis.map((emoji) => (
+            <EmojiCard
+              key={emoji.id}
+              emoji={emoji}
+              presets={presets}
+              isSelected={selectedIds.has(emoji.id)}
+              onToggleSelect={handleToggleSelect}
+              onUpdated={handleUpdated}
+              onDeleted={(id) => removeEmojis([id])}
+              onOpenVersions={setVersionsEmoji}
+              onOpenEditor={setEditorEmoji}
+            />
+          ))}
+        </div>
+
+        {nextCursor && (
+          <div ref={sentinelRef} className="load-more">
+            {isLoadingMore && <div className="loading-spinner"></div>}
+          </div>
+        )}
+      </>
     );
-  }
+  };
 
   return (
     <div className="my-emojis-container">
       <div className="my-emojis-header">
-        <h2>📚 My Emojis ({emojis.length})</h2>
-        <button onClick={fetchMyEmojis} className="refresh-button">
-          🔄 Refresh
-        </button>
+        <h2>📚 My Emojis ({total})</h2>
+        <div className="my-emojis-actions">
+          {emojis.length > 0 && (
+            <button onClick={handleSelectAll} className="secondary-button">
+              {selectedIds.size === emojis.length ? '☐ Clear Selection' : '☑️ Select All'}
+            </button>
+          )}
+          {emojis.length > 0 && (
+            <div className="export-controls">
+              <select
+                value={exportPreset}
+                onChange={(e) => setExportPreset(e.target.value)}
+                aria-label="Export size"
+              >
+                <option value="">Original size</option>
+                {presets.map(preset => (
+                  <option key={preset.id} value={preset.id}>{preset.label}</option>
+                ))}
+              </select>
+              <button onClick={handleExport} disabled={isExporting} className="secondary-button">
+                {isExporting
+                  ? '⏳ Exporting...'
+                  : selectedIds.size > 0 ? `📦 Export Selected (${selectedIds.size})` : '📦 Export All'}
+              </button>
+            </div>
+          )}
+          {selectedIds.size > 0 && (
+            <select
+              className="add-to-pack-select"
+              value=""
+              onChange={(e) => handleAddToPack(e.target.value)}
+              disabled={isAddingToPack}
+              aria-label="Add to pack"
+            >
+              <option value="">{isAddingToPack ? '⏳ Adding...' : `📦 Add to Pack (${selectedIds.size})`}</option>
+              {packs.map(pack => (
+                <option key={pack.id} value={pack.id}>{pack.name}</option>
+              ))}
+              <option value="new">➕ New pack...</option>
+            </select>
+          )}
+          {selectedIds.size > 0 && (
+            <button onClick={handleBulkDelete} disabled={isDeleting} className="delete-button">
+              {isDeleting ? '⏳ Deleting...' : `🗑️ Delete Selected (${selectedIds.size})`}
+            </button>
+          )}
+          <button onClick={fetchMyEmojis} className="refresh-button">
+            🔄 Refresh
+          </button>
+        </div>
       </div>
 
-      {emojis.length === 0 ? (
-        <div className="empty-state">
-          <div className="empty-emoji">😔</div>
-          <h3>No emojis yet</h3>
-          <p>Start creating some emojis and they'll appear here!</p>
+      <div className="emoji-filters">
+        <div className="filter-row">
+          <input
+            type="search"
+            className="search-input"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="🔍 Search names, descriptions, prompts and tags..."
+          />
+          <select
+            className="sort-select"
+            value={sort}
+            onChange={(e) => setSort(e.target.value as SortOrder)}
+            aria-label="Sort order"
+          >
+            <option value="newest">Newest first</option>
+            <option value="oldest">Oldest first</option>
+            <option value="name">Name (A–Z)</option>
+          </select>
         </div>
-      ) : (
-        <div className="emojis-grid">
-          {emojis.map((emoji, index) => (
-            <div key={`${emoji.filename}-${index}`} className="emoji-card">
-              <div className="emoji-image-container">
-                <img 
-                  src={`${API_BASE_URL}${emoji.url}`} 
-                  alt={emoji.description}
-                  className="emoji-image"
-                />
-              </div>
-              
-              <div className="emoji-details">
-                <h4 className="emoji-title">{emoji.description}</h4>
-                <p className="emoji-date">{formatDate(emoji.timestamp)}</p>
-                
-                {emoji.prompt && (
-                  <p className="emoji-prompt" title={emoji.prompt}>
-                    💬 {emoji.prompt.substring(0, 100)}{emoji.prompt.length > 100 ? '...' : ''}
-                  </p>
-                )}
-                
-                <div className="emoji-tags">
-                  {emoji.emojify && <span className="tag">😊 Emojified</span>}
-                  {emoji.removeBackground && <span className="tag">🎭 No BG</span>}
-                  {emoji.originalImage && <span className="tag">📷 From Image</span>}
-                </div>
-                
-                <button 
-                  onClick={() => handleDownload(emoji)}
-                  className="download-button"
-                >
-                  💾 Download
-                </button>
-              </div>
-            </div>
-          ))}
+
+        <div className="filter-row">
+          <div className="filter-chips">
+            {flagFilters.map(({ key, label }) => (
+              <button
+                key={key}
+                type="button"
+                className={`filter-chip ${activeFlags.has(key) ? 'active' : ''}`}
+                onClick={() => handleToggleFlag(key)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="date-range">
+            <input
+              type="date"
+              value={fromDate}
+              max={toDate || undefined}
+              onChange={(e) => setFromDate(e.target.value)}
+              aria-label="From date"
+            />
+            <span>–</span>
+            <input
+              type="date"
+              value={toDate}
+              min={fromDate || undefined}
+              onChange={(e) => setToDate(e.target.value)}
+              aria-label="To date"
+            />
+          </div>
+
+          {hasFilters && (
+            <button type="button" onClick={handleClearFilters} className="clear-filters-button">
+              ✕ Clear
+            </button>
+          )}
         </div>
+      </div>
+
+      {renderContent()}
+
+      {versionsEmoji && (
+        <EmojiVersions
+          emoji={versionsEmoji}
+          onClose={() => setVersionsEmoji(null)}
+          onRefined={handleRefined}
+        />
+      )}
+
+      {editorEmoji && (
+        <EmojiEditor
+          emoji={editorEmoji}
+          onClose={() => setEditorEmoji(null)}
+          onSaved={handleCustomized}
+        />
       )}
     </div>
   );
 }
 
-export default MyEmojis;
\ No newline at end of file
+export default MyEmojis;
@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './MyEmojis.css';
+import './Packs.css';
+import { API_BASE_URL } from './config';
+import { authFetch } from './auth';
+import { Emoji, Pack } from './types';
+
+// Public link for a shared pack, served by the client's /packs/<slug> page
+export const getShareUrl = (slug: string) => `${window.location.origin}/packs/${slug}`;
+
+function Packs() {
+  const [packs, setPacks] = useState<Pack[]>([]);
+  const [isLoading, setIsLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string>('');
+  const [newName, setNewName] = useState<string>('');
+  const [newDescription, setNewDescription] = useState<string>('');
+  const [isCreating, setIsCreating] = useState<boolean>(false);
+  const [openPack, setOpenPack] = useState<Pack | null>(null);
+  const [packEmojis, setPackEmojis] = useState<Emoji[]>([]);
+  const [isLoadingPack, setIsLoadingPack] = useState<boolean>(false);
+  const [isSharing, setIsSharing] = useState<boolean>(false);
+
+  const fetchPacks = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const response = await authFetch('/api/packs');
+      const data = await response.json();
+
+      if (response.ok) {
+        setPacks(data.packs);
+      } else {
+        setError(data.error || 'Failed to fetch packs');
+      }
+    } catch (error) {
+      console.error('Error fetching packs:', error);
+      setError('Failed to connect to server');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPacks();
+  }, [fetchPacks]);
+
+  const replacePack = (updated: Pack) => {
+    setPacks(prev => prev.map(pack => pack.id === updated.id ? updated : pack));
+    setOpenPack(prev => prev && prev.id === updated.id ? updated : prev);
+  };
+
+  const handleCreate = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!newName.trim()) return;
+
+    try {
+      setIsCreating(true);
+
+      const response = await authFetch('/api/packs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newName, description: newDescription })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setPacks(prev => [data.pack, ...prev]);
+        setNewName('');
+        setNewDescription('');
+      } else {
+        alert(data.error || 'Failed to create pack');
+      }
+    } catch (error) {
+      console.error('Error creating pack:', error);
+      alert('Failed to connect to server');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleOpen = async (pack: Pack) => {
+    try {
+      setOpenPack(pack);
+      setPackEmojis([]);
+      setIsLoadingPack(true);
+
+      const response = await authFetch(`/api/packs/${pack.id}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        replacePack(data.pack);
+        setPackEmojis(data.emojis);
+      } else {
+        alert(data.error || 'Failed to load pack');
+        setOpenPack(null);
+      }
+    } catch (error) {
+      console.error('Error loading pack:', error);
+      alert('Failed to connect to server');
+      setOpenPack(null);
+    } finally {
+      setIsLoadingPack(false);
+    }
+  };
+
+  const handleRename = async (pack: Pack) => {
+    const name = window.prompt('Pack name', pack.name);
+    if (name === null || !name.trim() || name === pack.name) return;
+
+    try {
+      const response = await authFetch(`/api/packs/${pack.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        replacePack(data.pack);
+      } else {
+        alert(data.error || 'Failed to rename pack');
+      }
+    } catch (error) {
+      console.error('Error renaming pack:', error);
+      alert('Failed to connect to server');
+    }
+  };
+
+  const handleDelete = async (pack: Pack) => {
+    if (!window.confirm(`Delete the pack "${pack.name}"? The emojis stay in My Emojis.`)) {
+      return;
+    }
+
+    try {
+      const response = await authFetch(`/api/packs/${pack.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (response.ok) {
+        setPacks(prev => prev.filter(p => p.id !== pack.id));
+        setOpenPack(null);
+      } else {
+        alert(data.error || 'Failed to delete pack');
+      }
+    } catch (error) {
+      console.error('Error deleting pack:', error);
+      alert('Failed to connect to server');
+    }
+  };
+
+  const handleToggleShare = async (pack: Pack) => {
+    if (pack.shareSlug && !window.confirm('Stop sharing this pack? The current link will stop working.')) {
+      return;
+    }
+
+    try {
+      setIsSharing(true);
+
+      const response = await authFetch(`/api/packs/${pack.id}/share`, {
+        method: pack.shareSlug ? 'DELETE' : 'POST'
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        replacePack(data.pack);
+      } else {
+        alert(data.error || 'Failed to update sharing');
+      }
+    } catch (error) {
+      console.error('Error updating sharing:', error);
+      alert('Failed to connect to server');
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  const handleCopyLink = async (slug: string) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(slug));
+      alert('📋 Link copied to clipboard');
+    } catch (error) {
+      window.prompt('Copy this link', getShareUrl(slug));
+    }
+  };
+
+  const handleRemoveEmoji = async (pack: Pack, emojiId: number) => {
+    try {
+      const response = await authFetch(`/api/packs/${pack.id}/emojis/${emojiId}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (response.ok) {
+        setPackEmojis(prev => prev.filter(emoji => emoji.id !== emojiId));
+        replacePack({ ...pack, emojiCount: pack.emojiCount - 1 });
+      } else {
+        alert(data.error || 'Failed to remove emoji from pack');
+      }
+    } catch (error) {
+      console.error('Error removing emoji from pack:', error);
+      alert('Failed to connect to server');
+    }
+  };
+
+  if (openPack) {
+    return (
+      <div className="my-emojis-container">
+        <div className="my-emojis-header">
+          <div>
+            <button onClick={() => setOpenPack(null)} className="back-button">
+              ← All packs
+            </button>
+            <h2>📦 {openPack.name} ({openPack.emojiCount})</h2>
+            {openPack.description && <p className="pack-description">{openPack.description}</p>}
+          </div>
+          <div className="my-emojis-actions">
+            <button onClick={() => handleRename(openPack)} className="secondary-button">
+              ✏️ Rename
+            </button>
+            <button onClick={() => handleToggleShare(openPack)} disabled={isSharing} className="secondary-button">
+              {openPack.shareSlug ? '🔒 Stop Sharing' : '🔗 Share'}
+            </button>
+            <button onClick={() => handleDelete(openPack)} className="delete-button">
+              🗑️ Delete Pack
+            </button>
+          </div>
+        </div>
+
+        {openPack.shareSlug && (
+          <div className="share-link">
+            <span>Anyone with this link can view and copy the pack:</span>
+            <code>{getShareUrl(openPack.shareSlug)}</code>
+            <button onClick={() => handleCopyLink(openPack.shareSlug!)} className="secondary-button">
+              📋 Copy Link
+            </button>
+          </div>
+        )}
+
+        {isLoadingPack ? (
+          <div className="loading">
+            <div className="loading-spinner"></div>
+            <p>Loading pack...</p>
+          </div>
+        ) : packEmojis.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-emoji">📭</div>
+            <h3>This pack is empty</h3>
+            <p>Select emojis in My Emojis and use "Add to Pack".</p>
+          </div>
+        ) : (
+          <div className="pack-emojis-grid">
+            {packEmojis.map(emoji => (
+              <div key={emoji.id} className="pack-emoji">
+                <img src={`${API_BASE_URL}${emoji.url}`} alt={emoji.name} />
+                <span className="pack-emoji-name" title={emoji.name}>{emoji.name}</span>
+                <button
+                  onClick={() => handleRemoveEmoji(openPack, emoji.id)}
+                  className="pack-emoji-remove"
+                  title="Remove from pack"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="my-emojis-container">
+      <div className="my-emojis-header">
+        <h2>📦 My Packs ({packs.length})</h2>
+        <button onClick={fetchPacks} className="refresh-button">
+          🔄 Refresh
+        </button>
+      </div>
+
+      <form onSubmit={handleCreate} className="pack-create-form">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New pack name"
+          maxLength={100}
+        />
+        <input
+          type="text"
+          value={newDescription}
+          onChange={(e) => setNewDescription(e.target.value)}
+          placeholder="Description (optional)"
+          maxLength={500}
+        />
+        <button type="submit" disabled={isCreating || !newName.trim()} className="save-button">
+          {isCreating ? '⏳ Creating...' : '➕ Create Pack'}
+        </button>
+      </form>
+
+      {isLoading ? (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>Loading your packs...</p>
+        </div>
+      ) : error ? (
+        <>
+          <div className="error-message">{error}</div>
+          <button onClick={fetchPacks} className="retry-button">
+            🔄 Try Again
+          </button>
+        </>
+      ) : packs.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-emoji">📦</div>
+          <h3>No packs yet</h3>
+          <p>Create a pack to group emojis and share them with others.</p>
+        </div>
+      ) : (
+        <div className="packs-grid">
+          {packs.map(pack => (
+            <button key={pack.id} onClick={() => handleOpen(pack)} className="pack-card">
+              <h3>{pack.name}</h3>
+              {pack.description && <p>{pack.description}</p>}
+              <div className="emoji-tags">
+                <span className="tag">{pack.emojiCount} emoji{pack.emojiCount === 1 ? '' : 's'}</span>
+                {pack.shareSlug && <span className="tag">🔗 Shared</span>}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Packs;
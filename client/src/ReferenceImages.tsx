@@ -0,0 +1,173 @@
+import React, { useState, useRef } from 'react';
+import './ReferenceImages.css';
+import { ReferenceImage, ReferenceRole } from './types';
+
+interface ReferenceImagesProps {
+  images: ReferenceImage[];
+  onChange: (images: ReferenceImage[]) => void;
+  roles: ReferenceRole[];
+  maxImages: number;
+  disabled?: boolean;
+}
+
+let nextImageId = 0;
+
+// Drop zone for the reference images of a generation. Each image gets a
+// role, and the order is kept, so the prompt can say "image 1 is ..."
+function ReferenceImages({ images, onChange, roles, maxImages, disabled = false }: ReferenceImagesProps) {
+  const [isDragOver, setIsDragOver] = useState<boolean>(false);
+  // Index of the thumbnail being dragged to a new position
+  const [draggedIndex, setDraggedIndex] = useState<number | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const addFiles = (files: FileList | null) => {
+    if (!files) return;
+
+    const imageFiles = Array.from(files).filter(file => file.type.startsWith('image/'));
+    const room = maxImages - images.length;
+    if (imageFiles.length > room) {
+      alert(`You can use up to ${maxImages} reference images.`);
+    }
+
+    const added = imageFiles.slice(0, Math.max(room, 0)).map(file => ({
+      id: `image-${nextImageId++}`,
+      file,
+      previewUrl: URL.createObjectURL(file),
+      role: 'subject'
+    }));
+    if (added.length > 0) {
+      onChange([...images, ...added]);
+    }
+  };
+
+  const handleFileSelect = (event: React.ChangeEvent<HTMLInputElement>) => {
+    addFiles(event.target.files);
+    // Allow picking the same file again after removing it
+    event.target.value = '';
+  };
+
+  const handleDrop = (event: React.DragEvent<HTMLDivElement>) => {
+    event.preventDefault();
+    setIsDragOver(false);
+    if (disabled || draggedIndex !== null) return;
+    addFiles(event.dataTransfer.files);
+  };
+
+  const moveImage = (from: number, to: number) => {
+    if (to < 0 || to >= images.length || from === to) return;
+    const reordered = [...images];
+    const [moved] = reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    onChange(reordered);
+  };
+
+  const handleRoleChange = (index: number, role: string) => {
+    onChange(images.map((image, i) => i === index ? { ...image, role } : image));
+  };
+
+  const handleRemove = (index: number) => {
+    URL.revokeObjectURL(images[index].previewUrl);
+    onChange(images.filter((_, i) => i !== index));
+  };
+
+  const isFull = images.length >= maxImages;
+
+  return (
+    <div className="reference-images">
+      {images.length > 0 && (
+        <ol className="reference-list">
+          {images.map((image, index) => (
+            <li
+              key={image.id}
+              className={`reference-item ${draggedIndex === index ? 'dragging' : ''}`}
+              draggable={!disabled}
+              onDragStart={() => setDraggedIndex(index)}
+              onDragEnd={() => setDraggedIndex(null)}
+              onDragOver={(e) => {
+                e.preventDefault();
+                if (draggedIndex !== null && draggedIndex !== index) {
+                  moveImage(draggedIndex, index);
+                  setDraggedIndex(index);
+                }
+              }}
+            >
+              <span className="reference-number">{index + 1}</span>
+              <img src={image.previewUrl} alt={`Reference ${index + 1}`} />
+              <select
+                value={image.role}
+                onChange={(e) => handleRoleChange(index, e.target.value)}
+                disabled={disabled}
+                title={roles.find(role => role.id === image.role)?.description}
+              >
+                {roles.map(role => (
+                  <option key={role.id} value={role.id}>{role.label}</option>
+                ))}
+              </select>
+              <div className="reference-actions">
+                <button
+                  type="button"
+                  onClick={() => moveImage(index, index - 1)}
+                  disabled={disabled || index === 0}
+                  title="Move earlier"
+                >
+                  ←
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(index)}
+                  disabled={disabled}
+                  className="reference-remove"
+                  title="Remove image"
+                >
+                  ✕
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveImage(index, index + 1)}
+                  disabled={disabled || index === images.length - 1}
+                  title="Move later"
+                >
+                  →
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {!isFull && (
+        <div
+          className={`reference-dropzone ${isDragOver ? 'drag-over' : ''}`}
+          onClick={() => !disabled && fileInputRef.current?.click()}
+          onDragOver={(e) => {
+            e.preventDefault();
+            if (draggedIndex === null) setIsDragOver(true);
+          }}
+          onDragLeave={() => setIsDragOver(false)}
+          onDrop={handleDrop}
+        >
+          <p>
+            Drop images here or click to choose
+            <span className="reference-hint">
+              {images.length === 0
+                ? `Up to ${maxImages}: a photo of who it's of, a style to copy, a logo or hat to add`
+                : `${maxImages - images.length} more allowed`}
+            </span>
+          </p>
+          <input
+            id="image-upload"
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleFileSelect}
+            disabled={disabled}
+            hidden
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReferenceImages;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import './MyEmojis.css';
+import './Packs.css';
+import { API_BASE_URL } from './config';
+import { authFetch } from './auth';
+import { SharedPack as SharedPackData } from './types';
+
+interface SharedPackProps {
+  slug: string;
+  isAuthenticated: boolean;
+  onLoginRequest: () => void;
+  onOpenApp: () => void;
+}
+
+// Read-only page for a pack someone shared at /packs/<slug>. Works without
+// logging in; copying the pack into your library needs a session.
+function SharedPack({ slug, isAuthenticated, onLoginRequest, onOpenApp }: SharedPackProps) {
+  const [pack, setPack] = useState<SharedPackData | null>(null);
+  const [isLoading, setIsLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string>('');
+  const [isCopying, setIsCopying] = useState<boolean>(false);
+
+  useEffect(() => {
+    const fetchPack = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/shared-packs/${encodeURIComponent(slug)}`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setPack(data.pack);
+        } else {
+          setError(data.error || 'Failed to load pack');
+        }
+      } catch (error) {
+        console.error('Error loading shared pack:', error);
+        setError('Failed to connect to server');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchPack();
+  }, [slug]);
+
+  const handleCopy = async () => {
+    try {
+      setIsCopying(true);
+
+      const response = await authFetch(`/api/shared-packs/${encodeURIComponent(slug)}/copy`, { method: 'POST' });
+      const data = await response.json();
+
+      if (response.ok) {
+        alert(`🎉 Copied ${data.copied} emoji${data.copied === 1 ? '' : 's'} into your library`);
+        onOpenApp();
+      } else {
+        alert(data.error || 'Failed to copy pack');
+      }
+    } catch (error) {
+      console.error('Error copying pack:', error);
+      alert('Failed to connect to server');
+    } finally {
+      setIsCopying(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>Loading pack...</p>
+        </div>
+      );
+    }
+
+    if (error || !pack) {
+      return (
+        <div className="empty-state">
+          <div className="empty-emoji">🔍</div>
+          <h3>Pack not found</h3>
+          <p>The link may be wrong, or the owner stopped sharing this pack.</p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="my-emojis-header">
+          <div>
+            <h2>📦 {pack.name} ({pack.emojiCount})</h2>
+            {pack.description && <p className="pack-description">{pack.description}</p>}
+          </div>
+          <div className="shared-pack-actions">
+            {isAuthenticated ? (
+              <button onClick={handleCopy} disabled={isCopying || pack.emojiCount === 0} className="save-button">
+                {isCopying ? '⏳ Copying...' : '📥 Copy to My Library'}
+              </button>
+            ) : (
+              <button onClick={onLoginRequest} className="save-button">
+                🔑 Log in to Copy
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="pack-emojis-grid">
+          {pack.emojis.map(emoji => (
+            <div key={emoji.id} className="pack-emoji" title={emoji.description}>
+              <img src={`${API_BASE_URL}${emoji.url}`} alt={emoji.name} />
+              <span className="pack-emoji-name">{emoji.name}</span>
+            </div>
+          ))}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="shared-pack-page">
+      <div className="my-emojis-container">
+        <button onClick={onOpenApp} className="back-button">
+          🎨 Emoji Generator
+        </button>
+        {renderContent()}
+      </div>
+    </div>
+  );
+}
+
+export default SharedPack;
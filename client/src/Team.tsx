@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './MyEmojis.css';
+import './Team.css';
+import { authFetch } from './auth';
+import { Workspace, WorkspaceMember, WorkspaceRole } from './types';
+
+interface TeamProps {
+  workspaceId: number;
+  userEmail: string;
+  onWorkspaceUpdated: (workspace: Workspace) => void;
+  onLeft: () => void;
+}
+
+const roleLabels: Record<WorkspaceRole, string> = {
+  owner: '👑 Owner',
+  admin: '🛠️ Admin',
+  member: '👤 Member'
+};
+
+const formatDate = (date: string) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+// Members and roles of the active workspace. Owners and admins can add and
+// remove members; only owners can change roles.
+function Team({ workspaceId, userEmail, onWorkspaceUpdated, onLeft }: TeamProps) {
+  const [workspace, setWorkspace] = useState<Workspace | null>(null);
+  const [members, setMembers] = useState<WorkspaceMember[]>([]);
+  const [isLoading, setIsLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string>('');
+  const [newEmail, setNewEmail] = useState<string>('');
+  const [newRole, setNewRole] = useState<WorkspaceRole>('member');
+  const [isAdding, setIsAdding] = useState<boolean>(false);
+
+  const fetchWorkspace = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const response = await authFetch(`/api/workspaces/${workspaceId}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setWorkspace(data.workspace);
+        setMembers(data.members);
+      } else {
+        setError(data.error || 'Failed to load workspace');
+      }
+    } catch (error) {
+      console.error('Error loading workspace:', error);
+      setError('Failed to connect to server');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    fetchWorkspace();
+  }, [fetchWorkspace]);
+
+  const canManage = workspace?.role === 'owner' || workspace?.role === 'admin';
+  const isOwner = workspace?.role === 'owner';
+
+  const handleRename = async () => {
+    if (!workspace) return;
+    const name = window.prompt('Workspace name', workspace.name);
+    if (name === null || !name.trim() || name === workspace.name) return;
+
+    try {
+      const response = await authFetch(`/api/workspaces/${workspaceId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setWorkspace(data.workspace);
+        onWorkspaceUpdated(data.workspace);
+      } else {
+        alert(data.error || 'Failed to rename workspace');
+      }
+    } catch (error) {
+      console.error('Error renaming workspace:', error);
+      alert('Failed to connect to server');
+    }
+  };
+
+  const handleAdd = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!newEmail.trim()) return;
+
+    try {
+      setIsAdding(true);
+
+      const response = await authFetch(`/api/workspaces/${workspaceId}/members`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: newEmail, role: newRole })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMembers(data.members);
+        setNewEmail('');
+        setNewRole('member');
+      } else {
+        alert(data.error || 'Failed to add member');
+      }
+    } catch (error) {
+      console.error('Error adding member:', error);
+      alert('Failed to connect to server');
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const handleRoleChange = async (member: WorkspaceMember, role: WorkspaceRole) => {
+    try {
+      const response = await authFetch(`/api/workspaces/${workspaceId}/members/${encodeURIComponent(member.email)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMembers(data.members);
+        if (member.email === userEmail) {
+          fetchWorkspace();
+        }
+      } else {
+        alert(data.error || 'Failed to change role');
+      }
+    } catch (error) {
+      console.error('Error changing role:', error);
+      alert('Failed to connect to server');
+    }
+  };
+
+  const handleRemove = async (member: WorkspaceMember) => {
+    const isSelf = member.email === userEmail;
+    const message = isSelf
+      ? `Leave ${workspace?.name}? You'll lose access to its tokens and emojis.`
+      : `Remove ${member.email} from ${workspace?.name}? The emojis they made stay in the library.`;
+    if (!window.confirm(message)) return;
+
+    try {
+      const response = await authFetch(`/api/workspaces/${workspaceId}/members/${encodeURIComponent(member.email)}`, {
+        method: 'DELETE'
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        if (isSelf) {
+          onLeft();
+        } else {
+          setMembers(prev => prev.filter(m => m.email !== member.email));
+        }
+      } else {
+        alert(data.error || 'Failed to remove member');
+      }
+    } catch (error) {
+      console.error('Error removing member:', error);
+      alert('Failed to connect to server');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="my-emojis-container">
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>Loading your team...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !workspace) {
+    return (
+      <div className="my-emojis-container">
+        <div className="error-message">{error || 'Workspace not found'}</div>
+        <button onClick={fetchWorkspace} className="retry-button">
+          🔄 Try Again
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="my-emojis-container">
+      <div className="my-emojis-header">
+        <div>
+          <h2>👥 {workspace.name} ({members.length})</h2>
+          <p className="team-summary">
+            Shared pool: <strong>{workspace.balance} tokens</strong> · {workspace.totalUsed} used · You are {roleLabels[workspace.role].toLowerCase()}
+          </p>
+        </div>
+        {canManage && (
+          <button onClick={handleRename} className="secondary-button">
+            ✏️ Rename
+          </button>
+        )}
+      </div>
+
+      {canManage && (
+        <form onSubmit={handleAdd} className="team-add-form">
+          <input
+            type="email"
+            value={newEmail}
+            onChange={(e) => setNewEmail(e.target.value)}
+            placeholder="Teammate's email"
+            required
+          />
+          <select value={newRole} onChange={(e) => setNewRole(e.target.value as WorkspaceRole)}>
+            <option value="member">{roleLabels.member}</option>
+            <option value="admin">{roleLabels.admin}</option>
+            {isOwner && <option value="owner">{roleLabels.owner}</option>}
+          </select>
+          <button type="submit" disabled={isAdding} className="save-button">
+            {isAdding ? '⏳ Adding...' : '➕ Add Member'}
+          </button>
+        </form>
+      )}
+
+      <div className="team-members">
+        {members.map(member => {
+          const isSelf = member.email === userEmail;
+          const canRemove = isSelf || (canManage && (member.role !== 'owner' || isOwner));
+
+          return (
+            <div key={member.email} className="team-member">
+              <div>
+                <div className="team-member-email">{member.email}{isSelf && ' (you)'}</div>
+                <div className="team-member-added">Added {formatDate(member.addedAt)}</div>
+              </div>
+              <div className="team-member-actions">
+                {isOwner ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value as WorkspaceRole)}
+                  >
+                    <option value="owner">{roleLabels.owner}</option>
+                    <option value="admin">{roleLabels.admin}</option>
+                    <option value="member">{roleLabels.member}</option>
+                  </select>
+                ) : (
+                  <span className={`team-role role-${member.role}`}>{roleLabels[member.role]}</span>
+                )}
+                {canRemove && (
+                  <button onClick={() => handleRemove(member)} className="secondary-button">
+                    {isSelf ? '🚪 Leave' : '🗑️ Remove'}
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default Team;
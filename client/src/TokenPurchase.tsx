@@ -1,45 +1,67 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './TokenPurchase.css';
 import { API_BASE_URL } from './config';
+import { authFetch } from './auth';
+import { formatPrice } from './format';
+import { TokenPackage } from './types';
 
 interface TokenPurchaseProps {
-  userEmail: string;
   currentTokens: number;
   onPurchaseComplete: () => void;
   onClose: () => void;
+  // Set when a workspace is active; purchases then fill its shared pool
+  workspaceName?: string;
 }
 
-interface TokenPackage {
-  id: string;
-  tokens: number;
-  price: number;
-  name: string;
-  savings?: string;
-  popular?: boolean;
-}
-
-const tokenPackages: TokenPackage[] = [
-  { id: '25', tokens: 25, price: 1.00, name: '25 Tokens' },
-  { id: '100', tokens: 100, price: 4.00, name: '100 Tokens' },
-  { id: '250', tokens: 250, price: 9.00, name: '250 Tokens', savings: 'Save $1', popular: true },
-  { id: '500', tokens: 500, price: 17.00, name: '500 Tokens', savings: 'Save $3' }
-];
-
-function TokenPurchase({ userEmail, currentTokens, onPurchaseComplete, onClose }: TokenPurchaseProps) {
-  const [selectedPackage, setSelectedPackage] = useState<string>('250');
+const formatEndDate = (date: string) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+function TokenPurchase({ currentTokens, onPurchaseComplete, onClose, workspaceName }: TokenPurchaseProps) {
+  const [tokenPackages, setTokenPackages] = useState<TokenPackage[]>([]);
+  const [selectedPackage, setSelectedPackage] = useState<string>('');
+  const [isLoadingPackages, setIsLoadingPackages] = useState<boolean>(true);
   const [isLoading, setIsLoading] = useState<boolean>(false);
   const [error, setError] = useState<string>('');
+  const [promoCode, setPromoCode] = useState<string>('');
+  const [isRedeeming, setIsRedeeming] = useState<boolean>(false);
+
+  useEffect(() => {
+    const fetchPackages = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/token-packages`);
+        const data = await response.json();
+
+        if (response.ok) {
+          const packages: TokenPackage[] = data.packages;
+          setTokenPackages(packages);
+          setSelectedPackage((packages.find(pkg => pkg.popular) || packages[0])?.id || '');
+        } else {
+          setError(data.error || 'Failed to load token packages');
+        }
+      } catch (error) {
+        console.error('Error loading token packages:', error);
+        setError('Failed to connect to server');
+      } finally {
+        setIsLoadingPackages(false);
+      }
+    };
+
+    fetchPackages();
+  }, []);
 
   const handlePurchase = async () => {
     try {
       setIsLoading(true);
       setError('');
 
-      const response = await fetch(`${API_BASE_URL}/api/purchase-tokens`, {
+      const response = await authFetch('/api/purchase-tokens', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
-          userEmail, 
           tokenPackage: selectedPackage 
         })
       });
@@ -60,6 +82,36 @@ function TokenPurchase({ userEmail, currentTokens, onPurchaseComplete, onClose }
     }
   };
 
+  const handleRedeem = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!promoCode.trim()) return;
+
+    try {
+      setIsRedeeming(true);
+      setError('');
+
+      const response = await authFetch('/api/promo-codes/redeem', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: promoCode })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        alert(`🎉 Promo code ${data.code} added ${data.tokensAdded} tokens`);
+        onPurchaseComplete();
+      } else {
+        setError(data.error || 'Failed to redeem promo code');
+      }
+    } catch (error) {
+      console.error('Error redeeming promo code:', error);
+      setError('Failed to connect to server');
+    } finally {
+      setIsRedeeming(false);
+    }
+  };
+
   const selectedPackageData = tokenPackages.find(pkg => pkg.id === selectedPackage);
 
   return (
@@ -72,8 +124,14 @@ function TokenPurchase({ userEmail, currentTokens, onPurchaseComplete, onClose }
 
         <div className="current-balance">
           <p>Current Balance: <strong>{currentTokens} tokens</strong></p>
+          {workspaceName && <p className="workspace-note">Tokens go to the shared pool of {workspaceName}</p>}
         </div>
 
+        {isLoadingPackages && <div className="packages-status">Loading packages...</div>}
+        {!isLoadingPackages && !error && tokenPackages.length === 0 && (
+          <div className="packages-status">No token packages are on sale right now. Please check back later.</div>
+        )}
+
         <div className="package-grid">
           {tokenPackages.map((pkg) => (
             <div
@@ -81,12 +139,16 @@ function TokenPurchase({ userEmail, currentTokens, onPurchaseComplete, onClose }
               className={`package-card ${selectedPackage === pkg.id ? 'selected' : ''} ${pkg.popular ? 'popular' : ''}`}
               onClick={() => setSelectedPackage(pkg.id)}
             >
-              {pkg.popular && <div className="popular-badge">Most Popular</div>}
+              {pkg.endsAt ? (
+                <div className="popular-badge promo-badge">Ends {formatEndDate(pkg.endsAt)}</div>
+              ) : (
+                pkg.popular && <div className="popular-badge">Most Popular</div>
+              )}
               <div className="package-tokens">{pkg.tokens}</div>
-              <div className="package-name">Tokens</div>
-              <div className="package-price">${pkg.price.toFixed(2)}</div>
+              <div className="package-name">{pkg.endsAt ? pkg.name : 'Tokens'}</div>
+              <div className="package-price">{formatPrice(pkg.price, pkg.currency)}</div>
               {pkg.savings && <div className="package-savings">{pkg.savings}</div>}
-              <div className="package-rate">${(pkg.price / pkg.tokens).toFixed(3)} per token</div>
+              <div className="package-rate">{formatPrice(pkg.price / pkg.tokens, pkg.currency, 1)} per token</div>
             </div>
           ))}
         </div>
@@ -96,11 +158,11 @@ function TokenPurchase({ userEmail, currentTokens, onPurchaseComplete, onClose }
             <h3>Order Summary</h3>
             <div className="summary-row">
               <span>{selectedPackageData.name}</span>
-              <span>${selectedPackageData.price.toFixed(2)}</span>
+              <span>{formatPrice(selectedPackageData.price, selectedPackageData.currency)}</span>
             </div>
             <div className="summary-total">
               <span>Total</span>
-              <span>${selectedPackageData.price.toFixed(2)}</span>
+              <span>{formatPrice(selectedPackageData.price, selectedPackageData.currency)}</span>
             </div>
             <div className="after-purchase">
               New Balance: <strong>{currentTokens + selectedPackageData.tokens} tokens</strong>
@@ -108,16 +170,33 @@ function TokenPurchase({ userEmail, currentTokens, onPurchaseComplete, onClose }
           </div>
         )}
 
+        {!workspaceName && (
+          <form onSubmit={handleRedeem} className="promo-code-form">
+            <input
+              type="text"
+              value={promoCode}
+              onChange={(e) => setPromoCode(e.target.value)}
+              placeholder="Have a promo code?"
+              className="promo-code-input"
+            />
+            <button type="submit" disabled={isRedeeming || !promoCode.trim()} className="redeem-button">
+              {isRedeeming ? '⏳ Redeeming...' : '🎟️ Redeem'}
+            </button>
+          </form>
+        )}
+
         {error && <div className="error-message">{error}</div>}
 
         <div className="modal-actions">
           <button onClick={onClose} className="cancel-button">Cancel</button>
           <button 
             onClick={handlePurchase}
-            disabled={isLoading}
+            disabled={isLoading || !selectedPackageData}
             className="purchase-button"
           >
-            {isLoading ? '💳 Processing...' : `💳 Pay $${selectedPackageData?.price.toFixed(2)}`}
+            {isLoading
+              ? '💳 Processing...'
+              : `💳 Pay ${selectedPackageData ? formatPrice(selectedPackageData.price, selectedPackageData.currency) : ''}`}
           </button>
         </div>
 
@@ -0,0 +1,65 @@
+import React from 'react';
+import { authFetch } from './auth';
+import { Workspace } from './types';
+
+interface WorkspaceSwitcherProps {
+  workspaces: Workspace[];
+  activeWorkspaceId: number | null;
+  onSwitch: (workspaceId: number | null) => void;
+  onCreated: (workspace: Workspace) => void;
+}
+
+const NEW_WORKSPACE = 'new';
+
+// Header dropdown for choosing between the personal library and the
+// workspaces the user belongs to, or creating a new workspace
+function WorkspaceSwitcher({ workspaces, activeWorkspaceId, onSwitch, onCreated }: WorkspaceSwitcherProps) {
+  const handleCreate = async () => {
+    const name = window.prompt('Workspace name');
+    if (name === null || !name.trim()) return;
+
+    try {
+      const response = await authFetch('/api/workspaces', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        onCreated(data.workspace);
+      } else {
+        alert(data.error || 'Failed to create workspace');
+      }
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      alert('Failed to connect to server');
+    }
+  };
+
+  const handleChange = (event: React.ChangeEvent<HTMLSelectElement>) => {
+    const { value } = event.target;
+    if (value === NEW_WORKSPACE) {
+      handleCreate();
+    } else {
+      onSwitch(value ? Number(value) : null);
+    }
+  };
+
+  return (
+    <select
+      value={activeWorkspaceId ?? ''}
+      onChange={handleChange}
+      className="workspace-switcher"
+      title="Workspace"
+    >
+      <option value="">👤 Personal</option>
+      {workspaces.map(workspace => (
+        <option key={workspace.id} value={workspace.id}>👥 {workspace.name}</option>
+      ))}
+      <option value={NEW_WORKSPACE}>➕ New workspace...</option>
+    </select>
+  );
+}
+
+export default WorkspaceSwitcher;
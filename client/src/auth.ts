@@ -0,0 +1,120 @@
+import { API_BASE_URL } from './config';
+
+// Session storage for the signed token issued by /api/verify-code.
+// "Remember me" keeps it in localStorage, otherwise it only lives for the tab.
+const STORAGE_KEY = 'authData';
+
+export const AUTH_EXPIRED_EVENT = 'auth:expired';
+
+interface StoredSession {
+  token: string;
+  expiresAt: string;
+}
+
+const readSession = (storage: Storage): StoredSession | null => {
+  try {
+    const stored = storage.getItem(STORAGE_KEY);
+    if (!stored) return null;
+
+    const session = JSON.parse(stored);
+    if (!session.token || new Date(session.expiresAt).getTime() <= Date.now()) {
+      storage.removeItem(STORAGE_KEY);
+      return null;
+    }
+    return session;
+  } catch (error) {
+    storage.removeItem(STORAGE_KEY);
+    return null;
+  }
+};
+
+export const getSessionToken = (): string | null => {
+  const session = readSession(sessionStorage) || readSession(localStorage);
+  return session ? session.token : null;
+};
+
+export const saveSession = (token: string, expiresAt: string, rememberMe: boolean) => {
+  const storage = rememberMe ? localStorage : sessionStorage;
+  storage.setItem(STORAGE_KEY, JSON.stringify({ token, expiresAt }));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  sessionStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(WORKSPACE_KEY);
+};
+
+// The workspace the app acts in, sent as X-Workspace-Id with every request.
+// Without one, requests use the personal library and token balance.
+const WORKSPACE_KEY = 'activeWorkspace';
+
+export const WORKSPACE_DENIED_EVENT = 'workspace:denied';
+
+export const getActiveWorkspaceId = (): number | null => {
+  const stored = Number(localStorage.getItem(WORKSPACE_KEY));
+  return Number.isInteger(stored) && stored > 0 ? stored : null;
+};
+
+export const setActiveWorkspaceId = (id: number | null) => {
+  if (id) {
+    localStorage.setItem(WORKSPACE_KEY, String(id));
+  } else {
+    localStorage.removeItem(WORKSPACE_KEY);
+  }
+};
+
+// fetch() against the API with the session token and active workspace
+// attached. A 401 means the session expired or was revoked, so the stored
+// token is dropped and the app is notified to show the login screen again.
+// Likewise, losing access to the active workspace falls back to personal.
+export const authFetch = async (path: string, init: RequestInit = {}) => {
+  const headers = new Headers(init.headers);
+  const token = getSessionToken();
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+  const workspaceId = getActiveWorkspaceId();
+  if (workspaceId) {
+    headers.set('X-Workspace-Id', String(workspaceId));
+  }
+
+  const response = await fetch(`${API_BASE_URL}${path}`, { ...init, headers });
+
+  if (response.status === 401) {
+    clearSession();
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+
+  if (response.status === 403 && workspaceId) {
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.workspaceDenied) {
+      setActiveWorkspaceId(null);
+      window.dispatchEvent(new Event(WORKSPACE_DENIED_EVENT));
+    }
+  }
+
+  return response;
+};
+
+// Download a file from the API with the session token and save it under the
+// name from the Content-Disposition header. Throws with the server's error
+// message if the request fails.
+export const authDownload = async (path: string, init: RequestInit = {}, fallbackFilename = 'download') => {
+  const response = await authFetch(path, init);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Download failed');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackFilename;
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,11 @@
+// Prices arrive in the currency's minor unit; extraDigits shows sub-cent
+// amounts such as per-token rates
+export const formatPrice = (amount: number, currency: string, extraDigits = 0) => {
+  const digits = new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits ?? 2;
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: digits + extraDigits,
+    maximumFractionDigits: digits + extraDigits
+  }).format(amount / 10 ** digits);
+};
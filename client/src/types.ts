@@ -0,0 +1,181 @@
+// Shapes shared between components, mirroring the server's API responses
+
+export interface Emoji {
+  id: number;
+  filename: string;
+  name: string;
+  description: string;
+  tags: string[];
+  timestamp: number;
+  prompt: string;
+  removeBackground: boolean;
+  emojify: boolean;
+  // The style preset it was generated with, if any
+  style: { id: string; label: string } | null;
+  // The emoji this one was refined or edited from
+  parentId: number | null;
+  // Made in the editor rather than by the model
+  edited: boolean;
+  // Set for animated emojis, which are stored as animated PNGs
+  animation: EmojiAnimation | null;
+  originalImage: string | null;
+  // null for emojis saved before transparency was checked
+  hasTransparency: boolean | null;
+  // Signed media URL for the image, valid for about an hour
+  url: string;
+  createdAt: string;
+}
+
+export interface EmojiAnimation {
+  frames: number;
+  // Milliseconds between frames
+  delay: number;
+  // Number of plays, 0 for forever
+  loop: number;
+}
+
+export type AnimatedFormat = 'apng' | 'gif';
+
+export interface ExportPreset {
+  id: string;
+  label: string;
+  size: number;
+  maxBytes: number;
+  // What animated emojis are exported as for this platform
+  animatedFormat: AnimatedFormat;
+}
+
+export interface StylePreset {
+  id: string;
+  label: string;
+  description: string;
+}
+
+export interface ReferenceRole {
+  id: string;
+  label: string;
+  description: string;
+}
+
+// An image picked on the generate form, before it's uploaded
+export interface ReferenceImage {
+  // Stable key while the list is reordered
+  id: string;
+  file: File;
+  previewUrl: string;
+  role: string;
+}
+
+export interface Pack {
+  id: number;
+  name: string;
+  description: string;
+  emojiCount: number;
+  // null while the pack is private
+  shareSlug: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SharedPackEmoji {
+  id: number;
+  name: string;
+  description: string;
+  tags: string[];
+  url: string;
+}
+
+export interface SharedPack {
+  slug: string;
+  name: string;
+  description: string;
+  emojiCount: number;
+  emojis: SharedPackEmoji[];
+}
+
+export type TransactionType = 'purchase' | 'usage' | 'refund' | 'bonus' | 'promo' | 'transfer_in' | 'transfer_out' | 'adjustment';
+
+export interface Transaction {
+  id: number;
+  type: TransactionType;
+  // Positive for credits, negative for usage
+  amount: number;
+  description: string;
+  balanceAfter: number;
+  jobId: string | null;
+  stripeSessionId: string | null;
+  // The member behind an entry in a workspace's ledger
+  userEmail: string;
+  emojis: { id: number; name: string; url: string }[];
+  createdAt: string;
+}
+
+export interface TokenPackage {
+  id: string;
+  name: string;
+  tokens: number;
+  // In the currency's minor unit, e.g. cents
+  price: number;
+  currency: string;
+  savings: string | null;
+  popular: boolean;
+  // Set for time-limited promotions
+  endsAt: string | null;
+}
+
+export type WorkspaceRole = 'owner' | 'admin' | 'member';
+
+export interface Workspace {
+  id: number;
+  name: string;
+  // The current user's role
+  role: WorkspaceRole;
+  // The shared token pool
+  balance: number;
+  totalUsed: number;
+  memberCount: number;
+  createdAt: string;
+}
+
+export interface WorkspaceMember {
+  email: string;
+  role: WorkspaceRole;
+  addedAt: string;
+}
+
+export interface AdminUser {
+  email: string;
+  balance: number;
+  totalUsed: number;
+  emojiCount: number;
+  isAdmin: boolean;
+  createdAt: string;
+  lastLoginAt: string | null;
+}
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed';
+
+export interface AdminGeneration {
+  id: string;
+  userEmail: string;
+  workspaceId: number | null;
+  status: JobStatus;
+  description: string;
+  count: number;
+  tokensCharged: number;
+  succeeded: number;
+  failed: number;
+  error: string | null;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+}
+
+export interface RevenueTotal {
+  // null for purchases made before payments were recorded
+  currency: string | null;
+  purchases: number;
+  tokens: number;
+  // In the currency's minor unit
+  amount: number | null;
+}
@@ -0,0 +1,64 @@
+// Grant and revoke access to the admin dashboard and /api/admin routes.
+// Admins see it on their next page load.
+//
+// Usage: npm run admins                          (list admins)
+//        npm run admins -- grant <email>
+//        npm run admins -- revoke <email>
+const {
+  initDatabase,
+  getUserTokens,
+  getAdminEmails,
+  setUserAdmin,
+  closeDatabase
+} = require('./database');
+
+const [command = 'list', email] = process.argv.slice(2);
+
+const listAdmins = async () => {
+  const emails = await getAdminEmails();
+  if (emails.length === 0) {
+    console.log('No admins yet. Grant access with: npm run admins -- grant <email>');
+  }
+  for (const adminEmail of emails) {
+    console.log(adminEmail);
+  }
+};
+
+const setAdmin = async (isAdmin) => {
+  if (!email) {
+    throw new Error('Pass the email of the user');
+  }
+
+  if (isAdmin) {
+    // Someone who has never logged in gets their account now
+    await getUserTokens(email);
+  }
+
+  const changed = await setUserAdmin(email, isAdmin);
+  if (!changed) {
+    throw new Error(`No user ${email}`);
+  }
+  console.log(`${isAdmin ? 'Granted' : 'Revoked'} admin access for ${email}`);
+};
+
+const commands = {
+  list: () => listAdmins(),
+  grant: () => setAdmin(true),
+  revoke: () => setAdmin(false)
+};
+
+const run = async () => {
+  if (!commands[command]) {
+    throw new Error(`Unknown command ${command}, expected one of: ${Object.keys(commands).join(', ')}`);
+  }
+
+  await initDatabase();
+  await commands[command]();
+};
+
+run()
+  .catch((error) => {
+    console.error('Admin command failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { createSession, getActiveSession, revokeSession, getUserWorkspace } = require('./database');
+
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 1 day
+const REMEMBER_ME_SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 1 week
+const MEDIA_URL_TTL = 60 * 60 * 1000; // 1 hour
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+  // Sessions still work, but every restart invalidates them
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('SESSION_SECRET not found. Using a random secret; sessions will not survive a restart.');
+}
+
+const sign = (value) => {
+  return crypto.createHmac('sha256', sessionSecret).update(value).digest('base64url');
+};
+
+// Verification codes are stored as keyed hashes, never in plain text
+const hashVerificationCode = (email, code) => {
+  return crypto.createHmac('sha256', sessionSecret).update(`${email}:${code}`).digest('hex');
+};
+
+const verificationCodeMatches = (codeHash, email, code) => {
+  const expected = Buffer.from(codeHash, 'hex');
+  const actual = Buffer.from(hashVerificationCode(email, code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Tokens look like `<sessionId>.<signature>`; the id is looked up in the
+// sessions table so tokens can expire and be revoked server-side.
+const parseSessionToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [sessionId, signature] = token.split('.');
+  if (!sessionId || !signature) return null;
+
+  const expected = Buffer.from(sign(sessionId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return sessionId;
+};
+
+// <img> tags can't send a bearer token, so private images are loaded through
+// signed, expiring URLs handed out only to the owner. The expiry is rounded
+// up to the next hour so a URL stays the same (and cacheable) for a while.
+const signMediaPath = (mediaPath) => {
+  const expires = Math.ceil((Date.now() + MEDIA_URL_TTL) / MEDIA_URL_TTL) * MEDIA_URL_TTL / 1000;
+  return `${mediaPath}?expires=${expires}&sig=${sign(`${mediaPath}:${expires}`)}`;
+};
+
+const mediaSignatureMatches = (mediaPath, expires, signature) => {
+  const expiresAt = Number(expires) * 1000;
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(`${mediaPath}:${expires}`));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Start a new session for a verified email
+const issueSession = async (email, rememberMe = false) => {
+  const sessionId = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + (rememberMe ? REMEMBER_ME_SESSION_TTL : SESSION_TTL));
+
+  await createSession(sessionId, email, expiresAt);
+
+  return {
+    token: `${sessionId}.${sign(sessionId)}`,
+    expiresAt: expiresAt.toISOString()
+  };
+};
+
+// End the session behind a token
+const endSession = async (token) => {
+  const sessionId = parseSessionToken(token);
+  if (!sessionId) return false;
+  return revokeSession(sessionId);
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Express middleware: resolve the caller from the session token and
+// expose it as req.user, or reject the request with 401. An X-Workspace-Id
+// header selects the workspace the request acts in; it is exposed as
+// req.workspace ({ id, name, role }), and null means the personal library.
+const requireAuth = async (req, res, next) => {
+  try {
+    const sessionId = parseSessionToken(getBearerToken(req));
+    const session = sessionId ? await getActiveSession(sessionId) : null;
+
+    if (!session) {
+      return res.status(401).json({ error: 'Please log in to continue', authRequired: true });
+    }
+
+    req.user = {
+      email: session.user_email,
+      sessionId: session.id,
+      isAdmin: session.is_admin === 1
+    };
+
+    req.workspace = null;
+    const workspaceHeader = req.get('X-Workspace-Id');
+    if (workspaceHeader) {
+      const workspaceId = Number(workspaceHeader);
+      const workspace = Number.isInteger(workspaceId) ? await getUserWorkspace(session.user_email, workspaceId) : null;
+
+      if (!workspace) {
+        return res.status(403).json({ error: 'You are not a member of this workspace', workspaceDenied: true });
+      }
+      req.workspace = { id: workspace.id, name: workspace.name, role: workspace.role };
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error resolving session:', error);
+    res.status(500).json({ error: 'Failed to verify session' });
+  }
+};
+
+// Express middleware for operator-only routes; use after requireAuth
+const requireAdmin = (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = {
+  issueSession,
+  endSession,
+  getBearerToken,
+  requireAuth,
+  requireAdmin,
+  hashVerificationCode,
+  verificationCodeMatches,
+  signMediaPath,
+  mediaSignatureMatches
+};
@@ -1,8 +1,8 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
-// Create database connection
-const dbPath = path.join(__dirname, 'emoji_generator.db');
+// Create database connection. DATABASE_PATH lets tests use a throwaway file.
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'emoji_generator.db');
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
     console.error('Error opening database:', err.message);
@@ -11,6 +11,41 @@ const db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
+// Packages created on first run (25 tokens = $1.00)
+const DEFAULT_TOKEN_PACKAGES = [
+  { id: '25', name: '25 Tokens', tokens: 25, price: 100 },
+  { id: '100', name: '100 Tokens', tokens: 100, price: 400 },
+  { id: '250', name: '250 Tokens', tokens: 250, price: 900, popular: true },
+  { id: '500', name: '500 Tokens', tokens: 500, price: 1700 }
+];
+
+const TRANSACTION_TYPES = ['purchase', 'usage', 'refund', 'bonus', 'promo', 'transfer_in', 'transfer_out', 'adjustment'];
+
+const createTokenTransactionsTable = (name) => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_email TEXT NOT NULL,
+    type TEXT NOT NULL CHECK(type IN (${TRANSACTION_TYPES.map(type => `'${type}'`).join(', ')})),
+    amount INTEGER NOT NULL,
+    description TEXT,
+    stripe_session_id TEXT,
+    job_id TEXT,
+    workspace_id INTEGER,
+    amount_paid INTEGER,
+    currency TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_email) REFERENCES users (email)
+  )
+`;
+
+const createTokenTransactionsUserIndex = 'CREATE INDEX IF NOT EXISTS idx_token_transactions_user ON token_transactions (user_email, id)';
+
+// A Stripe session can only ever be credited once
+const createStripeSessionIndex = `
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_token_transactions_stripe_session
+  ON token_transactions (stripe_session_id) WHERE stripe_session_id IS NOT NULL
+`;
+
 // Initialize database schema
 const initDatabase = () => {
   return new Promise((resolve, reject) => {
@@ -25,19 +60,172 @@ const initDatabase = () => {
       )
     `;
 
-    const createTokenTransactionsTable = `
-      CREATE TABLE IF NOT EXISTS token_transactions (
+    const createSessionsTable = `
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_email TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_email) REFERENCES users (email)
+      )
+    `;
+
+    const createVerificationCodesTable = `
+      CREATE TABLE IF NOT EXISTS verification_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        ip_address TEXT,
+        attempts INTEGER DEFAULT 0,
+        expires_at DATETIME NOT NULL,
+        consumed_at DATETIME,
+        created_at DATETIME NOT NULL
+      )
+    `;
+
+    const createEmojisTable = `
+      CREATE TABLE IF NOT EXISTS emojis (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         user_email TEXT NOT NULL,
-        type TEXT NOT NULL CHECK(type IN ('purchase', 'usage', 'refund', 'bonus')),
-        amount INTEGER NOT NULL,
+        filename TEXT NOT NULL,
         description TEXT,
-        stripe_session_id TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        prompt TEXT,
+        remove_background INTEGER DEFAULT 0,
+        emojify INTEGER DEFAULT 0,
+        original_image TEXT,
+        created_at DATETIME NOT NULL,
+        UNIQUE (user_email, filename),
+        FOREIGN KEY (user_email) REFERENCES users (email)
+      )
+    `;
+
+    const createEmojiTagsTable = `
+      CREATE TABLE IF NOT EXISTS emoji_tags (
+        emoji_id INTEGER NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (emoji_id, tag),
+        FOREIGN KEY (emoji_id) REFERENCES emojis (id) ON DELETE CASCADE
+      )
+    `;
+
+    const createGenerationJobsTable = `
+      CREATE TABLE IF NOT EXISTS generation_jobs (
+        id TEXT PRIMARY KEY,
+        user_email TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'running', 'succeeded', 'failed')),
+        params TEXT NOT NULL,
+        tokens_charged INTEGER NOT NULL DEFAULT 0,
+        result TEXT,
+        error TEXT,
+        created_at DATETIME NOT NULL,
+        started_at DATETIME,
+        finished_at DATETIME,
+        FOREIGN KEY (user_email) REFERENCES users (email)
+      )
+    `;
+
+    const createPacksTable = `
+      CREATE TABLE IF NOT EXISTS packs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_email TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        share_slug TEXT UNIQUE,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL,
+        FOREIGN KEY (user_email) REFERENCES users (email)
+      )
+    `;
+
+    const createPackEmojisTable = `
+      CREATE TABLE IF NOT EXISTS pack_emojis (
+        pack_id INTEGER NOT NULL,
+        emoji_id INTEGER NOT NULL,
+        added_at DATETIME NOT NULL,
+        PRIMARY KEY (pack_id, emoji_id),
+        FOREIGN KEY (pack_id) REFERENCES packs (id) ON DELETE CASCADE,
+        FOREIGN KEY (emoji_id) REFERENCES emojis (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Prices are in the currency's minor unit (cents for USD)
+    const createTokenPackagesTable = `
+      CREATE TABLE IF NOT EXISTS token_packages (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        tokens INTEGER NOT NULL CHECK(tokens > 0),
+        price INTEGER NOT NULL CHECK(price > 0),
+        currency TEXT NOT NULL DEFAULT 'usd',
+        savings_label TEXT,
+        popular INTEGER NOT NULL DEFAULT 0,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        starts_at DATETIME,
+        ends_at DATETIME,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+      )
+    `;
+
+    // A workspace's tokens are a pool shared by all of its members
+    const createWorkspacesTable = `
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        tokens INTEGER NOT NULL DEFAULT 0,
+        total_used INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+      )
+    `;
+
+    const createWorkspaceMembersTable = `
+      CREATE TABLE IF NOT EXISTS workspace_members (
+        workspace_id INTEGER NOT NULL,
+        user_email TEXT NOT NULL,
+        role TEXT NOT NULL CHECK(role IN ('owner', 'admin', 'member')),
+        added_at DATETIME NOT NULL,
+        PRIMARY KEY (workspace_id, user_email),
+        FOREIGN KEY (workspace_id) REFERENCES workspaces (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Codes are stored upper-case. max_redemptions is across all users,
+    // NULL for unlimited.
+    const createPromoCodesTable = `
+      CREATE TABLE IF NOT EXISTS promo_codes (
+        code TEXT PRIMARY KEY,
+        tokens INTEGER NOT NULL CHECK(tokens > 0),
+        max_redemptions INTEGER,
+        per_user_limit INTEGER NOT NULL DEFAULT 1,
+        expires_at DATETIME,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME NOT NULL
+      )
+    `;
+
+    const createPromoRedemptionsTable = `
+      CREATE TABLE IF NOT EXISTS promo_redemptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL,
+        user_email TEXT NOT NULL,
+        redeemed_at DATETIME NOT NULL,
+        FOREIGN KEY (code) REFERENCES promo_codes (code),
         FOREIGN KEY (user_email) REFERENCES users (email)
       )
     `;
 
+    // Add a column to a table created by an earlier version of the schema
+    const addColumn = (table, definition) => {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+        if (err && !/duplicate column name/i.test(err.message)) {
+          console.error(`Error adding column to ${table}:`, err);
+          return reject(err);
+        }
+      });
+    };
+
     db.serialize(() => {
       db.run(createUsersTable, (err) => {
         if (err) {
@@ -47,168 +235,504 @@ const initDatabase = () => {
         console.log('Users table ready');
       });
 
-      db.run(createTokenTransactionsTable, (err) => {
+      // Admins can use the /api/admin routes; granted with `npm run admins`
+      addColumn('users', 'is_admin INTEGER NOT NULL DEFAULT 0');
+
+      db.run(createTokenTransactionsTable('token_transactions'), (err) => {
         if (err) {
           console.error('Error creating token_transactions table:', err);
           return reject(err);
         }
         console.log('Token transactions table ready');
-        resolve();
+      });
+
+      // Generation job a usage or refund entry belongs to
+      addColumn('token_transactions', 'job_id TEXT');
+      // Set for entries on a workspace's pool; user_email is then the member
+      addColumn('token_transactions', 'workspace_id INTEGER');
+      // What a Stripe purchase was paid, in the currency's minor unit
+      addColumn('token_transactions', 'amount_paid INTEGER');
+      addColumn('token_transactions', 'currency TEXT');
+      db.run(createTokenTransactionsUserIndex, (err) => {
+        if (err) {
+          console.error('Error creating token_transactions index:', err);
+          return reject(err);
+        }
+      });
+
+      // Refunds used to be logged as purchases
+      db.run(`
+        UPDATE token_transactions SET type = 'refund'
+        WHERE type = 'purchase' AND stripe_session_id IS NULL AND description LIKE 'Refund%'
+      `);
+
+      db.run(createStripeSessionIndex, (err) => {
+        if (err) {
+          // Only fails if a replayed webhook already credited a session twice
+          console.error('Error creating unique Stripe session index. Run `npm run reconcile:tokens` to find duplicate credits:', err.message);
+        }
+      });
+
+      db.run(createSessionsTable, (err) => {
+        if (err) {
+          console.error('Error creating sessions table:', err);
+          return reject(err);
+        }
+        console.log('Sessions table ready');
+      });
+
+      db.run(createVerificationCodesTable, (err) => {
+        if (err) {
+          console.error('Error creating verification_codes table:', err);
+          return reject(err);
+        }
+        console.log('Verification codes table ready');
+      });
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_verification_codes_email ON verification_codes (email, created_at)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_verification_codes_ip ON verification_codes (ip_address, created_at)', (err) => {
+        if (err) {
+          console.error('Error creating verification_codes indexes:', err);
+          return reject(err);
+        }
+      });
+
+      db.run(createEmojisTable, (err) => {
+        if (err) {
+          console.error('Error creating emojis table:', err);
+          return reject(err);
+        }
+        console.log('Emojis table ready');
+      });
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_emojis_user_created ON emojis (user_email, created_at, id)', (err) => {
+        if (err) {
+          console.error('Error creating emojis index:', err);
+          return reject(err);
+        }
+      });
+
+      addColumn('emojis', 'name TEXT');
+      // Set for emojis in a workspace's shared library; user_email is then
+      // the member who created it (and whose upload folder holds the file)
+      addColumn('emojis', 'workspace_id INTEGER');
+      // NULL for emojis saved before transparency was checked
+      addColumn('emojis', 'has_transparency INTEGER');
+      // Id of the style preset it was generated with (see stylePresets.js)
+      addColumn('emojis', 'style TEXT');
+      // The emoji this one was refined or edited from
+      addColumn('emojis', 'parent_id INTEGER');
+      // Set for versions made in the client's editor rather than by the model
+      addColumn('emojis', 'edited INTEGER NOT NULL DEFAULT 0');
+      // Animated emojis: number of frames, delay between them in ms and
+      // number of plays (0 = forever). NULL frame_count means a still image.
+      addColumn('emojis', 'frame_count INTEGER');
+      addColumn('emojis', 'frame_delay INTEGER');
+      addColumn('emojis', 'loop_count INTEGER');
+
+      db.run(createEmojiTagsTable, (err) => {
+        if (err) {
+          console.error('Error creating emoji_tags table:', err);
+          return reject(err);
+        }
+        console.log('Emoji tags table ready');
+      });
+
+      db.run(createGenerationJobsTable, (err) => {
+        if (err) {
+          console.error('Error creating generation_jobs table:', err);
+          return reject(err);
+        }
+        console.log('Generation jobs table ready');
+      });
+
+      addColumn('generation_jobs', 'workspace_id INTEGER');
+
+      db.run(createPacksTable, (err) => {
+        if (err) {
+          console.error('Error creating packs table:', err);
+          return reject(err);
+        }
+        console.log('Packs table ready');
+      });
+
+      addColumn('packs', 'workspace_id INTEGER');
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_packs_user ON packs (user_email, created_at)', (err) => {
+        if (err) {
+          console.error('Error creating packs index:', err);
+          return reject(err);
+        }
+      });
+
+      db.run(createPackEmojisTable, (err) => {
+        if (err) {
+          console.error('Error creating pack_emojis table:', err);
+          return reject(err);
+        }
+        console.log('Pack emojis table ready');
+      });
+
+      db.run(createTokenPackagesTable, (err) => {
+        if (err) {
+          console.error('Error creating token_packages table:', err);
+          return reject(err);
+        }
+        console.log('Token packages table ready');
+      });
+
+      // Seed the packages that used to be hardcoded; existing rows are left alone
+      const now = new Date().toISOString();
+      const seedPackage = db.prepare(`
+        INSERT OR IGNORE INTO token_packages (id, name, tokens, price, currency, popular, sort_order, created_at, updated_at)
+        VALUES (?, ?, ?, ?, 'usd', ?, ?, ?, ?)
+      `);
+      DEFAULT_TOKEN_PACKAGES.forEach((pkg, index) => {
+        seedPackage.run(pkg.id, pkg.name, pkg.tokens, pkg.price, pkg.popular ? 1 : 0, index, now, now);
+      });
+      seedPackage.finalize((err) => {
+        if (err) {
+          console.error('Error seeding token packages:', err);
+          return reject(err);
+        }
+      });
+
+      db.run(createWorkspacesTable, (err) => {
+        if (err) {
+          console.error('Error creating workspaces table:', err);
+          return reject(err);
+        }
+        console.log('Workspaces table ready');
+      });
+
+      db.run(createWorkspaceMembersTable, (err) => {
+        if (err) {
+          console.error('Error creating workspace_members table:', err);
+          return reject(err);
+        }
+        console.log('Workspace members table ready');
+      });
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members (user_email)', (err) => {
+        if (err) {
+          console.error('Error creating workspace_members index:', err);
+          return reject(err);
+        }
+      });
+
+      db.run(createPromoCodesTable, (err) => {
+        if (err) {
+          console.error('Error creating promo_codes table:', err);
+          return reject(err);
+        }
+        console.log('Promo codes table ready');
+      });
+
+      db.run(createPromoRedemptionsTable, (err) => {
+        if (err) {
+          console.error('Error creating promo_redemptions table:', err);
+          return reject(err);
+        }
+        console.log('Promo redemptions table ready');
+      });
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code ON promo_redemptions (code, user_email)', (err) => {
+        if (err) {
+          console.error('Error creating promo_redemptions index:', err);
+          return reject(err);
+        }
+        migrateTokenTransactionTypes().then(resolve, reject);
       });
     });
   });
 };
 
-// Get or create user tokens
-const getUserTokens = (email) => {
+const WELCOME_BONUS = 25;
+
+// Promise wrappers for statements run inside withTransaction
+const run = (query, params = []) => {
   return new Promise((resolve, reject) => {
-    const query = 'SELECT * FROM users WHERE email = ?';
-    
-    db.get(query, [email], (err, row) => {
+    db.run(query, params, function(err) {
       if (err) {
         return reject(err);
       }
-      
-      if (row) {
-        // User exists, return their data
-        resolve({
-          balance: row.tokens,
-          totalUsed: row.total_used,
-          createdAt: new Date(row.created_at).getTime()
-        });
-      } else {
-        // New user, create with 25 free tokens
-        const insertQuery = `
-          INSERT INTO users (email, tokens, total_used) 
-          VALUES (?, 25, 0)
-        `;
-        
-        db.run(insertQuery, [email], function(err) {
-          if (err) {
-            return reject(err);
-          }
-          
-          // Log the bonus transaction
-          logTokenTransaction(email, 'bonus', 25, 'Welcome bonus - 25 free tokens')
-            .catch(console.error);
-          
-          resolve({
-            balance: 25,
-            totalUsed: 0,
-            createdAt: Date.now()
-          });
-        });
-      }
-    });
-  });
-};
-
-// Deduct tokens from user
-const deductToken = (email) => {
+      resolve(this);
+    });
+  });
+};
+
+const get = (query, params = []) => {
   return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
-      
-      // Check current balance
-      db.get('SELECT tokens FROM users WHERE email = ?', [email], (err, row) => {
-        if (err) {
-          db.run('ROLLBACK');
-          return reject(err);
-        }
-        
-        if (!row || row.tokens <= 0) {
-          db.run('ROLLBACK');
-          return resolve(false);
-        }
-        
-        // Deduct token
-        const updateQuery = `
-          UPDATE users 
-          SET tokens = tokens - 1, 
-              total_used = total_used + 1,
-              updated_at = CURRENT_TIMESTAMP
-          WHERE email = ? AND tokens > 0
-        `;
-        
-        db.run(updateQuery, [email], function(err) {
-          if (err) {
-            db.run('ROLLBACK');
-            return reject(err);
-          }
-          
-          if (this.changes === 0) {
-            db.run('ROLLBACK');
-            return resolve(false);
-          }
-          
-          db.run('COMMIT');
-          
-          // Log the usage transaction
-          logTokenTransaction(email, 'usage', -1, 'Emoji generation')
-            .catch(console.error);
-          
-          resolve(true);
-        });
-      });
+    db.get(query, params, (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row);
     });
   });
 };
 
-// Add tokens to user
-const addTokens = (email, amount, description = 'Token purchase', stripeSessionId = null) => {
+const all = (query, params = []) => {
   return new Promise((resolve, reject) => {
-    const updateQuery = `
-      UPDATE users 
-      SET tokens = tokens + ?,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE email = ?
-    `;
-    
-    db.run(updateQuery, [amount, email], function(err) {
+    db.all(query, params, (err, rows) => {
       if (err) {
         return reject(err);
       }
-      
-      // Log the purchase transaction
-      logTokenTransaction(email, 'purchase', amount, description, stripeSessionId)
-        .then(() => {
-          // Return updated user data
-          return getUserTokens(email);
-        })
-        .then(resolve)
-        .catch(reject);
+      resolve(rows);
+    });
+  });
+};
+
+// Every write shares the one connection, so writes are queued and run one
+// at a time. A write issued while another request's transaction is open
+// would otherwise become part of it, and be undone if it rolled back.
+let writeQueue = Promise.resolve();
+const enqueueWrite = (task) => {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(() => {});
+  return result;
+};
+
+// Resolves whatever `work` resolves, after COMMIT; if `work` throws,
+// everything it wrote is rolled back. `work` writes with run(); queueRun()
+// would wait for this transaction to finish and never start.
+const withTransaction = (work) => {
+  return enqueueWrite(async () => {
+    await run('BEGIN IMMEDIATE TRANSACTION');
+    try {
+      const value = await work();
+      await run('COMMIT');
+      return value;
+    } catch (error) {
+      await run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  });
+};
+
+// db.run for a single write outside a transaction, with the same callback,
+// but waiting its turn behind any open transaction
+const queueRun = (query, params, callback) => {
+  enqueueWrite(() => new Promise((resolve) => {
+    db.run(query, params, function(err) {
+      resolve();
+      callback.call(this, err);
     });
+  }));
+};
+
+// Emojis, packs and ledger entries belong to a library: a user's personal
+// one, or the shared one of a workspace. `library` is { email, workspaceId }
+// with workspaceId null for the personal library.
+const libraryCondition = (library, table) => {
+  if (library.workspaceId) {
+    return { condition: `${table}.workspace_id = ?`, params: [library.workspaceId] };
+  }
+  return { condition: `${table}.user_email = ? AND ${table}.workspace_id IS NULL`, params: [library.email] };
+};
+
+// token_transactions tables created before promo codes, transfers and admin
+// adjustments have a CHECK constraint that rejects the newer types. SQLite can't change a
+// constraint in place, so the rows are copied into a new table.
+const migrateTokenTransactionTypes = async () => {
+  const table = await get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'token_transactions'");
+  if (TRANSACTION_TYPES.every(type => table.sql.includes(`'${type}'`))) return;
+
+  await withTransaction(async () => {
+    await run(createTokenTransactionsTable('token_transactions_migrated'));
+    await run(`
+      INSERT INTO token_transactions_migrated (id, user_email, type, amount, description, stripe_session_id, job_id, workspace_id, amount_paid, currency, created_at)
+      SELECT id, user_email, type, amount, description, stripe_session_id, job_id, workspace_id, amount_paid, currency, created_at FROM token_transactions
+    `);
+    await run('DROP TABLE token_transactions');
+    await run('ALTER TABLE token_transactions_migrated RENAME TO token_transactions');
+    await run(createTokenTransactionsUserIndex);
+  });
+
+  // Outside the transaction: it only fails if a session was already credited
+  // twice, which shouldn't undo the migration
+  await run(createStripeSessionIndex).catch((err) => {
+    console.error('Error creating unique Stripe session index. Run `npm run reconcile:tokens` to find duplicate credits:', err.message);
+  });
+  console.log('Token transactions table migrated to the new transaction types');
+};
+
+// Create a user with the welcome bonus, unless they already exist. Call it
+// inside withTransaction so the ledger always adds up to the balance.
+const createUserWithBonus = async (email) => {
+  const insert = await run('INSERT OR IGNORE INTO users (email, tokens, total_used) VALUES (?, ?, 0)', [email, WELCOME_BONUS]);
+  if (insert.changes > 0) {
+    await run(
+      'INSERT INTO token_transactions (user_email, type, amount, description) VALUES (?, ?, ?, ?)',
+      [email, 'bonus', WELCOME_BONUS, `Welcome bonus - ${WELCOME_BONUS} free tokens`]
+    );
+  }
+};
+
+// Get or create user tokens
+const getUserTokens = async (email) => {
+  const row = await get('SELECT * FROM users WHERE email = ?', [email]);
+
+  if (row) {
+    // User exists, return their data
+    return {
+      balance: row.tokens,
+      totalUsed: row.total_used,
+      createdAt: new Date(row.created_at).getTime()
+    };
+  }
+
+  // New user, create with 25 free tokens
+  await withTransaction(() => createUserWithBonus(email));
+
+  return getUserTokens(email);
+};
+
+// Get a workspace's shared token pool
+const getWorkspaceTokens = async (workspaceId) => {
+  const row = await get('SELECT * FROM workspaces WHERE id = ?', [workspaceId]);
+  if (!row) return null;
+
+  return {
+    balance: row.tokens,
+    totalUsed: row.total_used,
+    createdAt: new Date(row.created_at).getTime()
+  };
+};
+
+// Tokens of whichever pool a library draws from
+const getLibraryTokens = (library) => {
+  return library.workspaceId ? getWorkspaceTokens(library.workspaceId) : getUserTokens(library.email);
+};
+
+// Change a balance and write its ledger row; call it inside
+// withTransaction. With a workspaceId the workspace's pool changes and
+// `email` is recorded as the member responsible. Resolves false, changing
+// nothing, if a debit would overdraw the balance, the user or workspace
+// doesn't exist, or the Stripe session was already credited.
+const changeTokens = async (email, { type, amount, description, stripeSessionId = null, jobId = null, workspaceId = null, amountPaid = null, currency = null }) => {
+  if (stripeSessionId) {
+    const existing = await get('SELECT id FROM token_transactions WHERE stripe_session_id = ?', [stripeSessionId]);
+    if (existing) return false;
+  }
+
+  const update = workspaceId
+    ? await run(`
+      UPDATE workspaces
+      SET tokens = tokens + ?,
+          total_used = total_used + ?,
+          updated_at = ?
+      WHERE id = ? AND tokens + ? >= 0
+    `, [amount, type === 'usage' ? -amount : 0, new Date().toISOString(), workspaceId, amount])
+    : await run(`
+      UPDATE users 
+      SET tokens = tokens + ?,
+          total_used = total_used + ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE email = ? AND tokens + ? >= 0
+    `, [amount, type === 'usage' ? -amount : 0, email, amount]);
+
+  if (update.changes === 0) return false;
+
+  await run(`
+    INSERT INTO token_transactions (user_email, type, amount, description, stripe_session_id, job_id, workspace_id, amount_paid, currency)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [email, type, amount, description, stripeSessionId, jobId, workspaceId, amountPaid, currency]);
+
+  return true;
+};
+
+// Change a balance and write its ledger row in one transaction
+const applyTokenChange = (email, change) => {
+  return withTransaction(() => changeTokens(email, change));
+};
+
+// Deduct tokens from a user, or from a workspace's pool (all or nothing)
+const deductToken = (email, amount = 1, jobId = null, workspaceId = null) => {
+  const description = amount === 1 ? 'Emoji generation' : `Emoji generation (${amount} variations)`;
+  return applyTokenChange(email, { type: 'usage', amount: -amount, description, jobId, workspaceId });
+};
+
+// Credit purchased tokens. `payment` ({ amount, currency }) is what the
+// customer paid, kept for revenue reporting. Resolves the updated balance,
+// or null if this Stripe session was already credited (webhook retries are
+// no-ops).
+const addTokens = async (email, amount, description = 'Token purchase', stripeSessionId = null, workspaceId = null, payment = null) => {
+  // Make sure the user row exists before crediting it
+  await getUserTokens(email);
+
+  const applied = await applyTokenChange(email, {
+    type: 'purchase',
+    amount,
+    description,
+    stripeSessionId,
+    workspaceId,
+    amountPaid: payment?.amount ?? null,
+    currency: payment?.currency ?? null
   });
+  return applied ? getLibraryTokens({ email, workspaceId }) : null;
 };
 
-// Log token transaction
-const logTokenTransaction = (userEmail, type, amount, description, stripeSessionId = null) => {
+// Give back tokens charged for a generation that failed
+const refundTokens = async (email, amount, description, jobId = null, workspaceId = null) => {
+  await applyTokenChange(email, { type: 'refund', amount, description, jobId, workspaceId });
+  return getLibraryTokens({ email, workspaceId });
+};
+
+// Move tokens to another user; both sides are written in one transaction.
+// A recipient who has never logged in is created with their welcome bonus.
+// Resolves false if the sender can't cover the amount.
+const transferTokens = (fromEmail, toEmail, amount) => {
+  return withTransaction(async () => {
+    const debited = await changeTokens(fromEmail, { type: 'transfer_out', amount: -amount, description: `Sent to ${toEmail}` });
+    if (!debited) return false;
+
+    await createUserWithBonus(toEmail);
+    await changeTokens(toEmail, { type: 'transfer_in', amount, description: `Received from ${fromEmail}` });
+    return true;
+  });
+};
+
+const normalizePromoCode = (code) => String(code).trim().toUpperCase();
+
+// Create a promo code. Rejects if the code already exists.
+const createPromoCode = ({ code, tokens, maxRedemptions = null, perUserLimit = 1, expiresAt = null }) => {
   return new Promise((resolve, reject) => {
     const query = `
-      INSERT INTO token_transactions (user_email, type, amount, description, stripe_session_id)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO promo_codes (code, tokens, max_redemptions, per_user_limit, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
     `;
-    
-    db.run(query, [userEmail, type, amount, description, stripeSessionId], function(err) {
+    const normalized = normalizePromoCode(code);
+    const params = [
+      normalized,
+      tokens,
+      maxRedemptions,
+      perUserLimit,
+      expiresAt ? new Date(expiresAt).toISOString() : null,
+      new Date().toISOString()
+    ];
+
+    queueRun(query, params, function(err) {
       if (err) {
         return reject(err);
       }
-      resolve(this.lastID);
+      resolve(normalized);
     });
   });
 };
 
-// Get user transaction history
-const getUserTransactions = (email, limit = 50) => {
+// All promo codes with how often each has been redeemed, newest first
+const getAllPromoCodes = () => {
   return new Promise((resolve, reject) => {
     const query = `
-      SELECT * FROM token_transactions 
-      WHERE user_email = ? 
-      ORDER BY created_at DESC 
-      LIMIT ?
+      SELECT promo_codes.*, COUNT(promo_redemptions.id) AS redemptions
+      FROM promo_codes
+      LEFT JOIN promo_redemptions ON promo_redemptions.code = promo_codes.code
+      GROUP BY promo_codes.code
+      ORDER BY promo_codes.created_at DESC
     `;
-    
-    db.all(query, [email, limit], (err, rows) => {
+
+    db.all(query, [], (err, rows) => {
       if (err) {
         return reject(err);
       }
@@ -217,6 +741,1441 @@ const getUserTransactions = (email, limit = 50) => {
   });
 };
 
+// Enable or disable a promo code; resolves false if it doesn't exist
+const setPromoCodeEnabled = (code, enabled) => {
+  return new Promise((resolve, reject) => {
+    queueRun('UPDATE promo_codes SET enabled = ? WHERE code = ?', [enabled ? 1 : 0, normalizePromoCode(code)], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Redeem a promo code for a user. Limits are checked in the same transaction
+// as the credit so concurrent redemptions can't exceed them. Resolves
+// { status: 'redeemed', code, tokens }, or a status of 'invalid', 'expired',
+// 'used_up' or 'limit_reached' without changing anything.
+const redeemPromoCode = (email, code) => {
+  const normalized = normalizePromoCode(code);
+
+  return withTransaction(async () => {
+    const promo = await get('SELECT * FROM promo_codes WHERE code = ? AND enabled = 1', [normalized]);
+    if (!promo) return { status: 'invalid' };
+
+    if (promo.expires_at && new Date(promo.expires_at) <= new Date()) {
+      return { status: 'expired' };
+    }
+
+    const counts = await get(`
+      SELECT COUNT(*) AS total, COALESCE(SUM(user_email = ?), 0) AS by_user
+      FROM promo_redemptions WHERE code = ?
+    `, [email, normalized]);
+
+    if (promo.max_redemptions !== null && counts.total >= promo.max_redemptions) {
+      return { status: 'used_up' };
+    }
+    if (counts.by_user >= promo.per_user_limit) {
+      return { status: 'limit_reached' };
+    }
+
+    await createUserWithBonus(email);
+    await run('INSERT INTO promo_redemptions (code, user_email, redeemed_at) VALUES (?, ?, ?)', [normalized, email, new Date().toISOString()]);
+    await changeTokens(email, { type: 'promo', amount: promo.tokens, description: `Promo code ${normalized}` });
+
+    return { status: 'redeemed', code: normalized, tokens: promo.tokens };
+  });
+};
+
+// Token packages that can be bought right now: enabled and, for
+// time-limited promotions, inside their window
+const getAvailableTokenPackages = (now = new Date()) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM token_packages
+      WHERE enabled = 1
+        AND (starts_at IS NULL OR starts_at <= ?)
+        AND (ends_at IS NULL OR ends_at > ?)
+      ORDER BY sort_order ASC, tokens ASC
+    `;
+    const timestamp = now.toISOString();
+
+    db.all(query, [timestamp, timestamp], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Every token package, including disabled and expired ones
+const getAllTokenPackages = () => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM token_packages ORDER BY sort_order ASC, tokens ASC', [], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Create or replace a token package
+const saveTokenPackage = (pkg) => {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const query = `
+      INSERT INTO token_packages
+        (id, name, tokens, price, currency, savings_label, popular, enabled, starts_at, ends_at, sort_order, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        name = excluded.name,
+        tokens = excluded.tokens,
+        price = excluded.price,
+        currency = excluded.currency,
+        savings_label = excluded.savings_label,
+        popular = excluded.popular,
+        enabled = excluded.enabled,
+        starts_at = excluded.starts_at,
+        ends_at = excluded.ends_at,
+        sort_order = excluded.sort_order,
+        updated_at = excluded.updated_at
+    `;
+
+    const params = [
+      pkg.id,
+      pkg.name,
+      pkg.tokens,
+      pkg.price,
+      (pkg.currency || 'usd').toLowerCase(),
+      pkg.savingsLabel || null,
+      pkg.popular ? 1 : 0,
+      pkg.enabled === false ? 0 : 1,
+      pkg.startsAt ? new Date(pkg.startsAt).toISOString() : null,
+      pkg.endsAt ? new Date(pkg.endsAt).toISOString() : null,
+      pkg.sortOrder || 0,
+      now,
+      now
+    ];
+
+    queueRun(query, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(pkg.id);
+    });
+  });
+};
+
+// Turn a token package on or off
+const setTokenPackageEnabled = (id, enabled) => {
+  return new Promise((resolve, reject) => {
+    const query = 'UPDATE token_packages SET enabled = ?, updated_at = ? WHERE id = ?';
+
+    queueRun(query, [enabled ? 1 : 0, new Date().toISOString(), id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Users whose balance doesn't match the sum of their ledger entries
+const findTokenBalanceMismatches = () => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT users.email, users.tokens AS balance, COALESCE(SUM(token_transactions.amount), 0) AS ledger_balance
+      FROM users
+      LEFT JOIN token_transactions
+        ON token_transactions.user_email = users.email AND token_transactions.workspace_id IS NULL
+      GROUP BY users.email
+      HAVING balance != ledger_balance
+      ORDER BY users.email
+    `;
+
+    db.all(query, [], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Workspaces whose pool doesn't match the sum of their ledger entries
+const findWorkspaceBalanceMismatches = () => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT workspaces.id, workspaces.name, workspaces.tokens AS balance, COALESCE(SUM(token_transactions.amount), 0) AS ledger_balance
+      FROM workspaces
+      LEFT JOIN token_transactions ON token_transactions.workspace_id = workspaces.id
+      GROUP BY workspaces.id
+      HAVING balance != ledger_balance
+      ORDER BY workspaces.id
+    `;
+
+    db.all(query, [], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Stripe sessions credited more than once
+const findDuplicateStripeCredits = () => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT stripe_session_id, user_email, COUNT(*) AS credits, SUM(amount) AS amount
+      FROM token_transactions
+      WHERE stripe_session_id IS NOT NULL
+      GROUP BY stripe_session_id
+      HAVING credits > 1
+    `;
+
+    db.all(query, [], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Reset a user's balance to what their ledger adds up to
+const resetBalanceFromLedger = (email) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE users
+      SET tokens = (SELECT COALESCE(SUM(amount), 0) FROM token_transactions WHERE user_email = ? AND workspace_id IS NULL),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE email = ?
+    `;
+
+    queueRun(query, [email, email], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Reset a workspace's pool to what its ledger adds up to
+const resetWorkspaceBalanceFromLedger = (workspaceId) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE workspaces
+      SET tokens = (SELECT COALESCE(SUM(amount), 0) FROM token_transactions WHERE workspace_id = ?),
+          updated_at = ?
+      WHERE id = ?
+    `;
+
+    queueRun(query, [workspaceId, new Date().toISOString(), workspaceId], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// WHERE clause for a library's transactions, optionally limited to some types
+const buildTransactionFilters = (library, types) => {
+  const { condition, params } = libraryCondition(library, 'token_transactions');
+  const conditions = [condition];
+
+  if (types && types.length > 0) {
+    conditions.push(`type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+// Get a library's transaction history, newest first. Each row carries
+// balance_after, the running balance once that entry was applied; it is
+// computed over the whole ledger so it stays right when filtering by type.
+// Pass the last id of a page as `before` to get the next one.
+const getUserTransactions = (library, { types = null, before = null, limit = 50 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const { where, params } = buildTransactionFilters(library, types);
+    const ledger = libraryCondition(library, 'token_transactions');
+
+    let query = `
+      SELECT * FROM (
+        SELECT token_transactions.*,
+          SUM(amount) OVER (ORDER BY id ROWS UNBOUNDED PRECEDING) AS balance_after
+        FROM token_transactions
+        WHERE ${ledger.condition}
+      ) AS token_transactions
+      WHERE ${where}
+    `;
+    params.unshift(...ledger.params);
+
+    if (before) {
+      query += ' AND id < ?';
+      params.push(before);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+    
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Count a library's transactions, optionally limited to some types
+const countUserTransactions = (library, types = null) => {
+  return new Promise((resolve, reject) => {
+    const { where, params } = buildTransactionFilters(library, types);
+
+    db.get(`SELECT COUNT(*) AS total FROM token_transactions WHERE ${where}`, params, (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row.total);
+    });
+  });
+};
+
+// Get one of a library's transactions
+const getUserTransaction = (library, id) => {
+  return new Promise((resolve, reject) => {
+    const { condition, params } = libraryCondition(library, 'token_transactions');
+
+    db.get(`SELECT * FROM token_transactions WHERE ${condition} AND id = ?`, [...params, id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+};
+
+const WORKSPACE_ROLES = ['owner', 'admin', 'member'];
+
+// Create a workspace with an empty token pool, owned by its creator.
+// Resolves the new id.
+const createWorkspace = (email, name) => {
+  return withTransaction(async () => {
+    const now = new Date().toISOString();
+    const insert = await run('INSERT INTO workspaces (name, created_at, updated_at) VALUES (?, ?, ?)', [name, now, now]);
+    await run(
+      'INSERT INTO workspace_members (workspace_id, user_email, role, added_at) VALUES (?, ?, ?, ?)',
+      [insert.lastID, email, 'owner', now]
+    );
+    return insert.lastID;
+  });
+};
+
+const WORKSPACE_COLUMNS = `
+  workspaces.*,
+  (SELECT COUNT(*) FROM workspace_members WHERE workspace_id = workspaces.id) AS member_count
+`;
+
+// Get the workspaces a user belongs to, with their role in each
+const getUserWorkspaces = (email) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT ${WORKSPACE_COLUMNS}, workspace_members.role
+      FROM workspace_members
+      JOIN workspaces ON workspaces.id = workspace_members.workspace_id
+      WHERE workspace_members.user_email = ?
+      ORDER BY workspaces.name COLLATE NOCASE ASC, workspaces.id ASC
+    `;
+
+    db.all(query, [email], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Get a workspace the user belongs to, with their role; null otherwise
+const getUserWorkspace = (email, id) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT ${WORKSPACE_COLUMNS}, workspace_members.role
+      FROM workspace_members
+      JOIN workspaces ON workspaces.id = workspace_members.workspace_id
+      WHERE workspace_members.user_email = ? AND workspaces.id = ?
+    `;
+
+    db.get(query, [email, id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+};
+
+// Rename a workspace
+const updateWorkspace = (id, { name }) => {
+  return new Promise((resolve, reject) => {
+    queueRun('UPDATE workspaces SET name = ?, updated_at = ? WHERE id = ?', [name, new Date().toISOString(), id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Get a workspace's members, owners first
+const getWorkspaceMembers = (id) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM workspace_members
+      WHERE workspace_id = ?
+      ORDER BY CASE role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, added_at ASC
+    `;
+
+    db.all(query, [id], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Add someone to a workspace; resolves false if they are already a member
+const addWorkspaceMember = (id, email, role) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT OR IGNORE INTO workspace_members (workspace_id, user_email, role, added_at)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    queueRun(query, [id, email, role, new Date().toISOString()], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Change a member's role. Resolves false if they aren't a member, or if it
+// would leave the workspace without an owner.
+const setWorkspaceMemberRole = (id, email, role) => {
+  return withTransaction(async () => {
+    if (role !== 'owner' && await isLastWorkspaceOwner(id, email)) return false;
+
+    const update = await run('UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_email = ?', [role, id, email]);
+    return update.changes > 0;
+  });
+};
+
+// Remove a member. Resolves false if they aren't a member, or if they are
+// the workspace's last owner.
+const removeWorkspaceMember = (id, email) => {
+  return withTransaction(async () => {
+    if (await isLastWorkspaceOwner(id, email)) return false;
+
+    const removal = await run('DELETE FROM workspace_members WHERE workspace_id = ? AND user_email = ?', [id, email]);
+    return removal.changes > 0;
+  });
+};
+
+// Whether a member is the only owner left; call it inside withTransaction
+const isLastWorkspaceOwner = async (id, email) => {
+  const row = await get(`
+    SELECT COUNT(*) AS owners, COALESCE(SUM(user_email = ?), 0) AS is_owner
+    FROM workspace_members WHERE workspace_id = ? AND role = 'owner'
+  `, [email, id]);
+  return row.is_owner > 0 && row.owners === 1;
+};
+
+// Create a login session
+const createSession = (sessionId, email, expiresAt) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO sessions (id, user_email, expires_at)
+      VALUES (?, ?, ?)
+    `;
+
+    queueRun(query, [sessionId, email, expiresAt.toISOString()], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(sessionId);
+    });
+  });
+};
+
+// Get a session if it is still valid (not expired or revoked)
+const getActiveSession = (sessionId) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT sessions.*, users.is_admin FROM sessions
+      LEFT JOIN users ON users.email = sessions.user_email
+      WHERE sessions.id = ? AND revoked_at IS NULL AND expires_at > ?
+    `;
+
+    db.get(query, [sessionId, new Date().toISOString()], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+};
+
+// Revoke a single session (logout)
+const revokeSession = (sessionId) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND revoked_at IS NULL
+    `;
+
+    queueRun(query, [sessionId], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Revoke every session belonging to a user (logout everywhere)
+const revokeUserSessions = (email) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_email = ? AND revoked_at IS NULL
+    `;
+
+    queueRun(query, [email], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes);
+    });
+  });
+};
+
+// Store a newly sent verification code (only its hash is kept)
+const createVerificationCode = (email, codeHash, ipAddress, expiresAt) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO verification_codes (email, code_hash, ip_address, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const params = [email, codeHash, ipAddress, expiresAt.toISOString(), new Date().toISOString()];
+    queueRun(query, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.lastID);
+    });
+  });
+};
+
+// Get the most recently sent, unused verification code for an email
+const getLatestVerificationCode = (email) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM verification_codes
+      WHERE email = ? AND consumed_at IS NULL
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `;
+
+    db.get(query, [email], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+};
+
+// Count codes sent since a given time, by email and by IP address
+const countRecentVerificationCodes = (email, ipAddress, since) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT
+        SUM(CASE WHEN email = ? THEN 1 ELSE 0 END) AS by_email,
+        SUM(CASE WHEN ip_address = ? THEN 1 ELSE 0 END) AS by_ip,
+        MAX(CASE WHEN email = ? THEN created_at END) AS last_sent_at
+      FROM verification_codes
+      WHERE created_at > ? AND (email = ? OR ip_address = ?)
+    `;
+
+    const params = [email, ipAddress, email, since.toISOString(), email, ipAddress];
+    db.get(query, params, (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve({
+        byEmail: row.by_email || 0,
+        byIp: row.by_ip || 0,
+        lastSentAt: row.last_sent_at ? new Date(row.last_sent_at).getTime() : null
+      });
+    });
+  });
+};
+
+// Record a failed guess, returning the updated attempt count
+const recordFailedVerificationAttempt = (id) => {
+  return new Promise((resolve, reject) => {
+    queueRun('UPDATE verification_codes SET attempts = attempts + 1 WHERE id = ?', [id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+
+      db.get('SELECT attempts FROM verification_codes WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve(row ? row.attempts : 0);
+      });
+    });
+  });
+};
+
+// Mark a code as used; resolves false if it was already consumed
+const consumeVerificationCode = (id) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE verification_codes
+      SET consumed_at = ?
+      WHERE id = ? AND consumed_at IS NULL
+    `;
+
+    queueRun(query, [new Date().toISOString(), id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Remove codes older than the given time (they no longer count towards limits)
+const deleteVerificationCodesBefore = (before) => {
+  return new Promise((resolve, reject) => {
+    queueRun('DELETE FROM verification_codes WHERE created_at < ?', [before.toISOString()], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes);
+    });
+  });
+};
+
+// Save a generated emoji. Resolves the new id, or null if the file was
+// already recorded (the importer relies on that to be re-runnable).
+const createEmoji = (emoji) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT OR IGNORE INTO emojis 
+        (user_email, workspace_id, filename, name, description, prompt, remove_background, emojify, style, parent_id, edited,
+         frame_count, frame_delay, loop_count, original_image, has_transparency, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      emoji.userEmail,
+      emoji.workspaceId || null,
+      emoji.filename,
+      emoji.name || null,
+      emoji.description,
+      emoji.prompt || '',
+      emoji.removeBackground ? 1 : 0,
+      emoji.emojify ? 1 : 0,
+      emoji.style || null,
+      emoji.parentId || null,
+      emoji.edited ? 1 : 0,
+      emoji.animation ? emoji.animation.frames : null,
+      emoji.animation ? emoji.animation.delay : null,
+      emoji.animation ? emoji.animation.loop : null,
+      emoji.originalImage || null,
+      typeof emoji.hasTransparency === 'boolean' ? (emoji.hasTransparency ? 1 : 0) : null,
+      new Date(emoji.createdAt || Date.now()).toISOString()
+    ];
+
+    queueRun(query, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0 ? this.lastID : null);
+    });
+  });
+};
+
+// Sort orders for emoji listings: the expression to order by and its direction.
+// Ties are broken by id in the same direction.
+const EMOJI_SORTS = {
+  newest: { expression: 'emojis.created_at', direction: 'DESC' },
+  oldest: { expression: 'emojis.created_at', direction: 'ASC' },
+  name: { expression: "LOWER(COALESCE(emojis.name, emojis.description, ''))", direction: 'ASC' }
+};
+
+// Build the WHERE clause shared by emoji listing and counting
+const buildEmojiFilters = (library, filters = {}) => {
+  const { condition, params } = libraryCondition(library, 'emojis');
+  const conditions = [condition];
+
+  if (filters.search) {
+    const pattern = `%${filters.search.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    conditions.push(`(
+      emojis.name LIKE ? ESCAPE '\\'
+      OR emojis.description LIKE ? ESCAPE '\\'
+      OR emojis.prompt LIKE ? ESCAPE '\\'
+      OR EXISTS (SELECT 1 FROM emoji_tags WHERE emoji_id = emojis.id AND tag LIKE ? ESCAPE '\\')
+    )`);
+    params.push(pattern, pattern, pattern, pattern);
+  }
+
+  if (filters.emojify !== undefined) {
+    conditions.push('emojis.emojify = ?');
+    params.push(filters.emojify ? 1 : 0);
+  }
+
+  if (filters.removeBackground !== undefined) {
+    conditions.push('emojis.remove_background = ?');
+    params.push(filters.removeBackground ? 1 : 0);
+  }
+
+  if (filters.fromImage !== undefined) {
+    conditions.push(filters.fromImage ? 'emojis.original_image IS NOT NULL' : 'emojis.original_image IS NULL');
+  }
+
+  if (filters.animated !== undefined) {
+    conditions.push(filters.animated ? 'emojis.frame_count IS NOT NULL' : 'emojis.frame_count IS NULL');
+  }
+
+  if (filters.from) {
+    conditions.push('emojis.created_at >= ?');
+    params.push(filters.from.toISOString());
+  }
+
+  if (filters.to) {
+    conditions.push('emojis.created_at < ?');
+    params.push(filters.to.toISOString());
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+// Get a page of a library's emojis. `after` is the { value, id } of the last
+// emoji on the previous page, where value is that row's sort_value.
+const getUserEmojis = (library, { filters = {}, sort = 'newest', after = null, limit = 50 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const { expression, direction } = Object.hasOwn(EMOJI_SORTS, sort) ? EMOJI_SORTS[sort] : EMOJI_SORTS.newest;
+    const { where, params } = buildEmojiFilters(library, filters);
+    const comparison = direction === 'DESC' ? '<' : '>';
+
+    let query = `
+      SELECT emojis.*,
+        ${expression} AS sort_value,
+        (SELECT json_group_array(tag) FROM emoji_tags WHERE emoji_id = emojis.id) AS tags
+      FROM emojis
+      WHERE ${where}
+    `;
+
+    if (after) {
+      query += ` AND (${expression} ${comparison} ? OR (${expression} = ? AND emojis.id ${comparison} ?))`;
+      params.push(after.value, after.value, after.id);
+    }
+
+    query += ` ORDER BY ${expression} ${direction}, emojis.id ${direction} LIMIT ?`;
+    params.push(limit);
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Count a library's emojis matching the given filters
+const countUserEmojis = (library, filters = {}) => {
+  return new Promise((resolve, reject) => {
+    const { where, params } = buildEmojiFilters(library, filters);
+
+    db.get(`SELECT COUNT(*) AS total FROM emojis WHERE ${where}`, params, (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row.total);
+    });
+  });
+};
+
+// Get one of a library's emojis (with its tags)
+const getUserEmoji = (library, id) => {
+  return new Promise((resolve, reject) => {
+    const { condition, params } = libraryCondition(library, 'emojis');
+    const query = `
+      SELECT emojis.*,
+        (SELECT json_group_array(tag) FROM emoji_tags WHERE emoji_id = emojis.id) AS tags
+      FROM emojis
+      WHERE ${condition} AND id = ?
+    `;
+
+    db.get(query, [...params, id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+};
+
+// Every version of an emoji, oldest first: walk up to the first version,
+// then collect everything refined from it, directly or not
+const getEmojiVersions = (library, id) => {
+  return new Promise((resolve, reject) => {
+    const { condition, params } = libraryCondition(library, 'emojis');
+    const query = `
+      WITH RECURSIVE
+        ancestors(id, parent_id) AS (
+          SELECT id, parent_id FROM emojis WHERE ${condition} AND id = ?
+          UNION
+          SELECT emojis.id, emojis.parent_id FROM emojis JOIN ancestors ON emojis.id = ancestors.parent_id
+        ),
+        versions(id) AS (
+          SELECT id FROM ancestors WHERE parent_id IS NULL OR parent_id NOT IN (SELECT id FROM ancestors)
+          UNION
+          SELECT emojis.id FROM emojis JOIN versions ON emojis.parent_id = versions.id
+        )
+      SELECT emojis.*,
+        (SELECT json_group_array(tag) FROM emoji_tags WHERE emoji_id = emojis.id) AS tags
+      FROM emojis
+      WHERE ${condition} AND id IN (SELECT id FROM versions)
+      ORDER BY created_at ASC, id ASC
+    `;
+
+    db.all(query, [...params, id, ...params], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Get an emoji by id regardless of owner. Callers must have checked access.
+const getEmojiById = (id) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM emojis WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+};
+
+// Get several of a library's emojis with their tags, oldest first. Pass
+// null for ids to get all of them.
+const getUserEmojisByIds = (library, ids = null) => {
+  return new Promise((resolve, reject) => {
+    const { condition, params } = libraryCondition(library, 'emojis');
+    let query = `
+      SELECT emojis.*,
+        (SELECT json_group_array(tag) FROM emoji_tags WHERE emoji_id = emojis.id) AS tags
+      FROM emojis
+      WHERE ${condition}
+    `;
+
+    if (ids) {
+      if (ids.length === 0) return resolve([]);
+      query += ` AND id IN (${ids.map(() => '?').join(', ')})`;
+      params.push(...ids);
+    }
+
+    query += ' ORDER BY created_at ASC, id ASC';
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Update an emoji's display name and/or description
+const updateEmoji = (library, id, { name, description }) => {
+  return new Promise((resolve, reject) => {
+    const { condition, params } = libraryCondition(library, 'emojis');
+    const query = `
+      UPDATE emojis
+      SET name = COALESCE(?, name),
+          description = COALESCE(?, description)
+      WHERE ${condition} AND id = ?
+    `;
+
+    queueRun(query, [name ?? null, description ?? null, ...params, id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Replace the full set of tags on an emoji
+const setEmojiTags = (id, tags) => {
+  return withTransaction(async () => {
+    await run('DELETE FROM emoji_tags WHERE emoji_id = ?', [id]);
+    for (const tag of tags) {
+      await run('INSERT OR IGNORE INTO emoji_tags (emoji_id, tag) VALUES (?, ?)', [id, tag]);
+    }
+    return tags;
+  });
+};
+
+// Delete some of a library's emojis, resolving the removed rows so the
+// caller can clean up their files. Ids from other libraries are ignored.
+const deleteUserEmojis = async (library, ids) => {
+  if (ids.length === 0) return [];
+
+  const { condition, params } = libraryCondition(library, 'emojis');
+  const placeholders = ids.map(() => '?').join(', ');
+  const selectQuery = `SELECT * FROM emojis WHERE ${condition} AND id IN (${placeholders})`;
+
+  return withTransaction(async () => {
+    const rows = await all(selectQuery, [...params, ...ids]);
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const ownedIds = rows.map(row => row.id);
+    const ownedPlaceholders = ownedIds.map(() => '?').join(', ');
+
+    // Versions refined from a deleted emoji move up to its closest
+    // surviving ancestor so the version history stays connected
+    const parents = new Map(rows.map(row => [row.id, row.parent_id]));
+    const survivingAncestor = (id) => {
+      let ancestor = parents.get(id);
+      while (parents.has(ancestor)) {
+        ancestor = parents.get(ancestor);
+      }
+      return ancestor ?? null;
+    };
+
+    for (const id of ownedIds) {
+      await run('UPDATE emojis SET parent_id = ? WHERE parent_id = ?', [survivingAncestor(id), id]);
+    }
+    await run(`DELETE FROM emoji_tags WHERE emoji_id IN (${ownedPlaceholders})`, ownedIds);
+    await run(`DELETE FROM pack_emojis WHERE emoji_id IN (${ownedPlaceholders})`, ownedIds);
+    await run(`DELETE FROM emojis WHERE id IN (${ownedPlaceholders})`, ownedIds);
+    return rows;
+  });
+};
+
+// Create an empty pack in a library. Resolves the new id.
+const createPack = (library, { name, description }) => {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const query = `
+      INSERT INTO packs (user_email, workspace_id, name, description, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    queueRun(query, [library.email, library.workspaceId || null, name, description || null, now, now], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.lastID);
+    });
+  });
+};
+
+const PACK_COLUMNS = `
+  packs.*,
+  (SELECT COUNT(*) FROM pack_emojis WHERE pack_id = packs.id) AS emoji_count
+`;
+
+// Get a library's packs, newest first, with how many emojis each holds
+const getUserPacks = (library) => {
+  return new Promise((resolve, reject) => {
+    const { condition, params } = libraryCondition(library, 'packs');
+    const query = `SELECT ${PACK_COLUMNS} FROM packs WHERE ${condition} ORDER BY created_at DESC, id DESC`;
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Get one of a library's packs
+const getUserPack = (library, id) => {
+  return new Promise((resolve, reject) => {
+    const { condition, params } = libraryCondition(library, 'packs');
+    const query = `SELECT ${PACK_COLUMNS} FROM packs WHERE ${condition} AND id = ?`;
+
+    db.get(query, [...params, id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+};
+
+// Get a published pack by its share slug
+const getPackByShareSlug = (slug) => {
+  return new Promise((resolve, reject) => {
+    const query = `SELECT ${PACK_COLUMNS} FROM packs WHERE share_slug = ?`;
+
+    db.get(query, [slug], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+};
+
+// Update a pack's name and/or description
+const updatePack = (library, id, { name, description }) => {
+  return new Promise((resolve, reject) => {
+    const { condition, params } = libraryCondition(library, 'packs');
+    const query = `
+      UPDATE packs
+      SET name = COALESCE(?, name),
+          description = COALESCE(?, description),
+          updated_at = ?
+      WHERE ${condition} AND id = ?
+    `;
+
+    queueRun(query, [name ?? null, description ?? null, new Date().toISOString(), ...params, id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Publish a pack under a share slug, or unpublish it with null
+const setPackShareSlug = (library, id, slug) => {
+  return new Promise((resolve, reject) => {
+    const { condition, params } = libraryCondition(library, 'packs');
+    const query = `UPDATE packs SET share_slug = ?, updated_at = ? WHERE ${condition} AND id = ?`;
+
+    queueRun(query, [slug, new Date().toISOString(), ...params, id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Delete a pack. The emojis in it stay in the library.
+const deletePack = (library, id) => {
+  const { condition, params } = libraryCondition(library, 'packs');
+
+  return withTransaction(async () => {
+    const row = await get(`SELECT id FROM packs WHERE ${condition} AND id = ?`, [...params, id]);
+    if (!row) {
+      return false;
+    }
+
+    await run('DELETE FROM pack_emojis WHERE pack_id = ?', [id]);
+    await run('DELETE FROM packs WHERE id = ?', [id]);
+    return true;
+  });
+};
+
+// Add emojis to a pack. Only emojis in the pack's library are added;
+// resolves how many were new to the pack.
+const addEmojisToPack = (packId, library, emojiIds) => {
+  return new Promise((resolve, reject) => {
+    if (emojiIds.length === 0) return resolve(0);
+
+    const { condition, params } = libraryCondition(library, 'emojis');
+    const placeholders = emojiIds.map(() => '?').join(', ');
+    const query = `
+      INSERT OR IGNORE INTO pack_emojis (pack_id, emoji_id, added_at)
+      SELECT ?, id, ? FROM emojis WHERE ${condition} AND id IN (${placeholders})
+    `;
+
+    queueRun(query, [packId, new Date().toISOString(), ...params, ...emojiIds], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes);
+    });
+  });
+};
+
+// Remove emojis from a pack; resolves how many were removed
+const removeEmojisFromPack = (packId, emojiIds) => {
+  return new Promise((resolve, reject) => {
+    if (emojiIds.length === 0) return resolve(0);
+
+    const placeholders = emojiIds.map(() => '?').join(', ');
+    queueRun(`DELETE FROM pack_emojis WHERE pack_id = ? AND emoji_id IN (${placeholders})`, [packId, ...emojiIds], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes);
+    });
+  });
+};
+
+// Get one emoji of a pack, or null if it isn't in the pack
+const getPackEmoji = (packId, emojiId) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT emojis.*
+      FROM pack_emojis
+      JOIN emojis ON emojis.id = pack_emojis.emoji_id
+      WHERE pack_emojis.pack_id = ? AND pack_emojis.emoji_id = ?
+    `;
+
+    db.get(query, [packId, emojiId], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+};
+
+// Get the emojis in a pack, with their tags, in the order they were added
+const getPackEmojis = (packId) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT emojis.*,
+        (SELECT json_group_array(tag) FROM emoji_tags WHERE emoji_id = emojis.id) AS tags
+      FROM pack_emojis
+      JOIN emojis ON emojis.id = pack_emojis.emoji_id
+      WHERE pack_emojis.pack_id = ?
+      ORDER BY pack_emojis.added_at ASC, emojis.id ASC
+    `;
+
+    db.all(query, [packId], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Parse the JSON columns of a generation_jobs row
+const parseGenerationJob = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    params: JSON.parse(row.params),
+    result: row.result ? JSON.parse(row.result) : null
+  };
+};
+
+// Record a new generation job in the queued state. Jobs started in a
+// workspace are paid from its pool and save into its library.
+const createGenerationJob = (id, email, params, tokensCharged, workspaceId = null) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO generation_jobs (id, user_email, workspace_id, params, tokens_charged, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    queueRun(query, [id, email, workspaceId, JSON.stringify(params), tokensCharged, new Date().toISOString()], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(id);
+    });
+  });
+};
+
+// Get a generation job by id (optionally only if it belongs to a user)
+const getGenerationJob = (id, email = null) => {
+  return new Promise((resolve, reject) => {
+    let query = 'SELECT * FROM generation_jobs WHERE id = ?';
+    const params = [id];
+
+    if (email) {
+      query += ' AND user_email = ?';
+      params.push(email);
+    }
+
+    db.get(query, params, (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(parseGenerationJob(row));
+    });
+  });
+};
+
+// Get several generation jobs by id, in no particular order
+const getGenerationJobsByIds = (ids) => {
+  return new Promise((resolve, reject) => {
+    if (ids.length === 0) return resolve([]);
+
+    const query = `SELECT * FROM generation_jobs WHERE id IN (${ids.map(() => '?').join(', ')})`;
+
+    db.all(query, ids, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows.map(parseGenerationJob));
+    });
+  });
+};
+
+// Update a job's status and any of its result fields
+const updateGenerationJob = (id, { status, tokensCharged, result, error }) => {
+  return new Promise((resolve, reject) => {
+    const now = new Date().toISOString();
+    const query = `
+      UPDATE generation_jobs
+      SET status = ?,
+          tokens_charged = COALESCE(?, tokens_charged),
+          result = COALESCE(?, result),
+          error = COALESCE(?, error),
+          started_at = CASE WHEN ? = 'running' THEN ? ELSE started_at END,
+          finished_at = CASE WHEN ? IN ('succeeded', 'failed') THEN ? ELSE finished_at END
+      WHERE id = ?
+    `;
+
+    const params = [
+      status,
+      tokensCharged ?? null,
+      result ? JSON.stringify(result) : null,
+      error ?? null,
+      status, now,
+      status, now,
+      id
+    ];
+
+    queueRun(query, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Get jobs that were queued or running, oldest first (used after a restart)
+const getUnfinishedGenerationJobs = () => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM generation_jobs
+      WHERE status IN ('queued', 'running')
+      ORDER BY created_at ASC
+    `;
+
+    db.all(query, [], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows.map(parseGenerationJob));
+    });
+  });
+};
+
+// WHERE clause matching users whose email contains `search`
+const buildUserFilters = (search) => {
+  if (!search) return { where: '1 = 1', params: [] };
+  return {
+    where: "email LIKE ? ESCAPE '\\'",
+    params: [`%${search.replace(/[\\%_]/g, match => `\\${match}`)}%`]
+  };
+};
+
+// Users for the admin dashboard, newest first, with how many emojis each
+// made and when they last logged in. `search` matches part of the email;
+// pass the last id of a page as `before` to get the next one.
+const searchUsers = ({ search = '', before = null, limit = 50 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const { where, params } = buildUserFilters(search);
+    let query = `
+      SELECT users.*,
+        (SELECT COUNT(*) FROM emojis WHERE emojis.user_email = users.email) AS emoji_count,
+        (SELECT MAX(created_at) FROM sessions WHERE sessions.user_email = users.email) AS last_login_at
+      FROM users
+      WHERE ${where}
+    `;
+
+    if (before) {
+      query += ' AND id < ?';
+      params.push(before);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Count the users whose email contains `search`
+const countUsers = (search = '') => {
+  return new Promise((resolve, reject) => {
+    const { where, params } = buildUserFilters(search);
+
+    db.get(`SELECT COUNT(*) AS total FROM users WHERE ${where}`, params, (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row.total);
+    });
+  });
+};
+
+// Get the emails of every admin
+const getAdminEmails = () => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT email FROM users WHERE is_admin = 1 ORDER BY email', [], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows.map(row => row.email));
+    });
+  });
+};
+
+// Grant or revoke admin access. Resolves false if there is no such user.
+const setUserAdmin = (email, isAdmin) => {
+  return new Promise((resolve, reject) => {
+    queueRun('UPDATE users SET is_admin = ? WHERE email = ?', [isAdmin ? 1 : 0, email], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+};
+
+// Credit or debit a user's balance by hand, logged as an 'adjustment' in
+// their ledger. Resolves { status: 'adjusted', balance }, or a status of
+// 'not_found' or 'insufficient' (the debit would overdraw the balance).
+const adjustUserTokens = (email, amount, description) => {
+  return withTransaction(async () => {
+    const user = await get('SELECT tokens FROM users WHERE email = ?', [email]);
+    if (!user) return { status: 'not_found' };
+
+    const applied = await changeTokens(email, { type: 'adjustment', amount, description });
+    if (!applied) return { status: 'insufficient' };
+
+    return { status: 'adjusted', balance: user.tokens + amount };
+  });
+};
+
+// Generation jobs for the admin dashboard, newest first, optionally only
+// one status or one user's. Pass the last row_id of a page as `before`.
+const getRecentGenerationJobs = ({ status = null, email = null, before = null, limit = 50 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (email) {
+      conditions.push('user_email = ?');
+      params.push(email);
+    }
+    if (before) {
+      conditions.push('rowid < ?');
+      params.push(before);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    db.all(`SELECT rowid AS row_id, * FROM generation_jobs ${where} ORDER BY rowid DESC LIMIT ?`, [...params, limit], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows.map(parseGenerationJob));
+    });
+  });
+};
+
+// Count generation jobs by status, over the last `days` days or all time
+const countGenerationJobsByStatus = (days = null) => {
+  return new Promise((resolve, reject) => {
+    const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : '';
+
+    db.all('SELECT status, COUNT(*) AS total FROM generation_jobs WHERE created_at >= ? GROUP BY status', [since], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(Object.fromEntries(rows.map(row => [row.status, row.total])));
+    });
+  });
+};
+
+// Stripe purchases per currency over the last `days` days, or all time.
+// Purchases credited before payments were recorded have a null currency.
+const getRevenueTotals = (days = null) => {
+  return new Promise((resolve, reject) => {
+    let query = `
+      SELECT currency, COUNT(*) AS purchases, SUM(amount) AS tokens, SUM(amount_paid) AS amount_paid
+      FROM token_transactions
+      WHERE type = 'purchase' AND stripe_session_id IS NOT NULL
+    `;
+    const params = [];
+
+    if (days) {
+      query += " AND created_at >= datetime('now', ?)";
+      params.push(`-${days} days`);
+    }
+
+    query += ' GROUP BY currency ORDER BY amount_paid DESC';
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// Get all known emails (used to map upload directories back to users)
+const getAllUserEmails = () => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT email FROM users', [], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows.map(row => row.email));
+    });
+  });
+};
+
 // Close database connection
 const closeDatabase = () => {
   return new Promise((resolve) => {
@@ -251,7 +2210,81 @@ module.exports = {
   getUserTokens,
   deductToken,
   addTokens,
-  logTokenTransaction,
+  refundTokens,
+  transferTokens,
+  getWorkspaceTokens,
+  getLibraryTokens,
+  createPromoCode,
+  getAllPromoCodes,
+  setPromoCodeEnabled,
+  redeemPromoCode,
+  getAvailableTokenPackages,
+  getAllTokenPackages,
+  saveTokenPackage,
+  setTokenPackageEnabled,
+  findTokenBalanceMismatches,
+  findWorkspaceBalanceMismatches,
+  findDuplicateStripeCredits,
+  resetBalanceFromLedger,
+  resetWorkspaceBalanceFromLedger,
+  WORKSPACE_ROLES,
+  createWorkspace,
+  getUserWorkspaces,
+  getUserWorkspace,
+  updateWorkspace,
+  getWorkspaceMembers,
+  addWorkspaceMember,
+  setWorkspaceMemberRole,
+  removeWorkspaceMember,
+  TRANSACTION_TYPES,
   getUserTransactions,
+  countUserTransactions,
+  getUserTransaction,
+  createSession,
+  getActiveSession,
+  revokeSession,
+  revokeUserSessions,
+  createVerificationCode,
+  getLatestVerificationCode,
+  countRecentVerificationCodes,
+  recordFailedVerificationAttempt,
+  consumeVerificationCode,
+  deleteVerificationCodesBefore,
+  createEmoji,
+  getUserEmojis,
+  countUserEmojis,
+  EMOJI_SORTS,
+  getUserEmoji,
+  getEmojiVersions,
+  getEmojiById,
+  getUserEmojisByIds,
+  updateEmoji,
+  setEmojiTags,
+  deleteUserEmojis,
+  createPack,
+  getUserPacks,
+  getUserPack,
+  getPackByShareSlug,
+  updatePack,
+  setPackShareSlug,
+  deletePack,
+  addEmojisToPack,
+  removeEmojisFromPack,
+  getPackEmoji,
+  getPackEmojis,
+  createGenerationJob,
+  getGenerationJob,
+  getGenerationJobsByIds,
+  updateGenerationJob,
+  getUnfinishedGenerationJobs,
+  searchUsers,
+  countUsers,
+  getAdminEmails,
+  setUserAdmin,
+  adjustUserTokens,
+  getRecentGenerationJobs,
+  countGenerationJobsByStatus,
+  getRevenueTotals,
+  getAllUserEmails,
   closeDatabase
 };
\ No newline at end of file
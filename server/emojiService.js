@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  ANIMATION_SIZE,
+  squareCrop,
+  removeBackground: removeImageBackground,
+  hasTransparency,
+  assembleAnimation,
+  IMAGE_TYPES,
+  detectImageType
+} = require('./imagePipeline');
+const { isAnimatedPng, readApng } = require('./png');
+const { STYLE_PRESETS } = require('./stylePresets');
+const { REFERENCE_ROLES } = require('./referenceRoles');
+const { UPLOADS_DIR } = require('./uploadsDir');
+
+// Requirements appended to every prompt
+const CORE_REQUIREMENTS = 'IMPORTANT: The output image MUST be: ' +
+  '- Exactly square dimensions (1:1 aspect ratio - same width and height) ' +
+  '- Do not preserve the original aspect ratio ' +
+  '- Force the image into a perfect square format ' +
+  '- Clear and recognizable at small sizes ' +
+  '- Simple, clean design with minimal details ' +
+  '- High contrast colors ' +
+  '- Professional quality';
+
+// Put in front of the first frame's prompt so the model leaves room to move
+const ANIMATION_FIRST_FRAME = 'This is the first frame of a short looping animated emoji, ' +
+  'so show the subject in a neutral starting pose with some room around it to move. ';
+
+// Turns user options into a prompt, asks the configured image provider
+// for a picture and saves it under uploads/<safeEmail>/
+class EmojiService {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  // `images` are the reference images as [{ path, role }], in the order the
+  // user put them; role is one of REFERENCE_ROLES. `options.style` is a
+  // style preset id. With `options.refine`, the only image is an emoji
+  // generated earlier and description the change to make to it.
+  // `options.animation` ({ frames, delay, loop }) makes an animated APNG
+  // instead of a still image.
+  async generateEmoji(images = [], description, removeBackground = false, emojify = false, userEmail = null, options = {}) {
+    const { style = null, refine = false, animation = null } = options;
+
+    try {
+      console.log(`Generating emoji with ${this.provider.name}...`);
+      
+      // Build the prompt based on user options
+      let prompt = refine
+        ? this.buildRefinePrompt(description, removeBackground, style)
+        : this.buildPrompt(description, removeBackground, emojify, images.map(image => image.role), style);
+      if (animation) {
+        prompt = ANIMATION_FIRST_FRAME + prompt;
+      }
+      
+      console.log('Using prompt:', prompt);
+
+      const inputImages = images.map(image => {
+        const data = fs.readFileSync(image.path);
+        const inputImage = { data, mimeType: this.getMimeType(data) };
+        // An animated emoji being refined is sent as its first frame. Older
+        // emojis may not be PNGs at all, which readApng would reject.
+        if (refine && isAnimatedPng(data)) {
+          inputImage.data = readApng(data).frames[0];
+          inputImage.mimeType = 'image/png';
+        }
+        return inputImage;
+      });
+
+      const generated = await this.provider.generateImage({ prompt, inputImages });
+      const generatedImageData = generated.data;
+      
+      if (generatedImageData) {
+        // Create user directory and save the generated image
+        const userDir = this.createUserDirectory(userEmail);
+        const timestamp = Date.now();
+        // Variations generated concurrently can share a timestamp
+        const suffix = Math.random().toString(36).slice(2, 8);
+        const filename = `emoji-${timestamp}-${suffix}.png`;
+        const outputPath = path.join(userDir, filename);
+        let imageData;
+        if (animation) {
+          imageData = await this.animate(generatedImageData, description, removeBackground, style, animation);
+        } else {
+          // Models don't reliably return square images, so enforce it here
+          imageData = await squareCrop(generatedImageData);
+          // Models often ignore the transparency request, so cut the background out locally
+          if (removeBackground) {
+            imageData = await removeImageBackground(imageData);
+          }
+        }
+        fs.writeFileSync(outputPath, imageData);
+        
+        // Metadata is stored in the emojis table by the caller
+        return {
+          success: true,
+          outputPath: outputPath,
+          filename: filename,
+          prompt: prompt,
+          timestamp,
+          hasTransparency: await hasTransparency(imageData)
+        };
+      } else {
+        throw new Error('No image data found in response. Response was text only.');
+      }
+    } catch (error) {
+      console.error(`Error generating emoji with ${this.provider.name}:`, error);
+      throw error;
+    }
+  }
+
+  // Draw the rest of an animation from its first frame and combine them
+  // into an APNG. Every frame is drawn from the first one rather than from
+  // the frame before it, so mistakes don't build up over the sequence.
+  async animate(firstFrame, description, removeBackground, style, { frames, delay, loop }) {
+    const anchor = await squareCrop(firstFrame, ANIMATION_SIZE);
+
+    const nextFrames = await Promise.all(
+      Array.from({ length: frames - 1 }, (_, index) => this.provider.generateImage({
+        prompt: this.buildFramePrompt(description, index + 2, frames, removeBackground, style),
+        inputImages: [{ data: anchor, mimeType: 'image/png' }]
+      }))
+    );
+
+    let sequence = await Promise.all([anchor, ...nextFrames.map(frame => squareCrop(frame.data, ANIMATION_SIZE))]);
+    if (removeBackground) {
+      sequence = await Promise.all(sequence.map(frame => removeImageBackground(frame)));
+    }
+
+    return assembleAnimation(sequence, { delay, loop });
+  }
+
+  // Prompt for frame `index` (2 and up) of an animation, given the first frame
+  buildFramePrompt(description, index, frames, removeBackground, style = null) {
+    let prompt = `The provided emoji is frame 1 of a ${frames}-frame looping animation` +
+                 (description ? ` of: ${description}. ` : '. ') +
+                 `Draw frame ${index} of ${frames}. Keep the subject, colors, outlines, art style, size, position and background ` +
+                 'exactly the same and change only what moves, so the frames play back smoothly and the last frame leads back into the first. ';
+
+    prompt += this.buildStylePrompt(style);
+
+    if (removeBackground) {
+      prompt += 'Keep the background completely transparent, focusing only on the main subject. ';
+    }
+
+    return prompt + CORE_REQUIREMENTS;
+  }
+
+  // `imageRoles` has the role of each reference image, in order; none
+  // means text-to-image. `style` is the id of one of STYLE_PRESETS, or
+  // null for no preset.
+  buildPrompt(description, removeBackground, emojify, imageRoles = [], style = null) {
+    const textToImageOnly = imageRoles.length === 0;
+    // A single subject photo keeps the original, simpler wording
+    const singleSubject = imageRoles.length === 1 && imageRoles[0] === 'subject';
+    let prompt = '';
+    
+    if (textToImageOnly) {
+      prompt = 'Generate an emoji image that represents: ';
+    } else if (singleSubject) {
+      prompt = 'Using the provided image, ';
+    } else {
+      prompt = this.buildReferencePrompt(imageRoles) + (imageRoles.length === 1 ? 'Using it, ' : 'Using them, ');
+    }
+
+    if (description) {
+      prompt += textToImageOnly ? `${description}. ` : `create an image that represents: ${description}. `;
+    } else if (textToImageOnly) {
+      prompt += 'a generic image. ';
+    } else {
+      if (singleSubject) {
+        prompt += 'transform this image into a square format. ';
+      } else {
+        prompt += imageRoles.length === 1 ? 'create a square emoji from it. ' : 'combine them into a single square emoji. ';
+      }
+    }
+
+    prompt += this.buildStylePrompt(style);
+
+    if (emojify) {
+      prompt += 'Make it look like a typical emoji with cute, cartoon-style features, bold simple lines, bright vibrant colors, and a friendly expressive appearance. ';
+    }
+
+    if (removeBackground) {
+      prompt += 'Remove the background completely and make it transparent, focusing only on the main subject. ';
+    }
+
+    return prompt + CORE_REQUIREMENTS;
+  }
+
+  // Prompt for changing an existing emoji. Its style preset is repeated so
+  // the new version doesn't drift away from it.
+  buildRefinePrompt(instruction, removeBackground, style = null) {
+    let prompt = `Using the provided emoji, make this change: ${instruction}. ` +
+                 'Keep everything else the same: the subject, pose, composition, colors and art style. ';
+
+    prompt += this.buildStylePrompt(style);
+
+    if (removeBackground) {
+      prompt += 'Keep the background completely transparent, focusing only on the main subject. ';
+    }
+
+    return prompt + CORE_REQUIREMENTS;
+  }
+
+  // Explain what each reference image is for, e.g. "Image 2 is a style reference: ..."
+  buildReferencePrompt(imageRoles) {
+    let prompt = imageRoles.length === 1
+      ? 'You are given 1 reference image. '
+      : `You are given ${imageRoles.length} reference images, in order. `;
+
+    imageRoles.forEach((role, index) => {
+      const referenceRole = Object.hasOwn(REFERENCE_ROLES, role) ? REFERENCE_ROLES[role] : null;
+      if (!referenceRole) {
+        throw new Error(`Unknown reference image role "${role}"`);
+      }
+      prompt += `Image ${index + 1} is ${referenceRole.prompt}. `;
+    });
+
+    return prompt;
+  }
+
+  buildStylePrompt(style) {
+    if (!style) return '';
+
+    const preset = Object.hasOwn(STYLE_PRESETS, style) ? STYLE_PRESETS[style] : null;
+    if (!preset) {
+      throw new Error(`Unknown style preset "${style}"`);
+    }
+    return `${preset.prompt} `;
+  }
+
+  createUserDirectory(email) {
+    if (!email) return UPLOADS_DIR;
+    
+    const safeEmail = this.getSafeEmail(email);
+    const userDir = path.join(UPLOADS_DIR, safeEmail);
+    if (!fs.existsSync(userDir)) {
+      fs.mkdirSync(userDir, { recursive: true });
+    }
+    return userDir;
+  }
+  
+  getSafeEmail(email) {
+    return email.replace(/[^a-zA-Z0-9@.-]/g, '_');
+  }
+
+  // Sniffed from the image bytes. Uploads are checked on the way in, so the
+  // fallback only covers odd files saved before that
+  getMimeType(data) {
+    const type = detectImageType(data);
+    return type ? IMAGE_TYPES[type].mimeType : 'image/png';
+  }
+}
+
+module.exports = EmojiService;
\ No newline at end of file
@@ -0,0 +1,351 @@
+const sharp = require('sharp');
+const { assembleApng, readApng } = require('./png');
+
+// Largest side we keep for stored emojis; bigger model output is scaled down
+const MAX_STORED_SIZE = 1024;
+
+// Frame size of animated emojis, kept smaller since every frame is stored
+const ANIMATION_SIZE = 512;
+
+// Platform export targets: square pixel size, maximum file size and the
+// format the platform takes animated emojis in
+const EXPORT_PRESETS = {
+  slack: { label: 'Slack', size: 128, maxBytes: 128 * 1024, animatedFormat: 'gif' },
+  discord: { label: 'Discord', size: 128, maxBytes: 256 * 1024, animatedFormat: 'gif' },
+  'apple-sticker-small': { label: 'Apple Sticker (Small)', size: 300, maxBytes: 500 * 1024, animatedFormat: 'apng' },
+  'apple-sticker': { label: 'Apple Sticker', size: 408, maxBytes: 500 * 1024, animatedFormat: 'apng' },
+  'apple-sticker-large': { label: 'Apple Sticker (Large)', size: 618, maxBytes: 500 * 1024, animatedFormat: 'apng' }
+};
+
+// Palette sizes tried, in order, when a full-color PNG or a GIF is over the size limit
+const PALETTE_STEPS = [256, 128, 64, 32, 16];
+
+// When an animation is still over the size limit, keep every second frame,
+// then every third and so on, with longer delays so it plays at the same speed
+const FRAME_STEPS = [1, 2, 3, 4];
+
+// Uploads are scaled down to fit this size before they go to the model, and
+// anything with more pixels than MAX_UPLOAD_PIXELS isn't decoded at all
+const MAX_UPLOAD_SIZE = 2048;
+const MAX_UPLOAD_PIXELS = 50 * 1000 * 1000;
+
+// Image formats recognized from a file's first bytes, with the MIME type
+// and whether sharp can read them. HEIC needs an HEVC decoder that the
+// prebuilt sharp binaries don't ship, so it's only tried.
+const IMAGE_TYPES = {
+  png: { mimeType: 'image/png', label: 'PNG' },
+  jpeg: { mimeType: 'image/jpeg', label: 'JPEG' },
+  gif: { mimeType: 'image/gif', label: 'GIF' },
+  webp: { mimeType: 'image/webp', label: 'WebP' },
+  avif: { mimeType: 'image/avif', label: 'AVIF' },
+  tiff: { mimeType: 'image/tiff', label: 'TIFF' },
+  heic: { mimeType: 'image/heic', label: 'HEIC' }
+};
+
+// ISO base media "ftyp" brands of HEIC/HEIF and AVIF files
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// Background removal: how far (RGB distance, 0-441) a pixel's color may be
+// from the background color and still be removed, and the blur radius used
+// to soften the cut edge
+const BACKGROUND_TOLERANCE = 48;
+const FEATHER_SIGMA = 1.5;
+
+// Pixels at or below this alpha already count as background
+const TRANSPARENT_ALPHA = 16;
+
+// If less than this fraction of the image survives, the tolerance swallowed
+// the subject and the original is kept instead
+const MIN_FOREGROUND = 0.02;
+
+// Center-crop an image to a true square PNG, no larger than maxSize
+const squareCrop = async (buffer, maxSize = MAX_STORED_SIZE) => {
+  const image = sharp(buffer);
+  const { width, height } = await image.metadata();
+  const size = Math.min(width, height, maxSize);
+
+  return image
+    .resize(size, size, { fit: 'cover', position: 'centre' })
+    .png()
+    .toBuffer();
+};
+
+// Identify an image from its magic bytes rather than the file name or the
+// MIME type the client sent. Returns a key of IMAGE_TYPES, or null.
+const detectImageType = (buffer) => {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer.length >= 8 && buffer[0] === 0x89 && ascii(1, 4) === 'PNG') return 'png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (AVIF_BRANDS.includes(brand)) return 'avif';
+    if (HEIC_BRANDS.includes(brand)) return 'heic';
+  }
+  return null;
+};
+
+// Upload errors for files that look like images but don't decode
+const unreadableUpload = (type) => {
+  if (type === 'heic') {
+    return {
+      status: 415,
+      error: 'HEIC photos can\'t be read yet. Please export the photo as JPEG or PNG (on iPhone: Settings > Camera > Formats > Most Compatible)'
+    };
+  }
+  return { status: 400, error: `The ${IMAGE_TYPES[type].label} image could not be read. It may be damaged or incomplete` };
+};
+
+// Check an uploaded image and make it safe to send to the model: turn it
+// upright from its EXIF orientation, drop all metadata (location, camera),
+// scale it down to MAX_UPLOAD_SIZE and re-encode it as PNG, or as JPEG if it
+// has no transparency. Animated GIFs and WebPs keep their first frame.
+// Resolves { data, mimeType, extension }, or { status, error } with an HTTP
+// status and a message for the user.
+const normalizeUpload = async (buffer) => {
+  const type = detectImageType(buffer);
+  if (!type) {
+    return { status: 415, error: 'Unsupported file type. Please upload a PNG, JPEG, GIF, WebP, AVIF or TIFF image' };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    return unreadableUpload(type);
+  }
+
+  if (metadata.width * metadata.height > MAX_UPLOAD_PIXELS) {
+    return { status: 413, error: `Images can be at most ${MAX_UPLOAD_PIXELS / 1000000} megapixels` };
+  }
+
+  try {
+    const image = sharp(buffer, { limitInputPixels: MAX_UPLOAD_PIXELS })
+      .rotate()
+      .resize(MAX_UPLOAD_SIZE, MAX_UPLOAD_SIZE, { fit: 'inside', withoutEnlargement: true });
+
+    // sharp leaves metadata out of its output unless asked to keep it
+    if (metadata.hasAlpha) {
+      return { data: await image.png().toBuffer(), mimeType: 'image/png', extension: '.png' };
+    }
+    return { data: await image.jpeg({ quality: 90 }).toBuffer(), mimeType: 'image/jpeg', extension: '.jpg' };
+  } catch (error) {
+    return unreadableUpload(type);
+  }
+};
+
+// Median color of the image border, used as the background color to remove
+const borderColor = (pixels, width, height) => {
+  const channels = [[], [], []];
+  const sample = (x, y) => {
+    const offset = (y * width + x) * 4;
+    for (let c = 0; c < 3; c++) channels[c].push(pixels[offset + c]);
+  };
+
+  for (let x = 0; x < width; x++) {
+    sample(x, 0);
+    sample(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    sample(0, y);
+    sample(width - 1, y);
+  }
+
+  return channels.map(values => values.sort((a, b) => a - b)[Math.floor(values.length / 2)]);
+};
+
+// Make the background of an image transparent. Flood-fills from every edge
+// pixel through pixels close to the border color, then feathers the edge of
+// what is left. Resolves a PNG buffer with an alpha channel.
+const removeBackground = async (buffer, { tolerance = BACKGROUND_TOLERANCE, feather = FEATHER_SIGMA } = {}) => {
+  const { data: pixels, info } = await sharp(buffer)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const total = width * height;
+
+  const [bgR, bgG, bgB] = borderColor(pixels, width, height);
+  const maxDistance = tolerance * tolerance;
+  const isBackground = (index) => {
+    const offset = index * 4;
+    if (pixels[offset + 3] <= TRANSPARENT_ALPHA) return true;
+    const dr = pixels[offset] - bgR;
+    const dg = pixels[offset + 1] - bgG;
+    const db = pixels[offset + 2] - bgB;
+    return dr * dr + dg * dg + db * db <= maxDistance;
+  };
+
+  // 255 = keep, 0 = background reachable from the edge
+  const mask = Buffer.alloc(total, 255);
+  const stack = [];
+  const visit = (index) => {
+    if (mask[index] === 0 || !isBackground(index)) return;
+    mask[index] = 0;
+    stack.push(index);
+  };
+
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+
+  while (stack.length > 0) {
+    const index = stack.pop();
+    const x = index % width;
+    if (x > 0) visit(index - 1);
+    if (x < width - 1) visit(index + 1);
+    if (index >= width) visit(index - width);
+    if (index < total - width) visit(index + width);
+  }
+
+  let foreground = 0;
+  for (let i = 0; i < total; i++) {
+    if (mask[i] === 255) foreground++;
+  }
+  if (foreground < total * MIN_FOREGROUND) {
+    return sharp(buffer).png().toBuffer();
+  }
+
+  // Blur the mask and only let it fade pixels inward, so no background
+  // color bleeds back in around the subject
+  const feathered = feather > 0
+    ? await sharp(mask, { raw: { width, height, channels: 1 } }).blur(feather).toColourspace('b-w').raw().toBuffer()
+    : mask;
+
+  for (let i = 0; i < total; i++) {
+    const offset = i * 4 + 3;
+    pixels[offset] = mask[i] === 0 ? 0 : Math.min(pixels[offset], feathered[i]);
+  }
+
+  return sharp(pixels, { raw: { width, height, channels: 4 } }).png().toBuffer();
+};
+
+// Whether an image actually contains transparent or translucent pixels.
+// Accepts a buffer or a file path.
+const hasTransparency = async (input) => {
+  const image = sharp(input);
+  const { hasAlpha } = await image.metadata();
+  if (!hasAlpha) return false;
+
+  const { isOpaque } = await image.stats();
+  return !isOpaque;
+};
+
+// Resize a stored emoji for a preset and compress it until it fits the
+// preset's file size limit. Resolves { data, bytes, fits }; `fits` is false
+// if even the smallest palette is too big, in which case that is returned.
+const exportForPreset = async (buffer, presetName) => {
+  if (!Object.hasOwn(EXPORT_PRESETS, presetName)) {
+    throw new Error(`Unknown export preset "${presetName}"`);
+  }
+  const preset = EXPORT_PRESETS[presetName];
+
+  const resized = await sharp(buffer)
+    .resize(preset.size, preset.size, { fit: 'cover', position: 'centre' })
+    .toBuffer();
+
+  let data = await sharp(resized).png({ compressionLevel: 9 }).toBuffer();
+
+  for (const colors of PALETTE_STEPS) {
+    if (data.length <= preset.maxBytes) break;
+    data = await sharp(resized).png({ compressionLevel: 9, palette: true, colors }).toBuffer();
+  }
+
+  return { data, bytes: data.length, fits: data.length <= preset.maxBytes };
+};
+
+// Combine square frames into an APNG, scaling them all to the size of the
+// first one. `delay` is in milliseconds; `loop` is the number of plays,
+// 0 for forever.
+const assembleAnimation = async (frames, { delay, loop }) => {
+  const { width } = await sharp(frames[0]).metadata();
+
+  // The muxer needs every frame in the same pixel format
+  const encoded = await Promise.all(frames.map(frame => sharp(frame)
+    .resize(width, width, { fit: 'cover', position: 'centre' })
+    .toColourspace('srgb')
+    .ensureAlpha()
+    .png()
+    .toBuffer()));
+
+  return assembleApng(encoded, { delays: encoded.map(() => delay), loop });
+};
+
+const encodeAnimation = async (frames, { delays, loop }, format, colors) => {
+  if (format === 'gif') {
+    return sharp(frames, { join: { animated: true } })
+      .gif({ delay: delays, loop, colours: colors })
+      .toBuffer();
+  }
+  return assembleApng(frames, { delays, loop });
+};
+
+// Convert a stored animated emoji (an APNG) to `format` ('gif' or 'apng'),
+// optionally resized and compressed for a preset: GIFs get smaller palettes
+// first, then both formats drop frames until the file fits. Resolves
+// { data, bytes, fits } like exportForPreset.
+const exportAnimation = async (buffer, format, presetName = null) => {
+  if (presetName && !Object.hasOwn(EXPORT_PRESETS, presetName)) {
+    throw new Error(`Unknown export preset "${presetName}"`);
+  }
+  const preset = presetName ? EXPORT_PRESETS[presetName] : null;
+
+  const animation = readApng(buffer);
+  if (!animation) {
+    throw new Error('Not an animated emoji');
+  }
+
+  let { frames } = animation;
+  if (preset) {
+    frames = await Promise.all(frames.map(frame => sharp(frame)
+      .resize(preset.size, preset.size, { fit: 'cover', position: 'centre' })
+      .png({ compressionLevel: 9 })
+      .toBuffer()));
+  }
+
+  const maxBytes = preset ? preset.maxBytes : Infinity;
+  const colorSteps = format === 'gif' ? PALETTE_STEPS : [null];
+  let data;
+
+  for (const step of FRAME_STEPS) {
+    // An animation needs at least two frames
+    if (step > 1 && Math.ceil(frames.length / step) < 2) break;
+
+    const kept = frames.filter((_, index) => index % step === 0);
+    const delays = kept.map((_, index) => animation.delays
+      .slice(index * step, (index + 1) * step)
+      .reduce((total, delay) => total + delay, 0));
+
+    for (const colors of colorSteps) {
+      data = await encodeAnimation(kept, { delays, loop: animation.loop }, format, colors);
+      if (data.length <= maxBytes) {
+        return { data, bytes: data.length, fits: true };
+      }
+    }
+  }
+
+  return { data, bytes: data.length, fits: false };
+};
+
+module.exports = {
+  EXPORT_PRESETS,
+  ANIMATION_SIZE,
+  IMAGE_TYPES,
+  detectImageType,
+  normalizeUpload,
+  squareCrop,
+  removeBackground,
+  hasTransparency,
+  exportForPreset,
+  assembleAnimation,
+  exportAnimation
+};
@@ -0,0 +1,82 @@
+// One-time migration: import emojis saved before the emojis table existed.
+// Generated images used to live next to a sidecar `emoji-<timestamp>.json`
+// in uploads/<safeEmail>/. Safe to re-run; already imported files are skipped.
+//
+// Usage: npm run import:emojis
+const fs = require('fs');
+const path = require('path');
+const { initDatabase, createEmoji, getAllUserEmails, closeDatabase } = require('./database');
+const { hasTransparency } = require('./imagePipeline');
+const { UPLOADS_DIR: uploadsDir } = require('./uploadsDir');
+
+const getSafeEmail = (email) => email.replace(/[^a-zA-Z0-9@.-]/g, '_');
+
+const readSidecar = (metadataPath) => {
+  if (!fs.existsSync(metadataPath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+  } catch (error) {
+    console.error(`Skipping unreadable metadata ${metadataPath}:`, error.message);
+    return {};
+  }
+};
+
+const importEmojis = async () => {
+  await initDatabase();
+
+  if (!fs.existsSync(uploadsDir)) {
+    console.log('No uploads directory found, nothing to import');
+    return;
+  }
+
+  // Directory names are lossy (e.g. "+" becomes "_"), so map them back
+  // through the users table where possible
+  const emailsBySafeEmail = new Map();
+  for (const email of await getAllUserEmails()) {
+    emailsBySafeEmail.set(getSafeEmail(email), email);
+  }
+
+  let imported = 0;
+  let skipped = 0;
+
+  const userDirs = fs.readdirSync(uploadsDir, { withFileTypes: true }).filter(entry => entry.isDirectory());
+
+  for (const userDir of userDirs) {
+    const userEmail = emailsBySafeEmail.get(userDir.name) || userDir.name;
+    const dirPath = path.join(uploadsDir, userDir.name);
+    const emojiFiles = fs.readdirSync(dirPath).filter(file => file.startsWith('emoji-') && file.endsWith('.png'));
+
+    for (const file of emojiFiles) {
+      const timestamp = file.replace('emoji-', '').replace('.png', '');
+      const metadata = readSidecar(path.join(dirPath, `emoji-${timestamp}.json`));
+
+      const id = await createEmoji({
+        userEmail,
+        filename: file,
+        description: metadata.description || 'Generated emoji',
+        prompt: metadata.prompt || '',
+        removeBackground: Boolean(metadata.removeBackground),
+        emojify: Boolean(metadata.emojify),
+        originalImage: metadata.originalImage || null,
+        hasTransparency: await hasTransparency(path.join(dirPath, file)).catch(() => null),
+        createdAt: metadata.timestamp || parseInt(timestamp, 10) || fs.statSync(path.join(dirPath, file)).mtimeMs
+      });
+
+      if (id) {
+        imported++;
+      } else {
+        skipped++;
+      }
+    }
+  }
+
+  console.log(`Imported ${imported} emojis (${skipped} already in the database)`);
+};
+
+importEmojis()
+  .catch((error) => {
+    console.error('Emoji import failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
@@ -0,0 +1,197 @@
+const {
+  refundTokens,
+  createEmoji,
+  getGenerationJob,
+  updateGenerationJob,
+  getUnfinishedGenerationJobs
+} = require('./database');
+
+// Tokens charged per variation. Jobs queued before animated emojis
+// existed don't record it and always cost one token each.
+const tokenCost = (job) => job.params.tokenCost || 1;
+
+// Reference images as [{ path, role }]. Jobs queued before several images
+// were allowed have a single imagePath instead.
+const referenceImages = (params) => {
+  if (params.images) return params.images;
+  return params.imagePath ? [{ path: params.imagePath, role: 'subject' }] : [];
+};
+
+// Runs emoji generation jobs in the background so the HTTP request that
+// created them can return straight away. Job state lives in the
+// generation_jobs table; the queue itself is in memory and rebuilt from
+// the table on startup.
+class JobRunner {
+  constructor(emojiService, concurrency = 2) {
+    this.emojiService = emojiService;
+    this.concurrency = concurrency;
+    this.queue = [];
+    this.active = 0;
+  }
+
+  enqueue(jobId) {
+    this.queue.push(jobId);
+    this.runNext();
+  }
+
+  // Re-queue jobs that were waiting when the server stopped. Jobs that were
+  // mid-generation can't be resumed, so they fail and are refunded.
+  async recover() {
+    const jobs = await getUnfinishedGenerationJobs();
+
+    for (const job of jobs) {
+      if (job.status === 'running') {
+        await this.failJob(job, 'Server restarted during generation');
+      } else {
+        this.enqueue(job.id);
+      }
+    }
+
+    if (jobs.length > 0) {
+      console.log(`Recovered ${jobs.length} unfinished generation jobs`);
+    }
+  }
+
+  runNext() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const jobId = this.queue.shift();
+      this.active++;
+
+      this.runJob(jobId)
+        .catch((error) => console.error(`Error running generation job ${jobId}:`, error))
+        .finally(() => {
+          this.active--;
+          this.runNext();
+        });
+    }
+  }
+
+  async runJob(jobId) {
+    const job = await getGenerationJob(jobId);
+    if (!job || job.status !== 'queued') return;
+
+    await updateGenerationJob(job.id, { status: 'running' });
+
+    try {
+      if (!this.emojiService) {
+        throw new Error('Image generation not available. Please check your image provider configuration.');
+      }
+
+      const result = await this.generate(job);
+      await updateGenerationJob(job.id, {
+        status: 'succeeded',
+        tokensCharged: job.tokens_charged - result.failed * tokenCost(job),
+        result
+      });
+    } catch (error) {
+      console.error('Error generating emoji:', error);
+      await this.failJob(job, error.message);
+    }
+  }
+
+  // Generate every variation concurrently, save the successful ones and
+  // refund the tokens for the ones that failed
+  async generate(job) {
+    // Jobs started in a workspace save into its library and refund its pool
+    const { params, user_email: userEmail, workspace_id: workspaceId } = job;
+
+    console.log('Generating emoji with:', {
+      jobId: job.id,
+      filename: params.originalImage || 'text-only',
+      images: referenceImages(params).length,
+      description: params.description,
+      userEmail,
+      count: params.count,
+      removeBackground: params.removeBackground,
+      emojify: params.emojify,
+      style: params.style,
+      parentId: params.parentId,
+      animation: params.animation
+    });
+
+    const generations = await Promise.allSettled(
+      Array.from({ length: params.count }, () => this.emojiService.generateEmoji(
+        referenceImages(params),
+        params.description,
+        params.removeBackground,
+        params.emojify,
+        userEmail,
+        // Refinements start from the stored image of the parent emoji
+        { style: params.style, refine: Boolean(params.parentId), animation: params.animation }
+      ))
+    );
+
+    const results = [];
+    const errors = [];
+    for (const generation of generations) {
+      if (generation.status === 'rejected') {
+        console.error('Error generating variation:', generation.reason);
+        errors.push(generation.reason.message);
+        continue;
+      }
+
+      // A variation that can't be saved counts as failed, so it's refunded
+      // on its own instead of failing the job after the others were saved
+      const result = generation.value;
+      let emojiId;
+      try {
+        emojiId = await createEmoji({
+          userEmail,
+          workspaceId,
+          filename: result.filename,
+          name: params.name,
+          description: params.description?.trim() || 'Generated emoji',
+          prompt: result.prompt,
+          removeBackground: params.removeBackground,
+          emojify: params.emojify,
+          style: params.style,
+          parentId: params.parentId,
+          animation: params.animation,
+          originalImage: params.originalImage,
+          hasTransparency: result.hasTransparency,
+          createdAt: result.timestamp
+        });
+      } catch (error) {
+        console.error('Error saving variation:', error);
+        errors.push(error.message);
+        continue;
+      }
+
+      results.push({
+        id: emojiId,
+        filename: result.filename,
+        prompt: result.prompt,
+        hasTransparency: result.hasTransparency
+      });
+    }
+
+    if (results.length === 0) {
+      throw new Error(errors[0] || 'No images were generated');
+    }
+
+    if (errors.length > 0) {
+      await refundTokens(userEmail, errors.length * tokenCost(job), `Refund - ${errors.length} of ${params.count} variations failed`, job.id, workspaceId);
+    }
+
+    return { results, failed: errors.length };
+  }
+
+  // Mark a job failed and give back whatever it was charged
+  async failJob(job, message) {
+    if (job.tokens_charged > 0) {
+      try {
+        await refundTokens(job.user_email, job.tokens_charged, 'Refund - Generation failed', job.id, job.workspace_id);
+      } catch (refundError) {
+        console.error('Error refunding token:', refundError);
+      }
+    }
+
+    await updateGenerationJob(job.id, {
+      status: 'failed',
+      tokensCharged: 0,
+      error: message
+    });
+  }
+}
+
+module.exports = JobRunner;
@@ -0,0 +1,168 @@
+// PNG chunk helpers and an APNG muxer. sharp can't write animated PNGs,
+// so animations are put together here from frames that sharp encoded.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC32 table for PNG chunk checksums
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+};
+
+// Split a PNG into its chunks: [{ type, data }]
+const readChunks = (buffer) => {
+  if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw new Error('PNG image is truncated');
+    }
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+};
+
+// Whether a PNG has an animation control chunk, i.e. is an APNG
+const isAnimatedPng = (buffer) => {
+  try {
+    return readChunks(buffer).some(chunk => chunk.type === 'acTL');
+  } catch {
+    return false;
+  }
+};
+
+// Frame control chunk: every frame covers the whole canvas and replaces
+// the previous one
+const frameControl = (sequence, width, height, delay) => {
+  const data = Buffer.alloc(26);
+  data.writeUInt32BE(sequence, 0);
+  data.writeUInt32BE(width, 4);
+  data.writeUInt32BE(height, 8);
+  data.writeUInt32BE(0, 12); // x offset
+  data.writeUInt32BE(0, 16); // y offset
+  data.writeUInt16BE(delay, 20); // delay numerator...
+  data.writeUInt16BE(1000, 22); // ...over 1000, so in milliseconds
+  data[24] = 0; // dispose: none
+  data[25] = 0; // blend: source
+  return data;
+};
+
+// Combine same-sized, same-format PNG frames into an APNG. `delays` is one
+// delay in milliseconds per frame; `loop` is the number of plays, 0 for
+// forever. The first frame doubles as the still image for viewers that
+// don't support animation.
+const assembleApng = (frames, { delays, loop = 0 }) => {
+  if (frames.length === 0) {
+    throw new Error('An animation needs at least one frame');
+  }
+
+  const parsed = frames.map(readChunks);
+  const header = parsed[0].find(chunk => chunk.type === 'IHDR').data;
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+
+  const animationControl = Buffer.alloc(8);
+  animationControl.writeUInt32BE(frames.length, 0);
+  animationControl.writeUInt32BE(loop, 4);
+
+  const output = [PNG_SIGNATURE, pngChunk('IHDR', header), pngChunk('acTL', animationControl)];
+  let sequence = 0;
+
+  parsed.forEach((chunks, index) => {
+    const frameHeader = chunks.find(chunk => chunk.type === 'IHDR').data;
+    if (!frameHeader.equals(header)) {
+      throw new Error(`Frame ${index + 1} doesn't match the size or format of the first frame`);
+    }
+
+    output.push(pngChunk('fcTL', frameControl(sequence++, width, height, delays[index])));
+
+    for (const chunk of chunks.filter(chunk => chunk.type === 'IDAT')) {
+      if (index === 0) {
+        output.push(pngChunk('IDAT', chunk.data));
+      } else {
+        const sequenceNumber = Buffer.alloc(4);
+        sequenceNumber.writeUInt32BE(sequence++);
+        output.push(pngChunk('fdAT', Buffer.concat([sequenceNumber, chunk.data])));
+      }
+    }
+  });
+
+  output.push(pngChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(output);
+};
+
+// Split an APNG written by assembleApng back into standalone PNG frames.
+// Resolves { frames, delays, loop }, or null for a still PNG.
+const readApng = (buffer) => {
+  const chunks = readChunks(buffer);
+  const animationControl = chunks.find(chunk => chunk.type === 'acTL');
+  if (!animationControl) return null;
+
+  const header = chunks.find(chunk => chunk.type === 'IHDR').data;
+  const frames = [];
+  const delays = [];
+  let current = null;
+
+  const finishFrame = () => {
+    if (!current) return;
+    frames.push(Buffer.concat([
+      PNG_SIGNATURE,
+      pngChunk('IHDR', header),
+      ...current.data.map(data => pngChunk('IDAT', data)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]));
+  };
+
+  for (const chunk of chunks) {
+    if (chunk.type === 'fcTL') {
+      finishFrame();
+      const delayDenominator = chunk.data.readUInt16BE(22) || 100;
+      delays.push(Math.round(chunk.data.readUInt16BE(20) * 1000 / delayDenominator));
+      current = { data: [] };
+    } else if (chunk.type === 'IDAT' && current) {
+      current.data.push(chunk.data);
+    } else if (chunk.type === 'fdAT' && current) {
+      current.data.push(chunk.data.subarray(4));
+    }
+  }
+  finishFrame();
+
+  return { frames, delays, loop: animationControl.data.readUInt32BE(4) };
+};
+
+module.exports = {
+  PNG_SIGNATURE,
+  pngChunk,
+  isAnimatedPng,
+  assembleApng,
+  readApng
+};
@@ -0,0 +1,95 @@
+// Create and manage promo codes that users redeem for tokens.
+//
+// Usage: npm run promo-codes                          (list all codes)
+//        npm run promo-codes -- create '<json>'
+//        npm run promo-codes -- enable <code>
+//        npm run promo-codes -- disable <code>
+//
+// A code is created from JSON such as
+//   {"code":"LAUNCH50","tokens":50,"maxRedemptions":100,"perUserLimit":1,
+//    "expiresAt":"2026-12-31"}
+// where maxRedemptions (all users together) and expiresAt are optional.
+const {
+  initDatabase,
+  getAllPromoCodes,
+  createPromoCode,
+  setPromoCodeEnabled,
+  closeDatabase
+} = require('./database');
+
+const [command = 'list', arg] = process.argv.slice(2);
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const listCodes = async () => {
+  const codes = await getAllPromoCodes();
+  for (const promo of codes) {
+    const limit = promo.max_redemptions === null ? '' : ` of ${promo.max_redemptions}`;
+    const expiry = promo.expires_at ? `, expires ${promo.expires_at}` : '';
+    console.log(`${promo.enabled ? '✓' : '✗'} ${promo.code}: ${promo.tokens} tokens, redeemed ${promo.redemptions}${limit} times, ${promo.per_user_limit} per user${expiry}`);
+  }
+};
+
+const createCode = async (json) => {
+  const promo = JSON.parse(json || '');
+  if (typeof promo.code !== 'string' || !/^[A-Za-z0-9_-]{3,32}$/.test(promo.code)) {
+    throw new Error('code must be 3-32 letters, digits, dashes or underscores');
+  }
+  if (!isPositiveInteger(promo.tokens)) {
+    throw new Error('tokens must be a positive whole number');
+  }
+  if (promo.maxRedemptions !== undefined && !isPositiveInteger(promo.maxRedemptions)) {
+    throw new Error('maxRedemptions must be a positive whole number');
+  }
+  if (promo.perUserLimit !== undefined && !isPositiveInteger(promo.perUserLimit)) {
+    throw new Error('perUserLimit must be a positive whole number');
+  }
+  if (promo.expiresAt !== undefined && Number.isNaN(new Date(promo.expiresAt).getTime())) {
+    throw new Error('expiresAt must be a date');
+  }
+
+  try {
+    const code = await createPromoCode(promo);
+    console.log(`Created promo code ${code}`);
+  } catch (error) {
+    if (/UNIQUE/.test(error.message)) {
+      throw new Error(`Promo code ${promo.code.toUpperCase()} already exists`);
+    }
+    throw error;
+  }
+};
+
+const toggleCode = async (code, enabled) => {
+  if (!code) {
+    throw new Error('Pass the promo code');
+  }
+
+  const changed = await setPromoCodeEnabled(code, enabled);
+  if (!changed) {
+    throw new Error(`No promo code ${code}`);
+  }
+  console.log(`${enabled ? 'Enabled' : 'Disabled'} promo code ${code.toUpperCase()}`);
+};
+
+const commands = {
+  list: () => listCodes(),
+  create: () => createCode(arg),
+  enable: () => toggleCode(arg, true),
+  disable: () => toggleCode(arg, false)
+};
+
+const run = async () => {
+  if (!commands[command]) {
+    throw new Error(`Unknown command ${command}, expected one of: ${Object.keys(commands).join(', ')}`);
+  }
+
+  await initDatabase();
+  await commands[command]();
+};
+
+run()
+  .catch((error) => {
+    console.error('Promo code command failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
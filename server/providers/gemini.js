@@ -0,0 +1,65 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Image provider backed by Gemini 2.5 Flash Image ("nano banana")
+class GeminiProvider {
+  constructor() {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required');
+    }
+    
+    this.name = 'Gemini 2.5 Flash';
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.model = this.genAI.getGenerativeModel({ 
+      model: process.env.GEMINI_IMAGE_MODEL || 'gemini-2.5-flash-image-preview' 
+    });
+  }
+
+  async generateImage({ prompt, inputImages = [] }) {
+    let contentParts = [prompt];
+    
+    // Images follow the prompt in the order it refers to them
+    for (const inputImage of inputImages) {
+      contentParts.push({
+        inlineData: {
+          data: inputImage.data.toString('base64'),
+          mimeType: inputImage.mimeType
+        }
+      });
+    }
+
+    // Generate content
+    const result = await this.model.generateContent(contentParts);
+    const response = await result.response;
+
+    // Check each part
+    let generatedImage = null;
+    let responseText = '';
+    
+    if (response.candidates?.[0]?.content?.parts) {
+      response.candidates[0].content.parts.forEach((part, index) => {
+        console.log(`Part ${index}:`, Object.keys(part));
+        if (part.text) {
+          responseText += part.text;
+        } else if (part.inlineData) {
+          console.log(`Part ${index} has inline data with mimeType:`, part.inlineData.mimeType);
+          generatedImage = part.inlineData;
+        }
+      });
+    }
+    
+    console.log('Gemini response text:', responseText);
+
+    if (!generatedImage) {
+      throw new Error('No image data found in response. Response was text only.');
+    }
+
+    return {
+      data: Buffer.from(generatedImage.data, 'base64'),
+      mimeType: generatedImage.mimeType,
+      text: responseText
+    };
+  }
+}
+
+module.exports = GeminiProvider;
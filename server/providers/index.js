@@ -0,0 +1,24 @@
+const GeminiProvider = require('./gemini');
+const StubProvider = require('./stub');
+
+// Image providers take a prompt (plus any input images, in the order the
+// prompt refers to them) and return a generated image:
+//
+//   provider.name: string
+//   provider.generateImage({ prompt, inputImages: [{ data, mimeType }] })
+//     -> Promise<{ data: Buffer, mimeType: string, text: string }>
+const providers = {
+  gemini: GeminiProvider,
+  stub: StubProvider
+};
+
+// Create the provider named by IMAGE_PROVIDER (defaults to Gemini)
+const createImageProvider = (name = process.env.IMAGE_PROVIDER || 'gemini') => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown IMAGE_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider();
+};
+
+module.exports = { createImageProvider };
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { PNG_SIGNATURE, pngChunk } = require('../png');
+
+const SIZE = 512;
+
+// Encode raw RGBA pixels as a PNG
+const encodePng = (width, height, rgba) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type: RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // no interlace
+
+  // Each scanline is prefixed with filter type 0 (none)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+const hslToRgb = (h, s, l) => {
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return [f(0), f(8), f(4)];
+};
+
+// Offline image provider that renders a placeholder emoji face. The same
+// prompt and input images always give the same picture, so it's suitable
+// for development, demos and tests without an API key or network.
+class StubProvider {
+  constructor() {
+    this.name = 'stub provider';
+  }
+
+  async generateImage({ prompt, inputImages = [] }) {
+    const hash = crypto.createHash('sha256').update(prompt);
+    for (const inputImage of inputImages) {
+      hash.update(inputImage.data);
+    }
+    const seed = hash.digest();
+
+    const hue = (seed.readUInt16BE(0) / 65535) * 360;
+    const face = hslToRgb(hue, 0.75, 0.6);
+    const outline = hslToRgb(hue, 0.75, 0.35);
+    const feature = [40, 40, 40];
+    const eyeRadius = 22 + (seed[2] % 16);
+    const smile = seed[3] % 3; // 0 = smile, 1 = flat, 2 = open
+
+    const center = SIZE / 2;
+    const radius = SIZE * 0.43;
+    const rgba = Buffer.alloc(SIZE * SIZE * 4);
+
+    for (let y = 0; y < SIZE; y++) {
+      for (let x = 0; x < SIZE; x++) {
+        const dx = x - center;
+        const dy = y - center;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > radius) continue;
+
+        let color = distance > radius - 12 ? outline : face;
+
+        // Eyes
+        for (const eyeX of [-radius * 0.35, radius * 0.35]) {
+          const ex = dx - eyeX;
+          const ey = dy + radius * 0.2;
+          if (ex * ex + ey * ey < eyeRadius * eyeRadius) {
+            color = feature;
+          }
+        }
+
+        // Mouth
+        const mouthY = dy - radius * 0.25;
+        if (smile === 1) {
+          if (Math.abs(mouthY) < 8 && Math.abs(dx) < radius * 0.4) color = feature;
+        } else {
+          const mouthDistance = Math.sqrt(dx * dx + (mouthY + radius * 0.2) * (mouthY + radius * 0.2));
+          const inArc = mouthY > -radius * 0.05 && mouthDistance < radius * 0.5;
+          if (inArc && (smile === 2 || mouthDistance > radius * 0.5 - 14)) color = feature;
+        }
+
+        const offset = (y * SIZE + x) * 4;
+        rgba[offset] = color[0];
+        rgba[offset + 1] = color[1];
+        rgba[offset + 2] = color[2];
+        rgba[offset + 3] = 255;
+      }
+    }
+
+    return {
+      data: encodePng(SIZE, SIZE, rgba),
+      mimeType: 'image/png',
+      text: 'Placeholder image from the stub provider'
+    };
+  }
+}
+
+module.exports = StubProvider;
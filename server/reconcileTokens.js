@@ -0,0 +1,68 @@
+// Recompute every user's and workspace's balance from the token ledger and
+// report any that don't match, plus Stripe sessions that were credited more than once.
+// Exits non-zero when something is off, so it can run from cron or CI.
+//
+// Usage: npm run reconcile:tokens            (report only)
+//        npm run reconcile:tokens -- --fix   (reset balances to the ledger)
+const {
+  initDatabase,
+  findTokenBalanceMismatches,
+  findWorkspaceBalanceMismatches,
+  findDuplicateStripeCredits,
+  resetBalanceFromLedger,
+  resetWorkspaceBalanceFromLedger,
+  closeDatabase
+} = require('./database');
+
+const fix = process.argv.includes('--fix');
+
+const reconcileTokens = async () => {
+  await initDatabase();
+
+  const duplicates = await findDuplicateStripeCredits();
+  for (const duplicate of duplicates) {
+    console.log(`Stripe session ${duplicate.stripe_session_id} credited ${duplicate.credits} times to ${duplicate.user_email} (${duplicate.amount} tokens in total)`);
+  }
+
+  const userMismatches = await findTokenBalanceMismatches();
+  for (const mismatch of userMismatches) {
+    const drift = mismatch.balance - mismatch.ledger_balance;
+    console.log(`${mismatch.email}: balance ${mismatch.balance}, ledger ${mismatch.ledger_balance} (${drift > 0 ? '+' : ''}${drift})`);
+
+    if (fix) {
+      await resetBalanceFromLedger(mismatch.email);
+    }
+  }
+
+  const workspaceMismatches = await findWorkspaceBalanceMismatches();
+  for (const mismatch of workspaceMismatches) {
+    const drift = mismatch.balance - mismatch.ledger_balance;
+    console.log(`Workspace ${mismatch.id} (${mismatch.name}): balance ${mismatch.balance}, ledger ${mismatch.ledger_balance} (${drift > 0 ? '+' : ''}${drift})`);
+
+    if (fix) {
+      await resetWorkspaceBalanceFromLedger(mismatch.id);
+    }
+  }
+
+  const mismatches = [...userMismatches, ...workspaceMismatches];
+
+  if (duplicates.length === 0 && mismatches.length === 0) {
+    console.log('All token balances match the ledger');
+    return;
+  }
+
+  if (fix && mismatches.length > 0) {
+    console.log(`Reset ${mismatches.length} balances to their ledger totals`);
+  }
+  // Duplicate credits need a human to decide which entry to reverse
+  if (duplicates.length > 0 || !fix) {
+    process.exitCode = 1;
+  }
+};
+
+reconcileTokens()
+  .catch((error) => {
+    console.error('Token reconciliation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
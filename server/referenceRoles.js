@@ -0,0 +1,26 @@
+// What each uploaded reference image is for. The prompt text tells the
+// model how to use the image, e.g. "Image 2 is <prompt>." Images without a
+// role count as subjects. Role ids are sent by the client, so don't
+// rename them.
+const REFERENCE_ROLES = {
+  subject: {
+    label: 'Subject',
+    description: 'Who or what the emoji shows',
+    prompt: 'a subject of the emoji: keep its identity and key features recognizable'
+  },
+  style: {
+    label: 'Style Reference',
+    description: 'Copy its look, not its content',
+    prompt: 'a style reference: match its art style, colors and rendering, but do not copy what it shows'
+  },
+  accessory: {
+    label: 'Accessory',
+    description: 'A logo, hat or mascot to add',
+    prompt: 'an accessory to add to the subject, such as a logo, piece of clothing or mascot: keep its shape and colors'
+  }
+};
+
+// Reference images per generate request
+const MAX_REFERENCE_IMAGES = 4;
+
+module.exports = { REFERENCE_ROLES, MAX_REFERENCE_IMAGES };
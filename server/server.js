@@ -2,23 +2,99 @@ const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
-const GeminiService = require('./gemini');
+const EmojiService = require('./emojiService');
+const { createImageProvider } = require('./providers');
 const { Resend } = require('resend');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { 
   initDatabase, 
   getUserTokens, 
+  getLibraryTokens,
   deductToken, 
   addTokens, 
-  logTokenTransaction 
+  refundTokens,
+  transferTokens,
+  redeemPromoCode,
+  findTokenBalanceMismatches,
+  findWorkspaceBalanceMismatches,
+  getAvailableTokenPackages,
+  TRANSACTION_TYPES,
+  getUserTransactions,
+  countUserTransactions,
+  getUserTransaction,
+  WORKSPACE_ROLES,
+  createWorkspace,
+  getUserWorkspaces,
+  getUserWorkspace,
+  updateWorkspace,
+  getWorkspaceMembers,
+  addWorkspaceMember,
+  setWorkspaceMemberRole,
+  removeWorkspaceMember,
+  revokeUserSessions,
+  createVerificationCode,
+  getLatestVerificationCode,
+  countRecentVerificationCodes,
+  recordFailedVerificationAttempt,
+  consumeVerificationCode,
+  deleteVerificationCodesBefore,
+  createEmoji,
+  getUserEmojis,
+  countUserEmojis,
+  EMOJI_SORTS,
+  getUserEmoji,
+  getEmojiVersions,
+  getEmojiById,
+  getUserEmojisByIds,
+  createPack,
+  getUserPacks,
+  getUserPack,
+  getPackByShareSlug,
+  updatePack,
+  setPackShareSlug,
+  deletePack,
+  addEmojisToPack,
+  removeEmojisFromPack,
+  getPackEmoji,
+  getPackEmojis,
+  updateEmoji,
+  setEmojiTags,
+  deleteUserEmojis,
+  createGenerationJob,
+  getGenerationJob,
+  getGenerationJobsByIds,
+  searchUsers,
+  countUsers,
+  adjustUserTokens,
+  getRecentGenerationJobs,
+  countGenerationJobsByStatus,
+  getRevenueTotals
 } = require('./database');
+const JobRunner = require('./jobRunner');
+const archiver = require('archiver');
+const { EXPORT_PRESETS, squareCrop, hasTransparency, normalizeUpload, exportForPreset, exportAnimation } = require('./imagePipeline');
+const { STYLE_PRESETS } = require('./stylePresets');
+const { REFERENCE_ROLES, MAX_REFERENCE_IMAGES } = require('./referenceRoles');
+const { UPLOADS_DIR } = require('./uploadsDir');
+const { 
+  issueSession, 
+  endSession, 
+  getBearerToken, 
+  requireAuth, 
+  requireAdmin,
+  hashVerificationCode, 
+  verificationCodeMatches,
+  signMediaPath,
+  mediaSignatureMatches
+} = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Initialize database
-initDatabase()
+const databaseReady = initDatabase()
   .then(() => {
     console.log('Database initialized successfully');
   })
@@ -27,15 +103,33 @@ initDatabase()
     process.exit(1);
   });
 
-// Initialize Gemini service
-let geminiService;
+// Initialize emoji service with the configured image provider
+let emojiService;
 try {
-  geminiService = new GeminiService();
-  console.log('Gemini service initialized successfully');
+  emojiService = new EmojiService(createImageProvider());
+  console.log(`Emoji service initialized with ${emojiService.provider.name}`);
 } catch (error) {
-  console.error('Failed to initialize Gemini service:', error.message);
+  console.error('Failed to initialize image provider:', error.message);
 }
 
+// Background runner for generation jobs; pick up anything left over from
+// before a restart once the database is ready
+const jobRunner = new JobRunner(emojiService);
+databaseReady
+  .then(() => jobRunner.recover())
+  .catch((error) => console.error('Failed to recover generation jobs:', error));
+
+// Warn at startup if any balance has drifted from its ledger
+databaseReady
+  .then(() => Promise.all([findTokenBalanceMismatches(), findWorkspaceBalanceMismatches()]))
+  .then((results) => {
+    const mismatches = results.flat();
+    if (mismatches.length > 0) {
+      console.warn(`${mismatches.length} token balances don't match the ledger. Run \`npm run reconcile:tokens\` for details.`);
+    }
+  })
+  .catch((error) => console.error('Failed to check token balances:', error));
+
 // Initialize Resend service
 let resend;
 if (process.env.RESEND_API_KEY) {
@@ -45,10 +139,18 @@ if (process.env.RESEND_API_KEY) {
   console.warn('RESEND_API_KEY not found. Email verification will be disabled.');
 }
 
+// Behind Railway's proxy req.ip should be the client address, not the proxy's
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('uploads'));
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+// The Stripe webhook needs the raw body to verify its signature
+app.use((req, res, next) => {
+  if (req.originalUrl === '/api/stripe-webhook') return next();
+  express.json()(req, res, next);
+});
 
 // Serve static files from React build
 if (process.env.NODE_ENV === 'production') {
@@ -58,206 +160,1685 @@ if (process.env.NODE_ENV === 'production') {
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, 'uploads/');
+    cb(null, UPLOADS_DIR);
   },
   filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
+    // Several images in one request can share a name and a timestamp
+    cb(null, Date.now() + '-' + crypto.randomBytes(3).toString('hex') + '-' + file.originalname);
+  }
+});
+
+// The MIME type is whatever the client says, so uploads aren't filtered on
+// it; acceptUploads checks the actual bytes once they're on disk
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const upload = multer({ 
+  storage: storage,
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES
+  }
+});
+
+// Create uploads directory if it doesn't exist
+const fs = require('fs');
+if (!fs.existsSync(UPLOADS_DIR)) {
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+}
+
+// Helper function to turn an email into a directory name
+const getSafeEmail = (email) => email.replace(/[^a-zA-Z0-9@.-]/g, '_');
+
+// Helper function to create user directory
+const createUserDirectory = (email) => {
+  const safeEmail = getSafeEmail(email);
+  const userDir = path.join(UPLOADS_DIR, safeEmail);
+  if (!fs.existsSync(userDir)) {
+    fs.mkdirSync(userDir, { recursive: true });
+  }
+  return userDir;
+};
+
+// The library a request acts on: the workspace selected with the
+// X-Workspace-Id header, or the caller's personal one (see requireAuth)
+const getLibrary = (req) => ({
+  email: req.user.email,
+  workspaceId: req.workspace ? req.workspace.id : null
+});
+
+// In a workspace, owners and admins can delete any emoji in the shared
+// library; members only the ones they made
+const canDeleteEmoji = (req, row) => {
+  return !req.workspace || canManageMembers(req.workspace) || row.user_email === req.user.email;
+};
+
+// Signed URL for the owner to load an emoji image, see GET /api/media/emojis/:id
+const getEmojiMediaUrl = (id) => signMediaPath(`/api/media/emojis/${id}`);
+
+// Frame count, delay in ms and number of plays (0 = forever) of an
+// animated emoji, or null for a still one
+const getEmojiAnimation = (row) => {
+  if (!row.frame_count) return null;
+  return { frames: row.frame_count, delay: row.frame_delay, loop: row.loop_count };
+};
+
+// Shape an emojis table row for API responses
+const formatEmoji = (row) => {
+  const timestamp = new Date(row.created_at).getTime();
+  return {
+    id: row.id,
+    filename: row.filename,
+    name: row.name || row.description || 'Generated emoji',
+    description: row.description || 'Generated emoji',
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    timestamp,
+    prompt: row.prompt || '',
+    removeBackground: Boolean(row.remove_background),
+    emojify: Boolean(row.emojify),
+    // A preset removed since the emoji was made shows its id as the label
+    style: row.style ? { id: row.style, label: STYLE_PRESETS[row.style]?.label || row.style } : null,
+    // The emoji this one was refined or edited from
+    parentId: row.parent_id,
+    edited: Boolean(row.edited),
+    animation: getEmojiAnimation(row),
+    originalImage: row.original_image,
+    hasTransparency: row.has_transparency === null ? null : Boolean(row.has_transparency),
+    url: getEmojiMediaUrl(row.id),
+    createdAt: row.created_at
+  };
+};
+
+// Absolute path of an emoji's image on disk
+const getEmojiPath = (row) => {
+  return path.join(UPLOADS_DIR, getSafeEmail(row.user_email), path.basename(row.filename));
+};
+
+// Turn a display name into a file-name-safe slug
+const slugify = (text) => {
+  const slug = (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return slug || 'emoji';
+};
+
+// Remove an emoji's image (and any legacy metadata sidecar) from disk
+const removeEmojiFiles = (row) => {
+  const userDir = path.join(UPLOADS_DIR, getSafeEmail(row.user_email));
+  const files = [row.filename, row.filename.replace(/\.png$/, '.json')];
+
+  for (const file of files) {
+    const filePath = path.join(userDir, path.basename(file));
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+};
+
+// Tags are free-form but normalized: trimmed, lowercased, de-duplicated
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return null;
+  }
+
+  const normalized = tags
+    .map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase())
+    .filter(tag => tag.length > 0 && tag.length <= MAX_TAG_LENGTH);
+
+  return [...new Set(normalized)].slice(0, MAX_TAGS);
+};
+
+// Shape a packs table row for API responses
+const formatPack = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description || '',
+  emojiCount: row.emoji_count,
+  shareSlug: row.share_slug,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// What anyone with the share link may see of a pack and its emojis; the
+// owner's email is left out
+const formatSharedPack = (pack, emojis) => ({
+  slug: pack.share_slug,
+  name: pack.name,
+  description: pack.description || '',
+  emojiCount: emojis.length,
+  emojis: emojis.map(formatEmoji).map(({ id, name, description, tags }) => ({
+    id,
+    name,
+    description,
+    tags,
+    url: `/api/shared-packs/${pack.share_slug}/emojis/${id}/image`
+  }))
+});
+
+// Validate a pack name/description from a request body. Returns an error
+// message, or null if the fields are fine.
+const validatePackFields = ({ name, description }, requireName) => {
+  if ((requireName || name !== undefined) && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    return 'Name must be between 1 and 100 characters';
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+    return 'Description must be at most 500 characters';
+  }
+  return null;
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isIdList = (ids) => Array.isArray(ids) && ids.length > 0 && ids.length <= 500 && ids.every(Number.isInteger);
+
+// Copy an emoji (image file, metadata and tags) into another library.
+// Resolves the new emoji id, or null if the image is missing.
+const copyEmojiToLibrary = async (row, library) => {
+  const source = getEmojiPath(row);
+  if (!fs.existsSync(source)) return null;
+
+  const suffix = crypto.randomBytes(3).toString('hex');
+  const filename = `emoji-${Date.now()}-${suffix}.png`;
+  fs.copyFileSync(source, path.join(createUserDirectory(library.email), filename));
+
+  const id = await createEmoji({
+    userEmail: library.email,
+    workspaceId: library.workspaceId,
+    filename,
+    name: row.name,
+    description: row.description,
+    prompt: row.prompt,
+    removeBackground: Boolean(row.remove_background),
+    emojify: Boolean(row.emojify),
+    style: row.style,
+    edited: Boolean(row.edited),
+    animation: getEmojiAnimation(row),
+    originalImage: row.original_image,
+    hasTransparency: row.has_transparency === null ? null : Boolean(row.has_transparency)
+  });
+
+  const tags = row.tags ? JSON.parse(row.tags) : [];
+  if (tags.length > 0) {
+    await setEmojiTags(id, tags);
+  }
+  return id;
+};
+
+// Pagination cursors are opaque to clients: base64url JSON of the sort
+// order plus the last row's sort value and id
+const encodeCursor = (sort, row) => {
+  return Buffer.from(JSON.stringify({ sort, value: row.sort_value, id: row.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (parsed.sort !== sort || !Number.isInteger(parsed.id)) return null;
+    return { value: parsed.value, id: parsed.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse "true"/"false" query flags; anything else means "don't filter"
+const parseBooleanFilter = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+// Parse the my-emojis search/filter query parameters
+const parseEmojiFilters = (query) => {
+  const filters = {
+    search: typeof query.q === 'string' && query.q.trim() ? query.q.trim().slice(0, 200) : undefined,
+    emojify: parseBooleanFilter(query.emojify),
+    removeBackground: parseBooleanFilter(query.removeBackground),
+    fromImage: parseBooleanFilter(query.fromImage),
+    animated: parseBooleanFilter(query.animated)
+  };
+
+  for (const key of ['from', 'to']) {
+    if (query[key]) {
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid "${key}" date` };
+      }
+      filters[key] = date;
+    }
+  }
+
+  return { filters };
+};
+
+// Routes
+app.get('/api/health', (req, res) => {
+  res.json({ message: 'Server is running!' });
+});
+
+// Variations per generate request (one token each)
+const MAX_VARIATIONS = 8;
+
+// Animated emojis take one image generation per frame, so each animated
+// variation costs a flat ANIMATION_TOKEN_COST tokens instead
+const ANIMATION_TOKEN_COST = 5;
+const MIN_FRAMES = 2;
+const MAX_FRAMES = 8;
+const DEFAULT_FRAMES = 4;
+const MIN_FRAME_DELAY = 20;
+const MAX_FRAME_DELAY = 2000;
+const DEFAULT_FRAME_DELAY = 150;
+const MAX_LOOP_COUNT = 100;
+
+// Parse the animation fields of a generate request. Resolves { animation },
+// null for a still emoji, or { error } for a 400 response.
+const parseAnimationOptions = (body) => {
+  if (body.animated !== 'true') {
+    return { animation: null };
+  }
+
+  const frames = body.frames === undefined ? DEFAULT_FRAMES : Number(body.frames);
+  const delay = body.frameDelay === undefined ? DEFAULT_FRAME_DELAY : Number(body.frameDelay);
+  const loop = body.loop === undefined ? 0 : Number(body.loop);
+
+  if (!Number.isInteger(frames) || frames < MIN_FRAMES || frames > MAX_FRAMES) {
+    return { error: `Frames must be a whole number between ${MIN_FRAMES} and ${MAX_FRAMES}` };
+  }
+  if (!Number.isInteger(delay) || delay < MIN_FRAME_DELAY || delay > MAX_FRAME_DELAY) {
+    return { error: `Frame delay must be a whole number of milliseconds between ${MIN_FRAME_DELAY} and ${MAX_FRAME_DELAY}` };
+  }
+  if (!Number.isInteger(loop) || loop < 0 || loop > MAX_LOOP_COUNT) {
+    return { error: `Loop count must be a whole number between 0 (forever) and ${MAX_LOOP_COUNT}` };
+  }
+
+  return { animation: { frames, delay, loop } };
+};
+
+// Shape a generation_jobs row for API responses
+const formatJob = (job) => ({
+  jobId: job.id,
+  status: job.status,
+  count: job.params.count,
+  results: job.result
+    ? job.result.results.map(result => ({ ...result, generatedImage: getEmojiMediaUrl(result.id) }))
+    : [],
+  failed: job.result ? job.result.failed : 0,
+  error: job.error,
+  createdAt: job.created_at,
+  finishedAt: job.finished_at
+});
+
+// Tokens a generation costs: one per variation, or ANIMATION_TOKEN_COST
+// per animated variation
+const generationCost = (count, animation) => count * (animation ? ANIMATION_TOKEN_COST : 1);
+
+// Charge for the variations and queue a generation job in the caller's
+// library. Resolves { jobId, tokensRemaining }, or null without charging
+// anything if the balance can't cover it.
+const queueGeneration = async (req, params) => {
+  const userEmail = req.user.email;
+  const library = getLibrary(req);
+  const jobId = crypto.randomUUID();
+  const tokens = generationCost(params.count, params.animation);
+
+  const tokenDeducted = await deductToken(userEmail, tokens, jobId, library.workspaceId);
+  if (!tokenDeducted) return null;
+
+  try {
+    // The job runner refunds failed variations at the same per-variation cost
+    const jobParams = { ...params, tokenCost: tokens / params.count };
+    await createGenerationJob(jobId, userEmail, jobParams, tokens, library.workspaceId);
+  } catch (error) {
+    await refundTokens(userEmail, tokens, 'Refund - Generation failed', jobId, library.workspaceId);
+    throw error;
+  }
+
+  jobRunner.enqueue(jobId);
+
+  const updatedTokens = await getLibraryTokens(library);
+  return { jobId, tokensRemaining: updatedTokens.balance };
+};
+
+// 402 response for a generation the balance can't cover
+const insufficientTokens = (res, tokens, balance) => {
+  return res.status(402).json({ 
+    error: tokens === 1
+      ? 'Insufficient tokens. Please purchase more tokens to continue generating emojis.'
+      : `Insufficient tokens. This needs ${tokens} tokens and you have ${balance}.`,
+    tokensNeeded: true
+  });
+};
+
+// Reference images of a generate request with their roles, in the order
+// they were sent. Each `images` file has a matching `roles` field; `image`
+// is the single-image field older clients send, always a subject.
+// Resolves { images: [{ path, filename, role }] } or { error }.
+const parseReferenceImages = (req) => {
+  const files = [...(req.files?.image || []), ...(req.files?.images || [])];
+  const roles = [...(req.files?.image || []).map(() => 'subject'), ...[].concat(req.body.roles || [])];
+
+  if (files.length > MAX_REFERENCE_IMAGES) {
+    return { error: `Please upload at most ${MAX_REFERENCE_IMAGES} images` };
+  }
+
+  const unknownRole = roles.find(role => role && !Object.hasOwn(REFERENCE_ROLES, role));
+  if (unknownRole !== undefined) {
+    return { error: `Unknown image role. Use one of: ${Object.keys(REFERENCE_ROLES).join(', ')}` };
+  }
+
+  return {
+    images: files.map((file, index) => ({ path: file.path, filename: file.filename, role: roles[index] || 'subject' }))
+  };
+};
+
+// Turn a multer error into a status and a message for the user
+const multerErrorResponse = (err) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return { status: 413, error: `Images must be under ${MAX_UPLOAD_BYTES / 1024 / 1024}MB` };
+  }
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return { status: 400, error: `Too many files, or a file in an unexpected field ("${err.field}")` };
+  }
+  return { status: 400, error: err.message };
+};
+
+// Every file of a request, from upload.single or upload.fields
+const getUploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  return Object.values(req.files || {}).flat();
+};
+
+const removeUploadedFiles = (req) => {
+  for (const file of getUploadedFiles(req)) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+// Run a multer middleware, then check every uploaded file and normalize it
+// in place (see normalizeUpload): the type is sniffed from its bytes, and
+// it's turned upright, stripped of metadata, scaled down and re-encoded.
+// Anything wrong with an upload is answered with a 4xx, and the request's
+// files are removed.
+const acceptUploads = (multerMiddleware) => (req, res, next) => {
+  multerMiddleware(req, res, async (err) => {
+    if (err) {
+      removeUploadedFiles(req);
+      if (!(err instanceof multer.MulterError)) {
+        return next(err);
+      }
+      const { status, error } = multerErrorResponse(err);
+      return res.status(status).json({ error });
+    }
+
+    try {
+      for (const file of getUploadedFiles(req)) {
+        const normalized = await normalizeUpload(fs.readFileSync(file.path));
+        if (normalized.error) {
+          removeUploadedFiles(req);
+          return res.status(normalized.status).json({ error: `${file.originalname}: ${normalized.error}` });
+        }
+
+        const filename = path.parse(file.filename).name + normalized.extension;
+        const filePath = path.join(path.dirname(file.path), filename);
+        fs.writeFileSync(filePath, normalized.data);
+        if (filePath !== file.path) {
+          fs.unlinkSync(file.path);
+        }
+        Object.assign(file, { filename, path: filePath, mimetype: normalized.mimeType, size: normalized.data.length });
+      }
+      next();
+    } catch (error) {
+      removeUploadedFiles(req);
+      console.error('Error processing upload:', error);
+      res.status(500).json({ error: 'Failed to process upload: ' + error.message });
+    }
+  });
+};
+
+const referenceUpload = acceptUploads(upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_REFERENCE_IMAGES }
+]));
+
+// Start a generation job. Tokens are charged up front and the job runs in
+// the background; poll GET /api/jobs/:id for the result.
+app.post('/api/generate-emoji', requireAuth, referenceUpload, async (req, res) => {
+  const library = getLibrary(req);
+
+  try {
+    const { description } = req.body;
+    const count = req.body.count === undefined ? 1 : Number(req.body.count);
+
+    const { images, error: imagesError } = parseReferenceImages(req);
+    if (imagesError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: imagesError });
+    }
+    
+    if (images.length === 0 && !description?.trim()) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: 'Please provide either an image file or a description' });
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_VARIATIONS) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: `Count must be a whole number between 1 and ${MAX_VARIATIONS}` });
+    }
+
+    const style = req.body.style || null;
+    if (style && !Object.hasOwn(STYLE_PRESETS, style)) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: `Unknown style. Use one of: ${Object.keys(STYLE_PRESETS).join(', ')}` });
+    }
+
+    const { animation, error: animationError } = parseAnimationOptions(req.body);
+    if (animationError) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ error: animationError });
+    }
+
+    if (!emojiService) {
+      removeUploadedFiles(req);
+      return res.status(500).json({ error: 'Image generation not available. Please check your image provider configuration.' });
+    }
+
+    // Check if user (or the workspace's pool) has tokens
+    const userTokenData = await getLibraryTokens(library);
+    const tokens = generationCost(count, animation);
+    if (userTokenData.balance < tokens) {
+      removeUploadedFiles(req);
+      return insufficientTokens(res, tokens, userTokenData.balance);
+    }
+
+    const { removeBackground, emojify } = req.body;
+
+    const queued = await queueGeneration(req, {
+      description: description || '',
+      removeBackground: removeBackground === 'true',
+      emojify: emojify === 'true',
+      style,
+      animation,
+      count,
+      images: images.map(({ path, role }) => ({ path, role })),
+      // The first upload is the one shown and filtered on as "From Image"
+      originalImage: images[0]?.filename || null
+    });
+    if (!queued) {
+      removeUploadedFiles(req);
+      return res.status(402).json({ 
+        error: 'Failed to deduct token. Please try again.',
+        tokensNeeded: true
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Emoji generation started',
+      jobId: queued.jobId,
+      status: 'queued',
+      count,
+      tokensRemaining: queued.tokensRemaining
+    });
+
+  } catch (error) {
+    console.error('Error starting emoji generation:', error);
+    removeUploadedFiles(req);
+    res.status(500).json({ 
+      error: 'Failed to generate emoji: ' + error.message 
+    });
+  }
+});
+
+// Generation job status endpoint
+app.get('/api/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await getGenerationJob(req.params.id, req.user.email);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const tokens = await getLibraryTokens(getLibrary(req));
+    res.json({
+      ...formatJob(job),
+      tokensRemaining: tokens.balance
+    });
+
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch job: ' + error.message 
+    });
+  }
+});
+
+// Get user's emojis endpoint (searchable, filterable, cursor paginated)
+app.get('/api/my-emojis', requireAuth, async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const sort = req.query.sort || 'newest';
+
+    if (!Object.hasOwn(EMOJI_SORTS, sort)) {
+      return res.status(400).json({ error: `Invalid sort. Use one of: ${Object.keys(EMOJI_SORTS).join(', ')}` });
+    }
+
+    const { filters, error } = parseEmojiFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let after = null;
+    if (req.query.cursor) {
+      after = decodeCursor(req.query.cursor, sort);
+      if (!after) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await getUserEmojis(library, { filters, sort, after, limit: limit + 1 });
+    const page = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeCursor(sort, page[page.length - 1]) : null;
+
+    // The total only changes with the filters, so it's skipped on later pages
+    const total = after ? undefined : await countUserEmojis(library, filters);
+    
+    res.json({ 
+      emojis: page.map(formatEmoji),
+      nextCursor,
+      total
+    });
+
+  } catch (error) {
+    console.error('Error fetching user emojis:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch emojis: ' + error.message 
+    });
+  }
+});
+
+// Update an emoji's display name, description and tags
+app.patch('/api/emojis/:id', requireAuth, async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const id = parseInt(req.params.id, 10);
+    const { name, description, tags } = req.body;
+
+    const emoji = await getUserEmoji(library, id);
+    if (!emoji) {
+      return res.status(404).json({ error: 'Emoji not found' });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+      return res.status(400).json({ error: 'Name must be between 1 and 100 characters' });
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+      return res.status(400).json({ error: 'Description must be at most 500 characters' });
+    }
+
+    let normalizedTags;
+    if (tags !== undefined) {
+      normalizedTags = normalizeTags(tags);
+      if (!normalizedTags) {
+        return res.status(400).json({ error: 'Tags must be a list of strings' });
+      }
+    }
+
+    await updateEmoji(library, id, { 
+      name: name?.trim(), 
+      description: description?.trim() 
+    });
+
+    if (normalizedTags) {
+      await setEmojiTags(id, normalizedTags);
+    }
+
+    const updated = await getUserEmoji(library, id);
+    res.json({ emoji: formatEmoji(updated) });
+
+  } catch (error) {
+    console.error('Error updating emoji:', error);
+    res.status(500).json({ 
+      error: 'Failed to update emoji: ' + error.message 
+    });
+  }
+});
+
+const MAX_INSTRUCTION_LENGTH = 500;
+
+// Refine an emoji with a follow-up instruction such as "make it blue". The
+// stored PNG is sent back as the input image, and the results are saved as
+// new versions of it with the same options and style. Refining an animated
+// emoji starts from its first frame and gives still versions.
+app.post('/api/emojis/:id/refine', requireAuth, async (req, res) => {
+  const library = getLibrary(req);
+
+  try {
+    const { instruction } = req.body;
+    const count = req.body.count === undefined ? 1 : Number(req.body.count);
+
+    if (typeof instruction !== 'string' || !instruction.trim() || instruction.length > MAX_INSTRUCTION_LENGTH) {
+      return res.status(400).json({ error: `Describe the change in 1 to ${MAX_INSTRUCTION_LENGTH} characters` });
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_VARIATIONS) {
+      return res.status(400).json({ error: `Count must be a whole number between 1 and ${MAX_VARIATIONS}` });
+    }
+
+    const emoji = await getUserEmoji(library, parseInt(req.params.id, 10));
+    if (!emoji) {
+      return res.status(404).json({ error: 'Emoji not found' });
+    }
+
+    if (!emojiService) {
+      return res.status(500).json({ error: 'Image generation not available. Please check your image provider configuration.' });
+    }
+
+    const userTokenData = await getLibraryTokens(library);
+    if (userTokenData.balance < count) {
+      return insufficientTokens(res, count, userTokenData.balance);
+    }
+
+    const queued = await queueGeneration(req, {
+      description: instruction.trim(),
+      removeBackground: Boolean(emoji.remove_background),
+      emojify: Boolean(emoji.emojify),
+      // A preset removed since the emoji was made is left out
+      style: emoji.style && Object.hasOwn(STYLE_PRESETS, emoji.style) ? emoji.style : null,
+      count,
+      images: [{ path: getEmojiPath(emoji), role: 'subject' }],
+      originalImage: null,
+      parentId: emoji.id,
+      name: emoji.name || emoji.description
+    });
+    if (!queued) {
+      return res.status(402).json({ 
+        error: 'Failed to deduct token. Please try again.',
+        tokensNeeded: true
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Emoji refinement started',
+      jobId: queued.jobId,
+      status: 'queued',
+      count,
+      tokensRemaining: queued.tokensRemaining
+    });
+
+  } catch (error) {
+    console.error('Error starting emoji refinement:', error);
+    res.status(500).json({ 
+      error: 'Failed to refine emoji: ' + error.message 
+    });
+  }
+});
+
+// Version history of an emoji: the versions it was refined from and every
+// version refined from those, oldest first
+app.get('/api/emojis/:id/versions', requireAuth, async (req, res) => {
+  try {
+    const versions = await getEmojiVersions(getLibrary(req), parseInt(req.params.id, 10));
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Emoji not found' });
+    }
+
+    res.json({ versions: versions.map(formatEmoji) });
+
+  } catch (error) {
+    console.error('Error fetching emoji versions:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch emoji versions: ' + error.message 
+    });
+  }
+});
+
+// Save a version made in the client's editor (text, border, crop). The
+// flattened PNG is stored as a new emoji with this one as its parent. No
+// tokens are charged since the model isn't involved.
+app.post('/api/emojis/:id/versions', requireAuth, acceptUploads(upload.single('image')), async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const { description } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Please upload the edited image' });
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+      return res.status(400).json({ error: 'Description must be at most 500 characters' });
+    }
+
+    const emoji = await getUserEmoji(library, parseInt(req.params.id, 10));
+    if (!emoji) {
+      return res.status(404).json({ error: 'Emoji not found' });
+    }
+
+    let imageData;
+    try {
+      imageData = await squareCrop(fs.readFileSync(req.file.path));
+    } catch (error) {
+      return res.status(400).json({ error: 'The edited image could not be read' });
+    }
+
+    const filename = `emoji-${Date.now()}-${crypto.randomBytes(3).toString('hex')}.png`;
+    fs.writeFileSync(path.join(createUserDirectory(library.email), filename), imageData);
+
+    const id = await createEmoji({
+      userEmail: library.email,
+      workspaceId: library.workspaceId,
+      filename,
+      name: emoji.name || emoji.description,
+      description: description?.trim() || emoji.description,
+      removeBackground: Boolean(emoji.remove_background),
+      emojify: Boolean(emoji.emojify),
+      style: emoji.style,
+      parentId: emoji.id,
+      edited: true,
+      hasTransparency: await hasTransparency(imageData)
+    });
+
+    const created = await getUserEmoji(library, id);
+    res.status(201).json({ emoji: formatEmoji(created) });
+
+  } catch (error) {
+    console.error('Error saving edited emoji:', error);
+    res.status(500).json({ 
+      error: 'Failed to save edited emoji: ' + error.message 
+    });
+  } finally {
+    // Only the flattened copy written above is kept
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+  }
+});
+
+// List the platform export presets
+app.get('/api/export-presets', (req, res) => {
+  res.json({
+    presets: Object.entries(EXPORT_PRESETS).map(([id, preset]) => ({ id, ...preset }))
+  });
+});
+
+// Style presets offered on the generate form
+app.get('/api/style-presets', (req, res) => {
+  res.json({
+    presets: Object.entries(STYLE_PRESETS).map(([id, preset]) => ({ id, label: preset.label, description: preset.description }))
+  });
+});
+
+// Roles reference images can have on the generate form
+app.get('/api/reference-roles', (req, res) => {
+  res.json({
+    roles: Object.entries(REFERENCE_ROLES).map(([id, role]) => ({ id, label: role.label, description: role.description })),
+    maxImages: MAX_REFERENCE_IMAGES
+  });
+});
+
+// Formats animated emojis can be downloaded in. They're stored as APNG;
+// both formats keep the .png/.gif extension platforms expect.
+const ANIMATED_FORMATS = {
+  apng: { extension: 'png', contentType: 'image/png' },
+  gif: { extension: 'gif', contentType: 'image/gif' }
+};
+
+// An emoji's image as stored, or resized and compressed for a preset.
+// Animated emojis come out as `format`, defaulting to the preset's
+// animated format, or the stored APNG without a preset. Resolves
+// { data, fits, bytes, extension, contentType }.
+const exportEmoji = async (emoji, source, preset = null, format = null) => {
+  if (!getEmojiAnimation(emoji)) {
+    const exported = preset ? await exportForPreset(source, preset) : { data: source, fits: true, bytes: source.length };
+    return { ...exported, extension: 'png', contentType: 'image/png' };
+  }
+
+  const animatedFormat = format || (preset ? EXPORT_PRESETS[preset].animatedFormat : 'apng');
+  const exported = animatedFormat === 'apng' && !preset
+    ? { data: source, fits: true, bytes: source.length }
+    : await exportAnimation(source, animatedFormat, preset);
+  return { ...exported, ...ANIMATED_FORMATS[animatedFormat] };
+};
+
+// Download an emoji, optionally resized and compressed for an export
+// preset. Animated emojis can also be had as ?format=gif or apng.
+app.get('/api/emojis/:id/download', requireAuth, async (req, res) => {
+  try {
+    const emoji = await getUserEmoji(getLibrary(req), parseInt(req.params.id, 10));
+    if (!emoji) {
+      return res.status(404).json({ error: 'Emoji not found' });
+    }
+
+    const { preset, format } = req.query;
+    if (preset && !Object.hasOwn(EXPORT_PRESETS, preset)) {
+      return res.status(400).json({ error: `Invalid preset. Use one of: ${Object.keys(EXPORT_PRESETS).join(', ')}` });
+    }
+    if (format && !Object.hasOwn(ANIMATED_FORMATS, format)) {
+      return res.status(400).json({ error: `Invalid format. Use one of: ${Object.keys(ANIMATED_FORMATS).join(', ')}` });
+    }
+    if (format && !getEmojiAnimation(emoji)) {
+      return res.status(400).json({ error: 'Only animated emojis can be downloaded as GIF or APNG' });
+    }
+
+    const imagePath = getEmojiPath(emoji);
+    if (!fs.existsSync(imagePath)) {
+      return res.status(404).json({ error: 'Emoji image is missing' });
+    }
+
+    const slug = slugify(emoji.name || emoji.description);
+    const exported = await exportEmoji(emoji, fs.readFileSync(imagePath), preset, format);
+    if (!exported.fits) {
+      console.warn(`Emoji ${emoji.id} is ${exported.bytes} bytes for ${preset}, over the preset limit`);
+    }
+    const filename = `${slug}${preset ? `-${preset}` : ''}.${exported.extension}`;
+
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(exported.data);
+
+  } catch (error) {
+    console.error('Error downloading emoji:', error);
+    res.status(500).json({ 
+      error: 'Failed to download emoji: ' + error.message 
+    });
+  }
+});
+
+// Download selected (or all) emojis as a ZIP with a manifest.json that
+// describes each file, for Slack/Discord bulk-upload scripts
+app.post('/api/emojis/export', requireAuth, async (req, res) => {
+  try {
+    const { ids, preset } = req.body;
+
+    if (ids !== undefined && !isIdList(ids)) {
+      return res.status(400).json({ error: 'Please provide a list of emoji ids' });
+    }
+    if (preset && !Object.hasOwn(EXPORT_PRESETS, preset)) {
+      return res.status(400).json({ error: `Invalid preset. Use one of: ${Object.keys(EXPORT_PRESETS).join(', ')}` });
+    }
+
+    const emojis = (await getUserEmojisByIds(getLibrary(req), ids || null))
+      .filter(emoji => fs.existsSync(getEmojiPath(emoji)));
+    if (emojis.length === 0) {
+      return res.status(404).json({ error: 'No emojis to export' });
+    }
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('warning', (error) => console.warn('Emoji export warning:', error));
+    archive.on('error', (error) => {
+      console.error('Error writing emoji export:', error);
+      res.destroy(error);
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="emojis-${date}${preset ? `-${preset}` : ''}.zip"`);
+    archive.pipe(res);
+
+    // Slugs double as emoji shortcodes, so they have to be unique in the pack
+    const usedSlugs = new Set();
+    const manifest = [];
+
+    for (const emoji of emojis) {
+      const baseSlug = slugify(emoji.name || emoji.description);
+      let slug = baseSlug;
+      for (let n = 2; usedSlugs.has(slug); n++) {
+        slug = `${baseSlug}-${n}`;
+      }
+      usedSlugs.add(slug);
+
+      const exported = await exportEmoji(emoji, fs.readFileSync(getEmojiPath(emoji)), preset);
+      const file = `${slug}.${exported.extension}`;
+      archive.append(exported.data, { name: file, date: new Date(emoji.created_at) });
+
+      const formatted = formatEmoji(emoji);
+      manifest.push({
+        file,
+        slug,
+        name: formatted.name,
+        description: formatted.description,
+        tags: formatted.tags,
+        prompt: formatted.prompt,
+        style: formatted.style?.id || null,
+        animation: formatted.animation,
+        createdAt: formatted.createdAt
+      });
+    }
+
+    archive.append(JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      preset: preset || null,
+      count: manifest.length,
+      emojis: manifest
+    }, null, 2), { name: 'manifest.json' });
+
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Error exporting emojis:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      error: 'Failed to export emojis: ' + error.message 
+    });
+  }
+});
+
+// Stream an emoji image. The URL must be one signed by getEmojiMediaUrl,
+// which is only ever handed to the emoji's owner. Uploads and legacy
+// metadata files are never served.
+app.get('/api/media/emojis/:id', async (req, res) => {
+  try {
+    if (!mediaSignatureMatches(`/api/media/emojis/${req.params.id}`, req.query.expires, req.query.sig)) {
+      return res.status(403).json({ error: 'This image link is invalid or has expired' });
+    }
+
+    const emoji = await getEmojiById(parseInt(req.params.id, 10));
+    const imagePath = emoji && getEmojiPath(emoji);
+    if (!imagePath || !fs.existsSync(imagePath)) {
+      return res.status(404).json({ error: 'Emoji not found' });
+    }
+
+    res.sendFile(imagePath, {
+      headers: {
+        'Cache-Control': 'private, max-age=3600',
+        'X-Content-Type-Options': 'nosniff'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error serving emoji image:', error);
+    res.status(500).json({ 
+      error: 'Failed to load emoji image: ' + error.message 
+    });
+  }
+});
+
+// Delete a single emoji
+app.delete('/api/emojis/:id', requireAuth, async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const emoji = await getUserEmoji(library, parseInt(req.params.id, 10));
+    if (!emoji) {
+      return res.status(404).json({ error: 'Emoji not found' });
+    }
+
+    if (!canDeleteEmoji(req, emoji)) {
+      return res.status(403).json({ error: 'Only workspace owners and admins can delete emojis made by other members' });
+    }
+
+    const deleted = await deleteUserEmojis(library, [emoji.id]);
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: 'Emoji not found' });
+    }
+
+    deleted.forEach(removeEmojiFiles);
+    res.json({ success: true, deleted: deleted.map(row => row.id) });
+
+  } catch (error) {
+    console.error('Error deleting emoji:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete emoji: ' + error.message 
+    });
+  }
+});
+
+// Delete several emojis at once
+app.post('/api/emojis/bulk-delete', requireAuth, async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!isIdList(ids)) {
+      return res.status(400).json({ error: 'Please provide a list of emoji ids' });
+    }
+
+    const library = getLibrary(req);
+    const emojis = await getUserEmojisByIds(library, ids);
+    if (emojis.some(emoji => !canDeleteEmoji(req, emoji))) {
+      return res.status(403).json({ error: 'Only workspace owners and admins can delete emojis made by other members' });
+    }
+
+    const deleted = await deleteUserEmojis(library, ids);
+    deleted.forEach(removeEmojiFiles);
+    
+    res.json({ success: true, deleted: deleted.map(row => row.id) });
+
+  } catch (error) {
+    console.error('Error deleting emojis:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete emojis: ' + error.message 
+    });
+  }
+});
+
+// List the user's packs
+app.get('/api/packs', requireAuth, async (req, res) => {
+  try {
+    const packs = await getUserPacks(getLibrary(req));
+    res.json({ packs: packs.map(formatPack) });
+
+  } catch (error) {
+    console.error('Error fetching packs:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch packs: ' + error.message 
+    });
+  }
+});
+
+// Create a pack, optionally with some emojis in it
+app.post('/api/packs', requireAuth, async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const { name, description, emojiIds } = req.body;
+
+    const fieldError = validatePackFields({ name, description }, true);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+    if (emojiIds !== undefined && !isIdList(emojiIds)) {
+      return res.status(400).json({ error: 'Please provide a list of emoji ids' });
+    }
+
+    const id = await createPack(library, { name: name.trim(), description: description?.trim() });
+    if (emojiIds) {
+      await addEmojisToPack(id, library, emojiIds);
+    }
+
+    const pack = await getUserPack(library, id);
+    res.status(201).json({ pack: formatPack(pack) });
+
+  } catch (error) {
+    console.error('Error creating pack:', error);
+    res.status(500).json({ 
+      error: 'Failed to create pack: ' + error.message 
+    });
+  }
+});
+
+// Get a pack with its emojis
+app.get('/api/packs/:id', requireAuth, async (req, res) => {
+  try {
+    const pack = await getUserPack(getLibrary(req), parseInt(req.params.id, 10));
+    if (!pack) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    const emojis = await getPackEmojis(pack.id);
+    res.json({ pack: formatPack(pack), emojis: emojis.map(formatEmoji) });
+
+  } catch (error) {
+    console.error('Error fetching pack:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch pack: ' + error.message 
+    });
+  }
+});
+
+// Rename a pack or edit its description
+app.patch('/api/packs/:id', requireAuth, async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const id = parseInt(req.params.id, 10);
+    const { name, description } = req.body;
+
+    const fieldError = validatePackFields({ name, description }, false);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const updated = await updatePack(library, id, { name: name?.trim(), description: description?.trim() });
+    if (!updated) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    const pack = await getUserPack(library, id);
+    res.json({ pack: formatPack(pack) });
+
+  } catch (error) {
+    console.error('Error updating pack:', error);
+    res.status(500).json({ 
+      error: 'Failed to update pack: ' + error.message 
+    });
+  }
+});
+
+// Delete a pack; its emojis stay in the library
+app.delete('/api/packs/:id', requireAuth, async (req, res) => {
+  try {
+    const deleted = await deletePack(getLibrary(req), parseInt(req.params.id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Error deleting pack:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete pack: ' + error.message 
+    });
+  }
+});
+
+// Add emojis to a pack
+app.post('/api/packs/:id/emojis', requireAuth, async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const { ids } = req.body;
+
+    if (!isIdList(ids)) {
+      return res.status(400).json({ error: 'Please provide a list of emoji ids' });
+    }
+
+    const pack = await getUserPack(library, parseInt(req.params.id, 10));
+    if (!pack) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    const added = await addEmojisToPack(pack.id, library, ids);
+    const updated = await getUserPack(library, pack.id);
+    res.json({ success: true, added, pack: formatPack(updated) });
+
+  } catch (error) {
+    console.error('Error adding emojis to pack:', error);
+    res.status(500).json({ 
+      error: 'Failed to add emojis to pack: ' + error.message 
+    });
+  }
+});
+
+// Remove an emoji from a pack (the emoji itself is kept)
+app.delete('/api/packs/:id/emojis/:emojiId', requireAuth, async (req, res) => {
+  try {
+    const pack = await getUserPack(getLibrary(req), parseInt(req.params.id, 10));
+    if (!pack) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    const removed = await removeEmojisFromPack(pack.id, [parseInt(req.params.emojiId, 10)]);
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Emoji is not in this pack' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Error removing emoji from pack:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove emoji from pack: ' + error.message 
+    });
+  }
+});
+
+// Publish a pack under an unguessable share slug. Publishing an already
+// shared pack keeps its existing link.
+app.post('/api/packs/:id/share', requireAuth, async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const pack = await getUserPack(library, parseInt(req.params.id, 10));
+    if (!pack) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    if (!pack.share_slug) {
+      await setPackShareSlug(library, pack.id, crypto.randomBytes(16).toString('base64url'));
+    }
+
+    const updated = await getUserPack(library, pack.id);
+    res.json({ pack: formatPack(updated) });
+
+  } catch (error) {
+    console.error('Error sharing pack:', error);
+    res.status(500).json({ 
+      error: 'Failed to share pack: ' + error.message 
+    });
+  }
+});
+
+// Unpublish a pack; its old share link stops working
+app.delete('/api/packs/:id/share', requireAuth, async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const unshared = await setPackShareSlug(library, parseInt(req.params.id, 10), null);
+    if (!unshared) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    const pack = await getUserPack(library, parseInt(req.params.id, 10));
+    res.json({ pack: formatPack(pack) });
+
+  } catch (error) {
+    console.error('Error unsharing pack:', error);
+    res.status(500).json({ 
+      error: 'Failed to unshare pack: ' + error.message 
+    });
+  }
+});
+
+// Public, read-only view of a shared pack
+app.get('/api/shared-packs/:slug', async (req, res) => {
+  try {
+    const pack = await getPackByShareSlug(req.params.slug);
+    if (!pack) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+
+    const emojis = await getPackEmojis(pack.id);
+    res.json({ pack: formatSharedPack(pack, emojis) });
+
+  } catch (error) {
+    console.error('Error fetching shared pack:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch pack: ' + error.message 
+    });
+  }
+});
+
+// Stream an image from a shared pack. Only works while the pack is shared
+// and the emoji is still in it.
+app.get('/api/shared-packs/:slug/emojis/:id/image', async (req, res) => {
+  try {
+    const pack = await getPackByShareSlug(req.params.slug);
+    const emoji = pack && await getPackEmoji(pack.id, parseInt(req.params.id, 10));
+    const imagePath = emoji && getEmojiPath(emoji);
+    if (!imagePath || !fs.existsSync(imagePath)) {
+      return res.status(404).json({ error: 'Emoji not found' });
+    }
+
+    // Kept short so unsharing a pack takes effect quickly
+    res.sendFile(imagePath, {
+      headers: {
+        'Cache-Control': 'public, max-age=300',
+        'X-Content-Type-Options': 'nosniff'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error serving shared emoji image:', error);
+    res.status(500).json({ 
+      error: 'Failed to load emoji image: ' + error.message 
+    });
+  }
+});
+
+// Copy a shared pack's emojis into the user's library, grouped in a new
+// pack of their own
+app.post('/api/shared-packs/:slug/copy', requireAuth, async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const pack = await getPackByShareSlug(req.params.slug);
+    if (!pack) {
+      return res.status(404).json({ error: 'Pack not found' });
+    }
+    const inLibrary = library.workspaceId
+      ? pack.workspace_id === library.workspaceId
+      : !pack.workspace_id && pack.user_email === library.email;
+    if (inLibrary) {
+      return res.status(400).json({ error: 'This pack is already in your library' });
+    }
+
+    const emojis = await getPackEmojis(pack.id);
+    const copiedIds = [];
+    for (const emoji of emojis) {
+      const id = await copyEmojiToLibrary(emoji, library);
+      if (id) copiedIds.push(id);
+    }
+
+    const packId = await createPack(library, { name: pack.name, description: pack.description });
+    await addEmojisToPack(packId, library, copiedIds);
+
+    const copy = await getUserPack(library, packId);
+    res.status(201).json({ success: true, copied: copiedIds.length, pack: formatPack(copy) });
+
+  } catch (error) {
+    console.error('Error copying pack:', error);
+    res.status(500).json({ 
+      error: 'Failed to copy pack: ' + error.message 
+    });
+  }
+});
+
+// Shape a workspaces row (joined with the caller's membership) for API
+// responses
+const formatWorkspace = (row) => ({
+  id: row.id,
+  name: row.name,
+  role: row.role,
+  balance: row.tokens,
+  totalUsed: row.total_used,
+  memberCount: row.member_count,
+  createdAt: row.created_at
+});
+
+const formatWorkspaceMember = (row) => ({
+  email: row.user_email,
+  role: row.role,
+  addedAt: row.added_at
+});
+
+// Owners manage everything; admins can rename the workspace and add or
+// remove members, but not owners
+const canManageMembers = (workspace) => workspace.role === 'owner' || workspace.role === 'admin';
+
+const validateWorkspaceName = (name) => {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return 'Name must be between 1 and 100 characters';
+  }
+  return null;
+};
+
+// List the workspaces the user belongs to
+app.get('/api/workspaces', requireAuth, async (req, res) => {
+  try {
+    const workspaces = await getUserWorkspaces(req.user.email);
+    res.json({ workspaces: workspaces.map(formatWorkspace) });
+
+  } catch (error) {
+    console.error('Error fetching workspaces:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch workspaces: ' + error.message 
+    });
+  }
+});
+
+// Create a workspace; the creator becomes its owner
+app.post('/api/workspaces', requireAuth, async (req, res) => {
+  try {
+    const { name } = req.body;
+    const validationError = validateWorkspaceName(name);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const id = await createWorkspace(req.user.email, name.trim());
+    const workspace = await getUserWorkspace(req.user.email, id);
+    res.status(201).json({ workspace: formatWorkspace(workspace) });
+
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({ 
+      error: 'Failed to create workspace: ' + error.message 
+    });
+  }
+});
+
+// Get a workspace and its members
+app.get('/api/workspaces/:id', requireAuth, async (req, res) => {
+  try {
+    const workspace = await getUserWorkspace(req.user.email, parseInt(req.params.id, 10));
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    const members = await getWorkspaceMembers(workspace.id);
+    res.json({ workspace: formatWorkspace(workspace), members: members.map(formatWorkspaceMember) });
+
+  } catch (error) {
+    console.error('Error fetching workspace:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch workspace: ' + error.message 
+    });
+  }
+});
+
+// Rename a workspace
+app.patch('/api/workspaces/:id', requireAuth, async (req, res) => {
+  try {
+    const { name } = req.body;
+    const workspace = await getUserWorkspace(req.user.email, parseInt(req.params.id, 10));
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (!canManageMembers(workspace)) {
+      return res.status(403).json({ error: 'Only owners and admins can rename the workspace' });
+    }
+
+    const validationError = validateWorkspaceName(name);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await updateWorkspace(workspace.id, { name: name.trim() });
+    const updated = await getUserWorkspace(req.user.email, workspace.id);
+    res.json({ workspace: formatWorkspace(updated) });
+
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    res.status(500).json({ 
+      error: 'Failed to update workspace: ' + error.message 
+    });
+  }
+});
+
+// Add a member by email. They see the workspace the next time they log in.
+app.post('/api/workspaces/:id/members', requireAuth, async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body;
+    const workspace = await getUserWorkspace(req.user.email, parseInt(req.params.id, 10));
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (!canManageMembers(workspace)) {
+      return res.status(403).json({ error: 'Only owners and admins can add members' });
+    }
+
+    const memberEmail = typeof email === 'string' ? email.trim() : '';
+    if (!EMAIL_PATTERN.test(memberEmail)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Use one of: ${WORKSPACE_ROLES.join(', ')}` });
+    }
+    if (role === 'owner' && workspace.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can add other owners' });
+    }
+
+    const added = await addWorkspaceMember(workspace.id, memberEmail, role);
+    if (!added) {
+      return res.status(409).json({ error: 'That person is already a member' });
+    }
+
+    const members = await getWorkspaceMembers(workspace.id);
+    res.status(201).json({ members: members.map(formatWorkspaceMember) });
+
+  } catch (error) {
+    console.error('Error adding workspace member:', error);
+    res.status(500).json({ 
+      error: 'Failed to add member: ' + error.message 
+    });
   }
 });
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
+// Change a member's role (owners only)
+app.patch('/api/workspaces/:id/members/:email', requireAuth, async (req, res) => {
+  try {
+    const { role } = req.body;
+    const workspace = await getUserWorkspace(req.user.email, parseInt(req.params.id, 10));
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (workspace.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can change roles' });
+    }
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Use one of: ${WORKSPACE_ROLES.join(', ')}` });
     }
-  },
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  }
-});
 
-// Create uploads directory if it doesn't exist
-const fs = require('fs');
-if (!fs.existsSync('uploads')) {
-  fs.mkdirSync('uploads');
-}
+    const members = await getWorkspaceMembers(workspace.id);
+    if (!members.some(member => member.user_email === req.params.email)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
 
-// Helper function to create user directory
-const createUserDirectory = (email) => {
-  const safeEmail = email.replace(/[^a-zA-Z0-9@.-]/g, '_');
-  const userDir = path.join('uploads', safeEmail);
-  if (!fs.existsSync(userDir)) {
-    fs.mkdirSync(userDir, { recursive: true });
-  }
-  return userDir;
-};
+    const updated = await setWorkspaceMemberRole(workspace.id, req.params.email, role);
+    if (!updated) {
+      return res.status(400).json({ error: 'A workspace needs at least one owner' });
+    }
 
-// Routes
-app.get('/api/health', (req, res) => {
-  res.json({ message: 'Server is running!' });
+    const refreshed = await getWorkspaceMembers(workspace.id);
+    res.json({ members: refreshed.map(formatWorkspaceMember) });
+
+  } catch (error) {
+    console.error('Error updating workspace member:', error);
+    res.status(500).json({ 
+      error: 'Failed to update member: ' + error.message 
+    });
+  }
 });
 
-app.post('/api/generate-emoji', upload.single('image'), async (req, res) => {
+// Remove a member, or leave the workspace by removing yourself. Their
+// emojis stay in the shared library.
+app.delete('/api/workspaces/:id/members/:email', requireAuth, async (req, res) => {
   try {
-    const { description, userEmail } = req.body;
-    
-    if (!req.file && !description?.trim()) {
-      return res.status(400).json({ error: 'Please provide either an image file or a description' });
-    }
-    
-    if (!userEmail) {
-      return res.status(400).json({ error: 'User email is required' });
+    const workspace = await getUserWorkspace(req.user.email, parseInt(req.params.id, 10));
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace not found' });
     }
 
-    // Check if user has tokens
-    const userTokenData = await getUserTokens(userEmail);
-    if (userTokenData.balance <= 0) {
-      return res.status(402).json({ 
-        error: 'Insufficient tokens. Please purchase more tokens to continue generating emojis.',
-        tokensNeeded: true
-      });
+    const members = await getWorkspaceMembers(workspace.id);
+    const member = members.find(candidate => candidate.user_email === req.params.email);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
     }
 
-    // Deduct token before generation
-    const tokenDeducted = await deductToken(userEmail);
-    if (!tokenDeducted) {
-      return res.status(402).json({ 
-        error: 'Failed to deduct token. Please try again.',
-        tokensNeeded: true
-      });
+    const isSelf = member.user_email === req.user.email;
+    if (!isSelf && !canManageMembers(workspace)) {
+      return res.status(403).json({ error: 'Only owners and admins can remove members' });
+    }
+    if (!isSelf && member.role === 'owner' && workspace.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can remove other owners' });
     }
 
-    if (!geminiService) {
-      return res.status(500).json({ error: 'Gemini service not available. Please check your API key configuration.' });
+    const removed = await removeWorkspaceMember(workspace.id, member.user_email);
+    if (!removed) {
+      return res.status(400).json({ error: 'A workspace needs at least one owner. Make someone else an owner first.' });
     }
 
-    const { removeBackground, emojify } = req.body;
-    
-    console.log('Generating emoji with:', {
-      filename: req.file?.filename || 'text-only',
-      description,
-      userEmail,
-      removeBackground: removeBackground === 'true',
-      emojify: emojify === 'true'
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Error removing workspace member:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove member: ' + error.message 
     });
+  }
+});
 
-    // Use Gemini to generate the emoji
-    const imagePath = req.file?.path || null;
-    const result = await geminiService.generateEmoji(
-      imagePath, 
-      description, 
-      removeBackground === 'true', 
-      emojify === 'true',
-      userEmail
-    );
+// CURRENT_TIMESTAMP columns are UTC without a zone marker
+const parseTimestamp = (value) => value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : null;
 
-    const updatedTokens = await getUserTokens(userEmail);
-    res.json({
-      success: true,
-      message: 'Emoji generated successfully!',
-      originalImage: req.file ? `/${req.file.filename}` : null,
-      generatedImage: `/${result.userPath}`,
-      filename: result.filename,
-      prompt: result.prompt,
-      tokensRemaining: updatedTokens.balance
-    });
+// Shape a token_transactions row for API responses, with the emojis made
+// by the generation it paid for (if any are still around)
+const formatTransaction = (row, emojis = []) => ({
+  id: row.id,
+  type: row.type,
+  amount: row.amount,
+  description: row.description,
+  balanceAfter: row.balance_after,
+  jobId: row.job_id,
+  stripeSessionId: row.stripe_session_id,
+  // Which member an entry on a workspace's pool was made by
+  userEmail: row.user_email,
+  emojis: emojis.map(emoji => ({ id: emoji.id, name: emoji.name || emoji.description, url: getEmojiMediaUrl(emoji.id) })),
+  createdAt: parseTimestamp(row.created_at)
+});
 
-  } catch (error) {
-    console.error('Error generating emoji:', error);
-    // Refund token if generation failed
-    if (userEmail) {
-      try {
-        await addTokens(userEmail, 1, 'Refund - Generation failed');
-      } catch (refundError) {
-        console.error('Error refunding token:', refundError);
+// Token ledger, newest first, with the running balance after each entry
+app.get('/api/transactions', requireAuth, async (req, res) => {
+  try {
+    const library = getLibrary(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+    let types = null;
+    if (req.query.type) {
+      types = String(req.query.type).split(',').map(type => type.trim()).filter(Boolean);
+      if (!types.every(type => TRANSACTION_TYPES.includes(type))) {
+        return res.status(400).json({ error: `Invalid type. Use one or more of: ${TRANSACTION_TYPES.join(', ')}` });
       }
     }
+
+    let before = null;
+    if (req.query.cursor) {
+      before = parseInt(req.query.cursor, 10);
+      if (!Number.isInteger(before)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    const rows = await getUserTransactions(library, { types, before, limit: limit + 1 });
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    // Link usage and refunds to the emojis their generation job produced
+    // Jobs of every workspace member show up in a shared ledger
+    const jobIds = [...new Set(page.map(row => row.job_id).filter(Boolean))];
+    const jobs = await getGenerationJobsByIds(jobIds);
+    const emojiIdsByJob = new Map(jobs.map(job => [
+      job.id,
+      job.result ? job.result.results.map(result => result.id) : []
+    ]));
+    const emojiIds = [...new Set([...emojiIdsByJob.values()].flat())];
+    const emojis = emojiIds.length > 0 ? await getUserEmojisByIds(library, emojiIds) : [];
+    const emojisById = new Map(emojis.map(emoji => [emoji.id, emoji]));
+
+    const transactions = page.map(row => formatTransaction(
+      row,
+      (emojiIdsByJob.get(row.job_id) || []).map(id => emojisById.get(id)).filter(Boolean)
+    ));
+
+    const response = {
+      transactions,
+      nextCursor: hasMore ? String(page[page.length - 1].id) : null
+    };
+    if (!before) {
+      response.total = await countUserTransactions(library, types);
+    }
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error fetching transactions:', error);
     res.status(500).json({ 
-      error: 'Failed to generate emoji: ' + error.message 
+      error: 'Failed to fetch transactions: ' + error.message 
     });
   }
 });
 
-// Get user's emojis endpoint
-app.get('/api/my-emojis/:email', async (req, res) => {
+// Look up the Stripe receipt for a purchase
+app.get('/api/transactions/:id/receipt', requireAuth, async (req, res) => {
   try {
-    const { email } = req.params;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    const transaction = await getUserTransaction(getLibrary(req), parseInt(req.params.id, 10));
+    if (!transaction || !transaction.stripe_session_id) {
+      return res.status(404).json({ error: 'No Stripe payment for this transaction' });
     }
 
-    const safeEmail = email.replace(/[^a-zA-Z0-9@.-]/g, '_');
-    const userDir = path.join('uploads', safeEmail);
-    
-    if (!fs.existsSync(userDir)) {
-      return res.json({ emojis: [] });
+    const session = await stripe.checkout.sessions.retrieve(transaction.stripe_session_id, {
+      expand: ['payment_intent.latest_charge']
+    });
+    const receiptUrl = session.payment_intent?.latest_charge?.receipt_url;
+    if (!receiptUrl) {
+      return res.status(404).json({ error: 'Receipt not available yet' });
     }
 
-    // Read all files in user directory
-    const files = fs.readdirSync(userDir);
-    const emojiFiles = files.filter(file => file.startsWith('emoji-') && file.endsWith('.png'));
-    
-    const emojis = [];
-    
-    for (const file of emojiFiles) {
-      const timestamp = file.replace('emoji-', '').replace('.png', '');
-      const metadataFile = `emoji-${timestamp}.json`;
-      const metadataPath = path.join(userDir, metadataFile);
-      
-      let metadata = {
-        filename: file,
-        description: 'Generated emoji',
-        timestamp: parseInt(timestamp) || Date.now(),
-        prompt: '',
-        removeBackground: false,
-        emojify: false,
-        originalImage: null
-      };
-      
-      // Read metadata if it exists
-      if (fs.existsSync(metadataPath)) {
-        try {
-          const metadataContent = fs.readFileSync(metadataPath, 'utf8');
-          metadata = { ...metadata, ...JSON.parse(metadataContent) };
-        } catch (error) {
-          console.error('Error reading metadata:', error);
-        }
-      }
-      
-      emojis.push({
-        ...metadata,
-        url: `/${safeEmail}/${file}`,
-        createdAt: new Date(metadata.timestamp).toISOString()
-      });
-    }
-    
-    // Sort by timestamp, newest first
-    emojis.sort((a, b) => b.timestamp - a.timestamp);
-    
-    res.json({ emojis });
+    res.json({ receiptUrl });
 
   } catch (error) {
-    console.error('Error fetching user emojis:', error);
+    console.error('Error fetching receipt:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch emojis: ' + error.message 
+      error: 'Failed to fetch receipt: ' + error.message 
     });
   }
 });
 
 // Get user tokens endpoint
-app.get('/api/user-tokens/:email', async (req, res) => {
+app.get('/api/user-tokens', requireAuth, async (req, res) => {
   try {
-    const { email } = req.params;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-
-    const tokens = await getUserTokens(email);
+    const tokens = await getLibraryTokens(getLibrary(req));
     res.json({ 
       balance: tokens.balance,
       totalUsed: tokens.totalUsed,
@@ -272,28 +1853,155 @@ app.get('/api/user-tokens/:email', async (req, res) => {
   }
 });
 
-// Create Stripe checkout session for token purchase
-app.post('/api/purchase-tokens', async (req, res) => {
+const PROMO_CODE_ERRORS = {
+  invalid: 'That promo code is not valid',
+  expired: 'That promo code has expired',
+  used_up: 'That promo code has been fully redeemed',
+  limit_reached: 'You have already redeemed this promo code'
+};
+
+// Redeem a promo code for tokens
+app.post('/api/promo-codes/redeem', requireAuth, async (req, res) => {
   try {
-    const { userEmail, tokenPackage = '25' } = req.body;
-    
-    if (!userEmail) {
-      return res.status(400).json({ error: 'User email is required' });
+    const { code } = req.body;
+    const userEmail = req.user.email;
+
+    if (req.workspace) {
+      return res.status(400).json({ error: 'Promo codes can only be redeemed in your personal workspace' });
+    }
+    if (typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({ error: 'Promo code is required' });
     }
 
-    if (!process.env.STRIPE_SECRET_KEY) {
-      return res.status(500).json({ error: 'Payment processing not configured' });
+    const redemption = await redeemPromoCode(userEmail, code);
+    if (redemption.status !== 'redeemed') {
+      return res.status(400).json({ error: PROMO_CODE_ERRORS[redemption.status] });
+    }
+
+    const tokens = await getUserTokens(userEmail);
+    res.json({ 
+      code: redemption.code,
+      tokensAdded: redemption.tokens,
+      balance: tokens.balance
+    });
+
+  } catch (error) {
+    console.error('Error redeeming promo code:', error);
+    res.status(500).json({ 
+      error: 'Failed to redeem promo code: ' + error.message 
+    });
+  }
+});
+
+// Send some of your tokens to another email address
+app.post('/api/tokens/transfer', requireAuth, async (req, res) => {
+  try {
+    const { email, amount } = req.body;
+    const userEmail = req.user.email;
+    const recipient = typeof email === 'string' ? email.trim() : '';
+
+    if (req.workspace) {
+      return res.status(400).json({ error: 'Tokens can only be sent from your personal workspace' });
+    }
+    if (!EMAIL_PATTERN.test(recipient)) {
+      return res.status(400).json({ error: 'A valid recipient email address is required' });
+    }
+    if (recipient.toLowerCase() === userEmail.toLowerCase()) {
+      return res.status(400).json({ error: 'You cannot send tokens to yourself' });
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'Amount must be a positive whole number of tokens' });
+    }
+
+    const transferred = await transferTokens(userEmail, recipient, amount);
+    if (!transferred) {
+      const tokens = await getUserTokens(userEmail);
+      return res.status(402).json({ 
+        error: `Insufficient tokens. Sending ${amount} tokens needs ${amount} and you have ${tokens.balance}.`,
+        tokensNeeded: true
+      });
+    }
+
+    const tokens = await getUserTokens(userEmail);
+    res.json({ 
+      recipient,
+      amount,
+      balance: tokens.balance
+    });
+
+  } catch (error) {
+    console.error('Error transferring tokens:', error);
+    res.status(500).json({ 
+      error: 'Failed to transfer tokens: ' + error.message 
+    });
+  }
+});
+
+// Format an amount in a currency's minor unit, e.g. 900 usd -> "$9" and
+// 950 usd -> "$9.50"
+const formatPrice = (amount, currency) => {
+  const digits = new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  const scale = 10 ** digits;
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: amount % scale === 0 ? 0 : digits
+  }).format(amount / scale);
+};
+
+// Shape token_packages rows for API responses. Unless a package has its own
+// label, savings are worked out against the per-token price of the smallest
+// package in the same currency, so they can't drift from the prices.
+const formatTokenPackages = (rows) => {
+  const baseRates = new Map();
+  for (const row of [...rows].sort((a, b) => a.tokens - b.tokens)) {
+    if (!baseRates.has(row.currency)) {
+      baseRates.set(row.currency, row.price / row.tokens);
     }
+  }
 
-    // Token packages (25 tokens = $1.00)
-    const packages = {
-      '25': { tokens: 25, price: 100, name: '25 Tokens' },      // $1.00
-      '100': { tokens: 100, price: 400, name: '100 Tokens' },   // $4.00 (save $0)
-      '250': { tokens: 250, price: 900, name: '250 Tokens' },   // $9.00 (save $1)
-      '500': { tokens: 500, price: 1700, name: '500 Tokens' }   // $17.00 (save $3)
+  return rows.map(row => {
+    const saved = Math.round(baseRates.get(row.currency) * row.tokens - row.price);
+    return {
+      id: row.id,
+      name: row.name,
+      tokens: row.tokens,
+      price: row.price,
+      currency: row.currency,
+      savings: row.savings_label || (saved > 0 ? `Save ${formatPrice(saved, row.currency)}` : null),
+      popular: Boolean(row.popular),
+      // Set for time-limited promotions
+      endsAt: row.ends_at
     };
+  });
+};
+
+// Token packages currently on sale
+app.get('/api/token-packages', async (req, res) => {
+  try {
+    const packages = await getAvailableTokenPackages();
+    res.json({ packages: formatTokenPackages(packages) });
 
-    const selectedPackage = packages[tokenPackage];
+  } catch (error) {
+    console.error('Error fetching token packages:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch token packages: ' + error.message 
+    });
+  }
+});
+
+// Create Stripe checkout session for token purchase
+app.post('/api/purchase-tokens', requireAuth, async (req, res) => {
+  try {
+    const { tokenPackage } = req.body;
+    const userEmail = req.user.email;
+
+    if (!process.env.STRIPE_SECRET_KEY) {
+      return res.status(500).json({ error: 'Payment processing not configured' });
+    }
+
+    // Only packages that are enabled and inside their promotion window can be bought
+    const selectedPackage = (await getAvailableTokenPackages()).find(pkg => pkg.id === tokenPackage);
     if (!selectedPackage) {
       return res.status(400).json({ error: 'Invalid token package' });
     }
@@ -304,7 +2012,7 @@ app.post('/api/purchase-tokens', async (req, res) => {
       line_items: [
         {
           price_data: {
-            currency: 'usd',
+            currency: selectedPackage.currency,
             product_data: {
               name: `${selectedPackage.name} - Emoji Generator`,
               description: `Generate ${selectedPackage.tokens} custom emojis with AI`,
@@ -322,7 +2030,9 @@ app.post('/api/purchase-tokens', async (req, res) => {
       metadata: {
         userEmail: userEmail,
         tokens: selectedPackage.tokens.toString(),
-        package: tokenPackage
+        package: tokenPackage,
+        // Bought from inside a workspace: the tokens go to its shared pool
+        ...(req.workspace && { workspaceId: String(req.workspace.id) })
       }
     });
 
@@ -357,18 +2067,27 @@ app.post('/api/stripe-webhook', express.raw({type: 'application/json'}), async (
       const session = event.data.object;
       const userEmail = session.metadata.userEmail;
       const tokensToAdd = parseInt(session.metadata.tokens);
+      const workspaceId = session.metadata.workspaceId ? parseInt(session.metadata.workspaceId, 10) : null;
       
       if (userEmail && tokensToAdd) {
         try {
-          await addTokens(
+          const credited = await addTokens(
             userEmail, 
             tokensToAdd, 
             `Stripe purchase - ${session.metadata.package} package`,
-            session.id
+            session.id,
+            workspaceId,
+            { amount: session.amount_total, currency: session.currency }
           );
-          console.log(`Added ${tokensToAdd} tokens to ${userEmail}`);
+          if (credited) {
+            console.log(`Added ${tokensToAdd} tokens to ${workspaceId ? `workspace ${workspaceId}` : userEmail}`);
+          } else {
+            console.log(`Stripe session ${session.id} was already credited, ignoring replay`);
+          }
         } catch (error) {
+          // Let Stripe retry; the session id makes the retry safe
           console.error('Error adding tokens after payment:', error);
+          return res.status(500).json({ error: 'Failed to credit tokens' });
         }
       }
       break;
@@ -380,8 +2099,13 @@ app.post('/api/stripe-webhook', express.raw({type: 'application/json'}), async (
   res.json({ received: true });
 });
 
-// Simple in-memory storage for verification codes (in production, use a database)
-const verificationCodes = new Map();
+// Verification code limits
+const CODE_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_VERIFY_ATTEMPTS = 5; // Failed guesses before a code is locked
+const RESEND_COOLDOWN = 60 * 1000; // 1 minute between codes for the same email
+const SEND_LIMIT_WINDOW = 60 * 60 * 1000; // 1 hour
+const MAX_CODES_PER_EMAIL = 5; // Per window
+const MAX_CODES_PER_IP = 20; // Per window
 
 // Send verification code endpoint
 app.post('/api/send-code', async (req, res) => {
@@ -392,14 +2116,35 @@ app.post('/api/send-code', async (req, res) => {
       return res.status(400).json({ error: 'Email address is required' });
     }
 
+    const now = Date.now();
+    const windowStart = new Date(now - SEND_LIMIT_WINDOW);
+    await deleteVerificationCodesBefore(new Date(now - 24 * 60 * 60 * 1000));
+
+    // Throttle sends per email and per IP address
+    const recent = await countRecentVerificationCodes(email, req.ip, windowStart);
+    if (recent.lastSentAt && now - recent.lastSentAt < RESEND_COOLDOWN) {
+      const retryAfter = Math.ceil((recent.lastSentAt + RESEND_COOLDOWN - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        error: `Please wait ${retryAfter}s before requesting another code`,
+        retryAfter
+      });
+    }
+
+    if (recent.byEmail >= MAX_CODES_PER_EMAIL || recent.byIp >= MAX_CODES_PER_IP) {
+      const retryAfter = Math.ceil(SEND_LIMIT_WINDOW / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        error: 'Too many verification codes requested. Please try again later.',
+        retryAfter
+      });
+    }
+
     // Generate a 6-digit code
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
+    const code = crypto.randomInt(100000, 1000000).toString();
     
-    // Store code with expiration (10 minutes)
-    verificationCodes.set(email, {
-      code,
-      expires: Date.now() + 10 * 60 * 1000 // 10 minutes
-    });
+    // Store the hashed code with expiration
+    await createVerificationCode(email, hashVerificationCode(email, code), req.ip, new Date(now + CODE_TTL));
 
     if (resend) {
       try {
@@ -432,7 +2177,8 @@ app.post('/api/send-code', async (req, res) => {
     
     res.json({ 
       success: true, 
-      message: 'Verification code sent successfully' 
+      message: 'Verification code sent successfully',
+      resendAvailableIn: Math.ceil(RESEND_COOLDOWN / 1000)
     });
 
   } catch (error) {
@@ -446,34 +2192,61 @@ app.post('/api/send-code', async (req, res) => {
 // Verify code endpoint
 app.post('/api/verify-code', async (req, res) => {
   try {
-    const { email, code } = req.body;
+    const { email, code, rememberMe } = req.body;
     
     if (!email || !code) {
       return res.status(400).json({ error: 'Email address and code are required' });
     }
 
-    const storedData = verificationCodes.get(email);
+    const storedCode = await getLatestVerificationCode(email);
     
-    if (!storedData) {
+    if (!storedCode) {
       return res.status(400).json({ error: 'No verification code found for this email' });
     }
 
-    if (Date.now() > storedData.expires) {
-      verificationCodes.delete(email);
-      return res.status(400).json({ error: 'Verification code has expired' });
+    if (Date.now() > new Date(storedCode.expires_at).getTime()) {
+      return res.status(400).json({ error: 'Verification code has expired', expired: true });
+    }
+
+    if (storedCode.attempts >= MAX_VERIFY_ATTEMPTS) {
+      return res.status(429).json({ 
+        error: 'Too many failed attempts. Please request a new code.',
+        locked: true
+      });
+    }
+
+    if (!verificationCodeMatches(storedCode.code_hash, email, String(code))) {
+      const attempts = await recordFailedVerificationAttempt(storedCode.id);
+      const attemptsRemaining = Math.max(MAX_VERIFY_ATTEMPTS - attempts, 0);
+
+      if (attemptsRemaining === 0) {
+        return res.status(429).json({ 
+          error: 'Too many failed attempts. Please request a new code.',
+          locked: true
+        });
+      }
+      return res.status(400).json({ 
+        error: `Invalid verification code. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} remaining.`,
+        attemptsRemaining
+      });
     }
 
-    if (storedData.code !== code) {
-      return res.status(400).json({ error: 'Invalid verification code' });
+    // Code is valid, mark it used so it can't be replayed
+    const consumed = await consumeVerificationCode(storedCode.id);
+    if (!consumed) {
+      return res.status(400).json({ error: 'Verification code has already been used' });
     }
 
-    // Code is valid, remove it
-    verificationCodes.delete(email);
+    // Make sure the user row exists before the session references it
+    await getUserTokens(email);
+    const session = await issueSession(email, rememberMe === true);
     
     res.json({ 
       success: true, 
       message: 'Email verified successfully',
-      email 
+      email,
+      token: session.token,
+      expiresAt: session.expiresAt
     });
 
   } catch (error) {
@@ -484,6 +2257,198 @@ app.post('/api/verify-code', async (req, res) => {
   }
 });
 
+// Get the current session's user
+app.get('/api/me', requireAuth, (req, res) => {
+  res.json({ email: req.user.email, isAdmin: req.user.isAdmin });
+});
+
+// Logout endpoint - revokes the current session, or every session with ?all=true
+app.post('/api/logout', requireAuth, async (req, res) => {
+  try {
+    if (req.query.all === 'true') {
+      await revokeUserSessions(req.user.email);
+    } else {
+      await endSession(getBearerToken(req));
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ 
+      error: 'Failed to log out' 
+    });
+  }
+});
+
+// Admin routes. Every /api/admin route needs an admin session; grant admin
+// access with `npm run admins -- grant <email>`.
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+const ADMIN_PAGE_SIZE = 50;
+
+const formatAdminUser = (row) => ({
+  email: row.email,
+  balance: row.tokens,
+  totalUsed: row.total_used,
+  emojiCount: row.emoji_count,
+  isAdmin: row.is_admin === 1,
+  createdAt: parseTimestamp(row.created_at),
+  lastLoginAt: parseTimestamp(row.last_login_at)
+});
+
+const formatAdminJob = (job) => ({
+  id: job.id,
+  userEmail: job.user_email,
+  workspaceId: job.workspace_id,
+  status: job.status,
+  description: job.params.description,
+  count: job.params.count,
+  tokensCharged: job.tokens_charged,
+  succeeded: job.result ? job.result.results.length : 0,
+  failed: job.result ? job.result.failed : 0,
+  error: job.error,
+  createdAt: job.created_at,
+  startedAt: job.started_at,
+  finishedAt: job.finished_at
+});
+
+const formatRevenue = (row) => ({
+  currency: row.currency,
+  purchases: row.purchases,
+  tokens: row.tokens,
+  amount: row.amount_paid
+});
+
+// Parse an admin list's ?limit= and ?cursor= query parameters. Resolves
+// null for an invalid cursor.
+const parseAdminPage = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || ADMIN_PAGE_SIZE, 1), 100);
+  if (!query.cursor) return { limit, before: null };
+
+  const before = parseInt(query.cursor, 10);
+  return Number.isInteger(before) ? { limit, before } : null;
+};
+
+// List and search users (?search= matches part of the email)
+app.get('/api/admin/users', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const page = parseAdminPage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const rows = await searchUsers({ search, before: page.before, limit: page.limit + 1 });
+    const hasMore = rows.length > page.limit;
+    const users = rows.slice(0, page.limit);
+
+    const response = {
+      users: users.map(formatAdminUser),
+      nextCursor: hasMore ? String(users[users.length - 1].id) : null
+    };
+    if (!page.before) {
+      response.total = await countUsers(search);
+    }
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ 
+      error: 'Failed to list users: ' + error.message 
+    });
+  }
+});
+
+// Credit or debit a user's balance by hand ({ amount, reason }). The
+// entry shows up in the user's ledger as an adjustment.
+app.post('/api/admin/users/:email/adjust-tokens', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > 100000) {
+      return res.status(400).json({ error: 'Amount must be a non-zero whole number of tokens' });
+    }
+    if (typeof reason !== 'string' || !reason.trim() || reason.length > 200) {
+      return res.status(400).json({ error: 'Please give a reason of up to 200 characters' });
+    }
+
+    const { email } = req.params;
+    const result = await adjustUserTokens(email, amount, `${reason.trim()} (by ${req.user.email})`);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (result.status === 'insufficient') {
+      return res.status(400).json({ error: 'The adjustment would make the balance negative' });
+    }
+
+    console.log(`Admin ${req.user.email} adjusted ${email} by ${amount} tokens`);
+    res.json({ success: true, balance: result.balance });
+
+  } catch (error) {
+    console.error('Error adjusting tokens:', error);
+    res.status(500).json({ 
+      error: 'Failed to adjust tokens: ' + error.message 
+    });
+  }
+});
+
+// Recent generation jobs, newest first (?status=failed, ?email=), with
+// counts per status over the last day
+app.get('/api/admin/generations', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const page = parseAdminPage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const status = req.query.status || null;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Use one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    const email = typeof req.query.email === 'string' && req.query.email.trim() ? req.query.email.trim() : null;
+
+    const jobs = await getRecentGenerationJobs({ status, email, before: page.before, limit: page.limit + 1 });
+    const hasMore = jobs.length > page.limit;
+    const pageJobs = jobs.slice(0, page.limit);
+
+    const response = {
+      generations: pageJobs.map(formatAdminJob),
+      nextCursor: hasMore ? String(pageJobs[pageJobs.length - 1].row_id) : null
+    };
+    if (!page.before) {
+      response.lastDay = await countGenerationJobsByStatus(1);
+    }
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error listing generations:', error);
+    res.status(500).json({ 
+      error: 'Failed to list generations: ' + error.message 
+    });
+  }
+});
+
+// Revenue from Stripe purchases per currency, all time and over the last
+// 30 days. Amounts are in the currency's minor unit; purchases made before
+// payments were recorded are grouped under a null currency.
+app.get('/api/admin/revenue', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const [allTime, last30Days] = await Promise.all([getRevenueTotals(), getRevenueTotals(30)]);
+    res.json({
+      allTime: allTime.map(formatRevenue),
+      last30Days: last30Days.map(formatRevenue)
+    });
+
+  } catch (error) {
+    console.error('Error fetching revenue:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch revenue: ' + error.message 
+    });
+  }
+});
+
 // Catch-all handler: send back React's index.html file for any non-API routes
 if (process.env.NODE_ENV === 'production') {
   app.get('*', (req, res) => {
@@ -491,7 +2456,12 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
+}
+
+module.exports = { app, databaseReady };
\ No newline at end of file
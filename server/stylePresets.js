@@ -0,0 +1,33 @@
+// Named art styles users can pick on the generate form. The prompt text is
+// added to the user's own description, and the preset id is stored with
+// each emoji so it can be regenerated in the same style. Add a style by
+// adding an entry here; ids are stored in the database, so don't rename them.
+const STYLE_PRESETS = {
+  'pixel-art': {
+    label: 'Pixel Art',
+    description: 'Retro 8-bit look with chunky pixels',
+    prompt: 'Render it as retro pixel art with a visible pixel grid, a limited color palette and no anti-aliasing, like a classic 8-bit video game sprite.'
+  },
+  '3d-glossy': {
+    label: '3D Glossy',
+    description: 'Shiny, rounded 3D render',
+    prompt: 'Render it as a glossy 3D object with soft studio lighting, smooth rounded shapes, subtle reflections and gentle shadows, like a polished 3D icon.'
+  },
+  'flat-line': {
+    label: 'Flat Line Icon',
+    description: 'Minimal outline icon',
+    prompt: 'Draw it as a minimal flat line icon with uniform stroke width, no shading or gradients and at most two colors.'
+  },
+  apple: {
+    label: 'Apple Style',
+    description: 'Like the emojis on iPhone',
+    prompt: 'Match the style of Apple system emojis: soft gradients, subtle highlights, rounded forms and a warm, friendly look.'
+  },
+  sticker: {
+    label: 'Sticker',
+    description: 'Die-cut sticker with a white outline',
+    prompt: 'Make it look like a die-cut vinyl sticker: bold colors and a thick, even white outline around the whole subject with a slight drop shadow.'
+  }
+};
+
+module.exports = { STYLE_PRESETS };
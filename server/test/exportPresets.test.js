@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database and uploads folder and the offline provider, set
+// before the server opens the database or picks a provider
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-export-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+process.env.UPLOADS_DIR = path.join(tmpDir, 'uploads');
+process.env.IMAGE_PROVIDER = 'stub';
+// The Stripe client needs a key to load; these tests never reach Stripe
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unused';
+
+const { app, databaseReady } = require('../server');
+const { closeDatabase, getUserTokens, createEmoji } = require('../database');
+const { issueSession } = require('../auth');
+const { createImageProvider } = require('../providers');
+
+const EMAIL = `export-test-${process.pid}@example.com`;
+
+let server;
+let baseUrl;
+let token;
+let emojiId;
+
+const request = (pathname, options = {}) => fetch(`${baseUrl}${pathname}`, {
+  ...options,
+  headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...options.headers }
+});
+
+before(async () => {
+  await databaseReady;
+  await getUserTokens(EMAIL);
+  ({ token } = await issueSession(EMAIL));
+
+  const image = await createImageProvider().generateImage({ prompt: 'party parrot' });
+  const filename = `export-test-${process.pid}.png`;
+  fs.mkdirSync(path.join(process.env.UPLOADS_DIR, EMAIL), { recursive: true });
+  fs.writeFileSync(path.join(process.env.UPLOADS_DIR, EMAIL, filename), image.data);
+  emojiId = await createEmoji({ userEmail: EMAIL, filename, name: 'party parrot', description: 'party parrot' });
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await closeDatabase();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('downloads an emoji for a known preset', async () => {
+  const response = await request(`/api/emojis/${emojiId}/download?preset=slack`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'image/png');
+});
+
+test('rejects a download preset inherited from Object.prototype', async () => {
+  for (const preset of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    const response = await request(`/api/emojis/${emojiId}/download?preset=${preset}`);
+
+    assert.equal(response.status, 400, preset);
+    assert.match((await response.json()).error, /^Invalid preset/);
+  }
+});
+
+test('rejects an export preset inherited from Object.prototype', async () => {
+  const response = await request('/api/emojis/export', {
+    method: 'POST',
+    body: JSON.stringify({ preset: 'constructor' })
+  });
+
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /^Invalid preset/);
+});
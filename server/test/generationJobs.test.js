@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database and uploads folder and the offline provider, set
+// before anything opens the database or picks a provider
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-gen-test-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'test.db');
+process.env.UPLOADS_DIR = path.join(tmpDir, 'uploads');
+process.env.IMAGE_PROVIDER = 'stub';
+
+const {
+  initDatabase,
+  closeDatabase,
+  getUserTokens,
+  deductToken,
+  createGenerationJob,
+  getGenerationJob,
+  getUserEmoji,
+  findTokenBalanceMismatches
+} = require('../database');
+const { createImageProvider } = require('../providers');
+const EmojiService = require('../emojiService');
+const JobRunner = require('../jobRunner');
+
+const EMAIL = `job-test-${process.pid}@example.com`;
+const LIBRARY = { email: EMAIL, workspaceId: null };
+const UPLOAD_DIR = path.join(process.env.UPLOADS_DIR, EMAIL);
+
+// Provider that fails every call, or every other call with `everyOther`
+const failingProvider = ({ everyOther = false } = {}) => {
+  const stub = createImageProvider();
+  let calls = 0;
+  return {
+    name: 'failing provider',
+    generateImage: async (request) => {
+      calls++;
+      if (!everyOther || calls % 2 === 0) {
+        throw new Error('Provider is down');
+      }
+      return stub.generateImage(request);
+    }
+  };
+};
+
+// Every other variation comes back with a timestamp that can't be stored,
+// so saving it fails
+const failingSaveService = () => {
+  const service = new EmojiService(createImageProvider());
+  let calls = 0;
+  return {
+    generateEmoji: async (...args) => {
+      const result = await service.generateEmoji(...args);
+      calls++;
+      return calls % 2 === 0 ? { ...result, timestamp: 'not a date' } : result;
+    }
+  };
+};
+
+// Charge and create a job the way POST /api/generate-emoji does, then run it
+const runGeneration = async (emojiService, count) => {
+  const jobId = crypto.randomUUID();
+  assert.equal(await deductToken(EMAIL, count, jobId), true);
+  await createGenerationJob(jobId, EMAIL, {
+    description: 'party parrot',
+    removeBackground: false,
+    emojify: false,
+    style: null,
+    count,
+    images: [],
+    originalImage: null,
+    tokenCost: 1
+  }, count);
+
+  await new JobRunner(emojiService).runJob(jobId);
+  return getGenerationJob(jobId);
+};
+
+const balance = async () => (await getUserTokens(EMAIL)).balance;
+
+before(async () => {
+  await initDatabase();
+  // Creates the user with the welcome bonus
+  await getUserTokens(EMAIL);
+});
+
+after(async () => {
+  await closeDatabase();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('a job generates and saves every variation', async () => {
+  const before = await balance();
+  const job = await runGeneration(new EmojiService(createImageProvider()), 2);
+
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.tokens_charged, 2);
+  assert.equal(job.result.results.length, 2);
+  assert.equal(job.result.failed, 0);
+  assert.equal(await balance(), before - 2);
+
+  for (const result of job.result.results) {
+    const emoji = await getUserEmoji(LIBRARY, result.id);
+    assert.equal(emoji.description, 'party parrot');
+    assert.ok(fs.existsSync(path.join(UPLOAD_DIR, emoji.filename)));
+  }
+});
+
+test('a failed job is refunded in full', async () => {
+  const before = await balance();
+  const job = await runGeneration(new EmojiService(failingProvider()), 2);
+
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Provider is down');
+  assert.equal(job.tokens_charged, 0);
+  assert.equal(await balance(), before);
+});
+
+test('only the failed variations of a job are refunded', async () => {
+  const before = await balance();
+  const job = await runGeneration(new EmojiService(failingProvider({ everyOther: true })), 2);
+
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.result.results.length, 1);
+  assert.equal(job.result.failed, 1);
+  assert.equal(job.tokens_charged, 1);
+  assert.equal(await balance(), before - 1);
+});
+
+test('a variation that fails to save is refunded without undoing the saved one', async () => {
+  const before = await balance();
+  const job = await runGeneration(failingSaveService(), 2);
+
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.result.results.length, 1);
+  assert.equal(job.result.failed, 1);
+  assert.ok(await getUserEmoji(LIBRARY, job.result.results[0].id));
+  assert.equal(job.tokens_charged, 1);
+  assert.equal(await balance(), before - 1);
+});
+
+test('the ledger matches every balance afterwards', async () => {
+  assert.deepEqual(await findTokenBalanceMismatches(), []);
+});
@@ -0,0 +1,52 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const { createImageProvider } = require('../providers');
+
+const originalEnv = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...originalEnv };
+});
+
+test('IMAGE_PROVIDER=stub picks the stub provider', () => {
+  process.env.IMAGE_PROVIDER = 'stub';
+  assert.equal(createImageProvider().name, 'stub provider');
+});
+
+test('IMAGE_PROVIDER=gemini picks Gemini, which needs an API key', () => {
+  process.env.IMAGE_PROVIDER = 'gemini';
+  delete process.env.GEMINI_API_KEY;
+  assert.throws(() => createImageProvider(), /GEMINI_API_KEY/);
+
+  process.env.GEMINI_API_KEY = 'test-key';
+  assert.equal(createImageProvider().name, 'Gemini 2.5 Flash');
+});
+
+test('Gemini is the default when IMAGE_PROVIDER is unset', () => {
+  delete process.env.IMAGE_PROVIDER;
+  process.env.GEMINI_API_KEY = 'test-key';
+  assert.equal(createImageProvider().name, 'Gemini 2.5 Flash');
+});
+
+test('an unknown IMAGE_PROVIDER is rejected', () => {
+  process.env.IMAGE_PROVIDER = 'dall-e';
+  assert.throws(() => createImageProvider(), /Unknown IMAGE_PROVIDER "dall-e". Use one of: gemini, stub/);
+});
+
+test('the stub provider returns the same PNG for the same input', async () => {
+  const provider = createImageProvider('stub');
+  const inputImages = [{ data: Buffer.from('reference'), mimeType: 'image/png' }];
+
+  const first = await provider.generateImage({ prompt: 'a happy cat', inputImages });
+  const second = await provider.generateImage({ prompt: 'a happy cat', inputImages });
+  const other = await provider.generateImage({ prompt: 'a sad cat' });
+
+  assert.equal(first.mimeType, 'image/png');
+  assert.ok(first.data.equals(second.data));
+  assert.ok(!first.data.equals(other.data));
+
+  const { format, width, height } = await sharp(first.data).metadata();
+  assert.deepEqual({ format, width, height }, { format: 'png', width: 512, height: 512 });
+});
@@ -0,0 +1,79 @@
+// Manage the token packages offered in the shop without redeploying the
+// client. Changes show up on the next /api/token-packages request.
+//
+// Usage: npm run packages                          (list all packages)
+//        npm run packages -- save '<json>'         (create or update one)
+//        npm run packages -- enable <id>
+//        npm run packages -- disable <id>
+//
+// A package is saved from JSON such as
+//   {"id":"holiday","name":"Holiday Bundle","tokens":300,"price":900,
+//    "currency":"usd","savingsLabel":"Holiday deal","endsAt":"2026-12-31"}
+// where price is in the currency's minor unit (cents for usd).
+const {
+  initDatabase,
+  getAllTokenPackages,
+  saveTokenPackage,
+  setTokenPackageEnabled,
+  closeDatabase
+} = require('./database');
+
+const [command = 'list', arg] = process.argv.slice(2);
+
+const listPackages = async () => {
+  const packages = await getAllTokenPackages();
+  for (const pkg of packages) {
+    const window = pkg.starts_at || pkg.ends_at
+      ? ` [${pkg.starts_at || '…'} → ${pkg.ends_at || '…'}]`
+      : '';
+    console.log(`${pkg.enabled ? '✓' : '✗'} ${pkg.id}: ${pkg.name}, ${pkg.tokens} tokens for ${pkg.price} ${pkg.currency}${pkg.popular ? ' (popular)' : ''}${window}`);
+  }
+};
+
+const savePackage = async (json) => {
+  const pkg = JSON.parse(json || '');
+  if (!pkg.id || !pkg.name || !Number.isInteger(pkg.tokens) || pkg.tokens <= 0 || !Number.isInteger(pkg.price) || pkg.price <= 0) {
+    throw new Error('A package needs an id, a name and positive whole-number tokens and price');
+  }
+  if (pkg.startsAt && pkg.endsAt && new Date(pkg.startsAt) >= new Date(pkg.endsAt)) {
+    throw new Error('startsAt must be before endsAt');
+  }
+
+  await saveTokenPackage(pkg);
+  console.log(`Saved package ${pkg.id}`);
+};
+
+const togglePackage = async (id, enabled) => {
+  if (!id) {
+    throw new Error('Pass the id of the package');
+  }
+
+  const changed = await setTokenPackageEnabled(id, enabled);
+  if (!changed) {
+    throw new Error(`No package with id ${id}`);
+  }
+  console.log(`${enabled ? 'Enabled' : 'Disabled'} package ${id}`);
+};
+
+const commands = {
+  list: () => listPackages(),
+  save: () => savePackage(arg),
+  enable: () => togglePackage(arg, true),
+  disable: () => togglePackage(arg, false)
+};
+
+const run = async () => {
+  if (!commands[command]) {
+    throw new Error(`Unknown command ${command}, expected one of: ${Object.keys(commands).join(', ')}`);
+  }
+
+  await initDatabase();
+  await commands[command]();
+};
+
+run()
+  .catch((error) => {
+    console.error('Token package command failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
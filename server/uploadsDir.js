@@ -0,0 +1,7 @@
+const path = require('path');
+
+// Where uploads and generated emojis are stored, one folder per user.
+// UPLOADS_DIR lets tests use a throwaway folder.
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
+
+module.exports = { UPLOADS_DIR };